@@ -0,0 +1,300 @@
+// scripts/buildGeography.js
+// Builds src/mitigation/geography.json, the coarse geography the mitigation
+// engine targets tactics with. Run with `npm run geography` after changing
+// the grid, the river list or the basin rules below.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { feature, mesh } from 'topojson-client';
+import { haversineKm } from '../src/utils/geo.js';
+
+const require = createRequire(import.meta.url);
+const land110m = JSON.parse(readFileSync(require.resolve('world-atlas/land-110m.json'), 'utf8'));
+
+// The Level 3 grid: cell centres at lon -177.5..177.5, lat -89..89
+const GRID = { lonMin: -180, latMin: -90, dLon: 5, dLat: 2, cols: 72, rows: 90 };
+const SAMPLES = 4; // land samples per cell side
+
+// Mouths of the rivers carrying the most plastic to sea (Lebreton et al.,
+// 2017) plus the largest rivers by discharge.
+const RIVERS = [
+  { name: 'Yangtze', lat: 31.4, lon: 121.9 },
+  { name: 'Ganges', lat: 22.0, lon: 90.8 },
+  { name: 'Xi / Pearl', lat: 22.2, lon: 113.6 },
+  { name: 'Huangpu', lat: 31.4, lon: 121.5 },
+  { name: 'Cross', lat: 4.6, lon: 8.3 },
+  { name: 'Brantas', lat: -7.6, lon: 112.9 },
+  { name: 'Amazon', lat: 0.5, lon: -50.0 },
+  { name: 'Pasig', lat: 14.6, lon: 120.9 },
+  { name: 'Irrawaddy', lat: 15.8, lon: 95.0 },
+  { name: 'Solo', lat: -6.9, lon: 112.6 },
+  { name: 'Mekong', lat: 9.6, lon: 106.6 },
+  { name: 'Imo', lat: 4.5, lon: 7.6 },
+  { name: 'Magdalena', lat: 11.1, lon: -74.8 },
+  { name: 'Niger', lat: 4.3, lon: 6.1 },
+  { name: 'Congo', lat: -6.0, lon: 12.3 },
+  { name: 'Nile', lat: 31.5, lon: 31.8 },
+  { name: 'Indus', lat: 24.0, lon: 67.4 },
+  { name: 'Yellow', lat: 37.8, lon: 119.3 },
+  { name: 'Mississippi', lat: 29.1, lon: -89.3 },
+  { name: 'Paraná / Río de la Plata', lat: -35.0, lon: -56.5 },
+  { name: 'Orinoco', lat: 8.6, lon: -60.5 },
+  { name: 'Zambezi', lat: -18.8, lon: 36.3 },
+];
+
+const BASINS = [
+  { id: 'arctic', label: 'Arctic Ocean' },
+  { id: 'northAtlantic', label: 'North Atlantic' },
+  { id: 'southAtlantic', label: 'South Atlantic' },
+  { id: 'northPacific', label: 'North Pacific' },
+  { id: 'southPacific', label: 'South Pacific' },
+  { id: 'indian', label: 'Indian Ocean' },
+  { id: 'southern', label: 'Southern Ocean' },
+  { id: 'mediterranean', label: 'Mediterranean & Black Sea' },
+];
+
+// Rings with continuous longitudes (see utils/basemap.js), closed along the
+// pole when they wrap all the way round (Antarctica).
+function unwrap(ring) {
+  const out = [ring[0]];
+  for (let i = 1; i < ring.length; i++) {
+    const prev = out[i - 1][0];
+    let lon = ring[i][0];
+    while (lon - prev > 180) lon -= 360;
+    while (lon - prev < -180) lon += 360;
+    out.push([lon, ring[i][1]]);
+  }
+  const first = out[0];
+  const last = out[out.length - 1];
+  if (Math.abs(last[0] - first[0]) >= 180) {
+    const poleLat = first[1] < 0 ? -90 : 90;
+    out.push([last[0], poleLat], [first[0], poleLat], first);
+  }
+  return out;
+}
+
+function withBounds(ring) {
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  return {
+    ring,
+    west: Math.min(...lons),
+    east: Math.max(...lons),
+    south: Math.min(...lats),
+    north: Math.max(...lats),
+  };
+}
+
+function ringContains({ ring, west, east, south, north }, lon, lat) {
+  if (lat < south || lat > north || lon < west || lon > east) return false;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+const land = feature(land110m, land110m.objects.land);
+const polygons = land.features
+  .flatMap((f) => (f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates))
+  .map((rings) => rings.map((ring) => withBounds(unwrap(ring))));
+
+function isLand(lon, lat) {
+  return [lon, lon - 360, lon + 360].some((x) => polygons.some(([outer, ...holes]) => (
+    ringContains(outer, x, lat) && !holes.some((hole) => ringContains(hole, x, lat))
+  )));
+}
+
+// Coastline vertices, densified so no gap is wider than half a degree
+const coast = [];
+mesh(land110m, land110m.objects.land).coordinates.forEach((line) => {
+  for (let i = 0; i < line.length; i++) {
+    const [lon, lat] = line[i];
+    coast.push([lat, lon]);
+    if (i + 1 < line.length) {
+      const [nextLon, nextLat] = line[i + 1];
+      if (Math.abs(nextLon - lon) > 180) continue;
+      const steps = Math.ceil(Math.max(Math.abs(nextLon - lon), Math.abs(nextLat - lat)) / 0.5);
+      for (let s = 1; s < steps; s++) {
+        coast.push([lat + ((nextLat - lat) * s) / steps, lon + ((nextLon - lon) * s) / steps]);
+      }
+    }
+  }
+});
+
+const cells = GRID.rows * GRID.cols;
+const centre = (index) => ({
+  lat: GRID.latMin + (Math.floor(index / GRID.cols) + 0.5) * GRID.dLat,
+  lon: GRID.lonMin + ((index % GRID.cols) + 0.5) * GRID.dLon,
+});
+
+const landPercent = new Array(cells);
+const coastKm = new Array(cells);
+const river = new Array(cells);
+const riverKm = new Array(cells);
+
+for (let index = 0; index < cells; index++) {
+  const { lat, lon } = centre(index);
+  let hits = 0;
+  for (let i = 0; i < SAMPLES; i++) {
+    for (let j = 0; j < SAMPLES; j++) {
+      const sLat = lat + ((i + 0.5) / SAMPLES - 0.5) * GRID.dLat;
+      const sLon = lon + ((j + 0.5) / SAMPLES - 0.5) * GRID.dLon;
+      if (isLand(sLon, sLat)) hits++;
+    }
+  }
+  landPercent[index] = Math.round((hits / SAMPLES ** 2) * 100);
+
+  let nearestCoast = Infinity;
+  if (landPercent[index] < 50) {
+    coast.forEach(([cLat, cLon]) => {
+      const d = haversineKm(lat, lon, cLat, cLon);
+      if (d < nearestCoast) nearestCoast = d;
+    });
+  }
+  coastKm[index] = Number.isFinite(nearestCoast) ? Math.round(nearestCoast) : 0;
+
+  let nearestRiver = Infinity;
+  RIVERS.forEach((r, i) => {
+    const d = haversineKm(lat, lon, r.lat, r.lon);
+    if (d < nearestRiver) {
+      nearestRiver = d;
+      river[index] = i;
+    }
+  });
+  riverKm[index] = Math.round(nearestRiver);
+}
+
+// Ocean basins: fixed polar caps and Mediterranean, then a breadth-first
+// flood from one seed per ocean with land as the barrier. South of 30°S the
+// oceans meet in open water, so the conventional meridians (20°E, 145°E,
+// 70°W) split them; a few straits are closed the same way. Enclosed seas the
+// flood cannot reach at this resolution (Hudson Bay, Baltic, Red Sea,
+// Persian Gulf) join the basin of the nearest reached cell.
+const basinIndex = Object.fromEntries(BASINS.map((b, i) => [b.id, i]));
+const basin = new Array(cells).fill(-1);
+const isOcean = (index) => landPercent[index] < 50;
+const cellOf = (lat, lon) => Math.floor((lat - GRID.latMin) / GRID.dLat) * GRID.cols
+  + Math.floor((lon - GRID.lonMin) / GRID.dLon);
+
+// Meridian walls block east-west steps, parallel walls north-south steps
+const MERIDIAN_WALLS = [
+  { lon: 20, south: -90, north: -30 },
+  { lon: 145, south: -90, north: -30 },
+  { lon: -70, south: -90, north: -30 },
+  { lon: -80, south: 0, north: 10 }, // Panama
+  { lon: -85, south: 10, north: 16 }, // Costa Rica to Honduras
+  { lon: 130, south: -20, north: 0 }, // Timor / Arafura seas
+  { lon: 100, south: -8, north: 16 }, // Sumatra and the Malay Peninsula
+];
+const PARALLEL_WALLS = [
+  { lat: -8, west: 100, east: 130 }, // Sunda Islands
+  { lat: 16, west: -105, east: -85 }, // Mexico and Guatemala
+];
+
+function blocked(from, to) {
+  if (from.lat === to.lat) {
+    if (Math.abs(from.lon - to.lon) > 180) return false;
+    return MERIDIAN_WALLS.some((w) => from.lat > w.south && from.lat < w.north
+      && Math.min(from.lon, to.lon) < w.lon && Math.max(from.lon, to.lon) > w.lon);
+  }
+  return PARALLEL_WALLS.some((w) => from.lon > w.west && from.lon < w.east
+    && Math.min(from.lat, to.lat) < w.lat && Math.max(from.lat, to.lat) > w.lat);
+}
+
+for (let index = 0; index < cells; index++) {
+  if (!isOcean(index)) continue;
+  const { lat, lon } = centre(index);
+  if (lat >= 66) basin[index] = basinIndex.arctic;
+  else if (lat <= -60) basin[index] = basinIndex.southern;
+  else if (lat > 30 && lat < 47 && lon > -6 && lon < 42) basin[index] = basinIndex.mediterranean;
+}
+
+const SEEDS = [
+  { ocean: 'atlantic', lat: 0, lon: -25 },
+  { ocean: 'pacific', lat: 0, lon: -140 },
+  { ocean: 'indian', lat: -15, lon: 75 },
+];
+const ocean = new Array(cells).fill(null);
+let frontier = SEEDS.map((s) => {
+  const index = cellOf(s.lat, s.lon);
+  ocean[index] = s.ocean;
+  return index;
+});
+while (frontier.length) {
+  const next = [];
+  frontier.forEach((index) => {
+    const row = Math.floor(index / GRID.cols);
+    const col = index % GRID.cols;
+    const neighbours = [
+      [row, (col + 1) % GRID.cols],
+      [row, (col + GRID.cols - 1) % GRID.cols],
+      [row + 1, col],
+      [row - 1, col],
+    ];
+    neighbours.forEach(([r, c]) => {
+      if (r < 0 || r >= GRID.rows) return;
+      const n = r * GRID.cols + c;
+      if (!isOcean(n) || basin[n] !== -1 || ocean[n]) return;
+      if (blocked(centre(index), centre(n))) return;
+      ocean[n] = ocean[index];
+      next.push(n);
+    });
+  });
+  frontier = next;
+}
+
+const reached = [];
+for (let index = 0; index < cells; index++) {
+  if (ocean[index] || basin[index] !== -1) reached.push(index);
+}
+for (let index = 0; index < cells; index++) {
+  if (!isOcean(index) || ocean[index] || basin[index] !== -1) continue;
+  const { lat, lon } = centre(index);
+  let best = Infinity;
+  reached.forEach((other) => {
+    const c = centre(other);
+    const d = haversineKm(lat, lon, c.lat, c.lon);
+    if (d < best) {
+      best = d;
+      ocean[index] = ocean[other];
+      basin[index] = ocean[other] ? -1 : basin[other];
+    }
+  });
+}
+
+for (let index = 0; index < cells; index++) {
+  if (!ocean[index]) continue;
+  const north = centre(index).lat > 0;
+  if (ocean[index] === 'atlantic') basin[index] = basinIndex[north ? 'northAtlantic' : 'southAtlantic'];
+  else if (ocean[index] === 'pacific') basin[index] = basinIndex[north ? 'northPacific' : 'southPacific'];
+  else basin[index] = basinIndex.indian;
+}
+
+const output = {
+  source: 'Natural Earth 1:110m land (world-atlas); see scripts/buildGeography.js',
+  grid: GRID,
+  basins: BASINS,
+  rivers: RIVERS,
+  landPercent,
+  coastKm,
+  basin,
+  river,
+  riverKm,
+};
+
+writeFileSync(new URL('../src/mitigation/geography.json', import.meta.url), `${JSON.stringify(output)}\n`);
+
+// Quick look at the result: one character per cell, north up
+const symbols = ['A', 'a', 's', 'P', 'p', 'I', 'S', 'M'];
+for (let row = GRID.rows - 1; row >= 0; row--) {
+  let line = '';
+  for (let col = 0; col < GRID.cols; col++) {
+    const index = row * GRID.cols + col;
+    line += isOcean(index) ? (symbols[basin[index]] || '?') : '#';
+  }
+  console.log(line);
+}
@@ -9,6 +9,10 @@ import MitigationSim from "./components/MitigationSim";
 import MicroplasticsNodeGraph3D from "./components/MicroplasticsNodeGraph3D";
 import AIPredictions from "./components/AIPredictions";
 import AIYearHeatmapMitigation from "./components/AIYearHeatmapMitigation";
+import InSituObservations from "./components/InSituObservations";
+import SeasonalityAnalysis from "./components/SeasonalityAnalysis";
+import TacticEditor from "./components/TacticEditor";
+import TransportSim from "./components/TransportSim";
 import RotatingD from "./components/microplasticsD"; // 3D Rotating D component
 import micro from "./assets/images/micro.jpeg"; // Update the path if necessary
 import BackgroundParticles from "./components/BackgroundParticles"; // Optional: Animated Background
@@ -267,6 +271,10 @@ function App() {
               path="/ai-year-mitigation"
               element={<AIYearHeatmapMitigation />}
             />
+            <Route path="/observations" element={<InSituObservations />} />
+            <Route path="/seasonality" element={<SeasonalityAnalysis />} />
+            <Route path="/tactics" element={<TacticEditor />} />
+            <Route path="/transport" element={<TransportSim />} />
           </Routes>
         </div>
       </>
@@ -1,153 +1,65 @@
 // src/components/AIPredictions.jsx
-import React, { useEffect, useState, useMemo } from "react";
-import Papa from "papaparse";
-import * as tf from "@tensorflow/tfjs";
-import { MapContainer, TileLayer, CircleMarker, Tooltip } from "react-leaflet";
+import React, { useEffect, useRef, useState } from "react";
+import { MapContainer, CircleMarker, Tooltip } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
-import { ClipLoader } from "react-spinners";
+import { loadDataset } from "../utils/datasets";
+import { MODEL_SPEC, forgetSavedModel } from "../utils/aiModel";
+import { useModelWorker } from "../hooks/useModelWorker";
+import Basemap from "./Basemap";
+import PointInspector from "./PointInspector";
+import TrainingPanel from "./TrainingPanel";
 
 function AIPredictions() {
-  const [trainingStatus, setTrainingStatus] = useState("Loading data...");
-  const [model, setModel] = useState(null);
+  const trainer = useModelWorker(MODEL_SPEC);
   const [latInput, setLatInput] = useState("");
   const [lonInput, setLonInput] = useState("");
   const [predictionOutput, setPredictionOutput] = useState(null);
-  const [trainingLoss, setTrainingLoss] = useState([]);
   const [error, setError] = useState(null);
   const [mapPosition, setMapPosition] = useState(null);
+  // { inputs: [[lat, lon]], labels }, loaded only once there is something to train
+  const trainingDataRef = useRef(null);
 
+  // Train when no model has been saved yet
   useEffect(() => {
-    // Attempt to load the model from local storage
-    const loadModel = async () => {
-      try {
-        const savedModel = await tf.loadLayersModel("localstorage://microplastics-model");
-        setModel(savedModel);
-        setTrainingStatus("Model loaded from local storage.");
-      } catch (err) {
-        console.log("No saved model found. Parsing CSV and training a new model.");
-        parseAndTrain();
-      }
-    };
-
-    loadModel();
+    if (trainer.phase === "untrained") withTrainingData(trainer.train);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
-  const parseAndTrain = () => {
-    Papa.parse("/Level3R1.csv", {
-      download: true,
-      skipEmptyLines: true,
-      header: true,
-      beforeFirstChunk: (chunk) => {
-        // Remove lines referencing '-9999: No data'
-        const lines = chunk.split(/\r\n|\n|\r/);
-        for (let i = lines.length - 1; i >= 0; i--) {
-          if (lines[i].includes("-9999: No data")) {
-            lines.splice(i, 1);
-          }
-        }
-        return lines.join("\n");
-      },
-      complete: (results) => {
-        const cleaned = results.data.filter((r) => {
-          const lat = parseFloat(r["latitude (degree: N+, S-)"] || "");
-          const lon = parseFloat(r["longitude (degree: E+, W-)"] || "");
-          const pieces = parseFloat(r["Level 3p (pieces/km2)"] || "0");
-          if (isNaN(lat) || isNaN(lon) || isNaN(pieces)) return false;
-          if (lat === -9999 || lon === -9999 || pieces === -9999) return false;
-          return true;
-        });
-
-        if (cleaned.length === 0) {
-          setError("No valid data available for training.");
-          setTrainingStatus("Error: No valid data found.");
-          return;
-        }
-
-        trainModel(cleaned);
-      },
-      error: (err) => {
-        console.error("CSV Parsing Error:", err);
-        setError("Failed to load data. Please try again later.");
-        setTrainingStatus("Error loading data.");
-      },
-    });
-  };
-
-  async function trainModel(rows) {
-    try {
-      setTrainingStatus("Preparing data for training...");
+  }, [trainer.phase]);
 
-      const inputs = [];
-      const labels = [];
-
-      rows.forEach((r) => {
-        const lat = parseFloat(r["latitude (degree: N+, S-)"]);
-        const lon = parseFloat(r["longitude (degree: E+, W-)"]);
-        const pieces = parseFloat(r["Level 3p (pieces/km2)"] || "0");
-        inputs.push([lat, lon]);
-        labels.push([pieces]);
-      });
-
-      const xs = tf.tensor2d(inputs);
-      const ys = tf.tensor2d(labels);
-
-      // Define Model Architecture
-      const newModel = tf.sequential();
-      newModel.add(
-        tf.layers.dense({
-          units: 32,
-          activation: "relu",
-          inputShape: [2],
-        })
-      );
-      newModel.add(tf.layers.dense({ units: 16, activation: "relu" }));
-      newModel.add(tf.layers.dense({ units: 1 }));
-
-      newModel.compile({
-        optimizer: tf.train.adam(),
-        loss: "meanSquaredError",
-        metrics: ["mse"],
-      });
-
-      setTrainingStatus("Training model...");
-
-      const history = await newModel.fit(xs, ys, {
-        epochs: 50,
-        batchSize: 32,
-        shuffle: true,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            setTrainingStatus(`Training... Epoch ${epoch + 1}/50`);
-            setTrainingLoss((prev) => [...prev, logs.loss.toFixed(4)]);
-          },
-          onTrainEnd: async () => {
-            setTrainingStatus("Training complete!");
-            setModel(newModel);
-            // Save the trained model to local storage
-            await newModel.save("localstorage://microplastics-model");
-            console.log("Model saved to local storage.");
-          },
-          onError: (err) => {
-            console.error("Training Error:", err);
-            setError("An error occurred during model training.");
-            setTrainingStatus("Error during training.");
-          },
-        },
-      });
+  // The point inspector reads the saved model itself; have it reload the
+  // model after every run trained here, the first one included
+  useEffect(() => {
+    if (trainer.trained > 0) forgetSavedModel();
+  }, [trainer.trained]);
 
-      xs.dispose();
-      ys.dispose();
-    } catch (err) {
-      console.error("Model Training Exception:", err);
-      setError("An unexpected error occurred during training.");
-      setTrainingStatus("Error during training.");
+  async function loadTrainingData() {
+    if (!trainingDataRef.current) {
+      let records;
+      try {
+        records = await loadDataset("level3");
+      } catch {
+        throw new Error("Failed to load data. Please try again later.");
+      }
+      const cleaned = records.filter((r) => r.level3p !== null);
+      if (cleaned.length === 0) throw new Error("No valid data available for training.");
+      trainingDataRef.current = {
+        inputs: cleaned.map((r) => [r.lat, r.lon]),
+        labels: cleaned.map((r) => r.level3p),
+      };
     }
+    return trainingDataRef.current;
   }
 
-  function handlePredict(e) {
+  // Starts `run` (trainer.train or trainer.resume) on the training data
+  function withTrainingData(run) {
+    setError(null);
+    loadTrainingData()
+      .then(run)
+      .catch((err) => setError(err.message));
+  }
+
+  async function handlePredict(e) {
     e.preventDefault();
-    if (!model) {
+    if (!trainer.ready) {
       alert("Model not ready yet!");
       return;
     }
@@ -169,81 +81,33 @@ function AIPredictions() {
     }
 
     try {
-      const inputTensor = tf.tensor2d([[latVal, lonVal]]);
-      const outputTensor = model.predict(inputTensor);
-      const predictedValue = outputTensor.dataSync()[0];
+      const [predictedValue] = await trainer.predict([[latVal, lonVal]]);
       setPredictionOutput(predictedValue.toFixed(2));
       setMapPosition([latVal, lonVal]);
-
-      inputTensor.dispose();
-      outputTensor.dispose();
     } catch (err) {
       console.error("Prediction Error:", err);
       setError("An error occurred during prediction.");
     }
   }
 
-  // Define color scale using d3
-  const colorScale = useMemo(() => {
-    if (trainingLoss.length === 0) return (val) => "#ff0000"; // Default color
-    const maxLoss = Math.max(...trainingLoss);
-    return d3
-      .scaleSequential()
-      .domain([0, maxLoss])
-      .interpolator(d3.interpolateYlOrRd);
-  }, [trainingLoss]);
-
   return (
     <div className="bg-white p-8 rounded shadow mt-6 max-w-4xl mx-auto">
       <h2 className="text-2xl font-semibold mb-4 text-blue-700">AI/ML Microplastics Predictions</h2>
 
       {/* Status Section */}
-      <div className="mb-6">
-        {error ? (
+      <div className="mb-6 space-y-4">
+        {error && (
           <div className="bg-red-100 text-red-700 p-4 rounded">
             <p>{error}</p>
           </div>
-        ) : (
-          <div className="bg-blue-100 text-blue-700 p-4 rounded flex items-center">
-            <div className="flex-1">
-              <p>Status: <strong>{trainingStatus}</strong></p>
-              {trainingLoss.length > 0 && (
-                <div className="mt-2">
-                  <p className="text-sm">Latest Training Loss: <strong>{trainingLoss[trainingLoss.length - 1]}</strong></p>
-                </div>
-              )}
-            </div>
-            {/* Optional Spinner */}
-            {!model && trainingStatus !== "Error: No valid data found." && !error && (
-              <ClipLoader color="#1d4ed8" size={24} />
-            )}
-          </div>
         )}
+        <TrainingPanel
+          trainer={trainer}
+          onTrain={() => withTrainingData(trainer.train)}
+          onResume={() => withTrainingData(trainer.resume)}
+        />
       </div>
 
-      {/* Training Progress Chart */}
-      {trainingLoss.length > 0 && (
-        <div className="mb-6">
-          <h3 className="text-xl font-medium mb-2 text-gray-700">Training Progress</h3>
-          <div className="w-full h-40">
-            <svg width="100%" height="100%">
-              <polyline
-                fill="none"
-                stroke="blue"
-                strokeWidth="2"
-                points={trainingLoss
-                  .map((loss, idx) => {
-                    const x = (idx / (trainingLoss.length - 1)) * 100;
-                    const y = 100 - (loss / Math.max(...trainingLoss)) * 100;
-                    return `${x},${y}`;
-                  })
-                  .join(" ")}
-              />
-            </svg>
-          </div>
-        </div>
-      )}
-
       {/* Prediction Form */}
       <form onSubmit={handlePredict} className="mb-6">
         <h3 className="text-xl font-medium mb-4 text-blue-600">Make a Prediction</h3>
@@ -318,10 +182,8 @@ function AIPredictions() {
             style={{ height: "100%", width: "100%" }}
             scrollWheelZoom={false}
           >
-            <TileLayer
-              attribution='Map data © <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            />
+            <Basemap />
+            <PointInspector />
             <CircleMarker
               center={mapPosition}
               radius={10}
@@ -1,12 +1,38 @@
 // src/components/AIYearHeatmapMitigation.jsx
-import React, { useEffect, useState, useMemo } from "react";
-import Papa from "papaparse";
-import * as tf from "@tensorflow/tfjs";
-import { MapContainer, TileLayer, CircleMarker, Tooltip } from "react-leaflet";
+import React, { useCallback, useEffect, useState, useMemo } from "react";
+import { MapContainer } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
-import * as d3 from "d3-scale";
-import { interpolateYlOrRd } from "d3-scale-chromatic";
 import { ClipLoader } from "react-spinners";
+import { loadDataset } from "../utils/datasets";
+import DataLayer from "./DataLayer";
+import DisplayModeControls from "./DisplayModeControls";
+import { DEFAULT_DISPLAY } from "../utils/displayModes";
+import { inferGridSpacing } from "../utils/grid";
+import { DEFAULT_COLOR_SETTINGS } from "../utils/colorScales";
+import { useColorScale } from "../hooks/useColorScale";
+import { useTactics } from "../hooks/useTactics";
+import {
+  DEFAULT_PORTFOLIO, portfolioTactics, applyPortfolio, attributeReduction,
+} from "../mitigation/portfolio";
+import { getTactics } from "../mitigation/registry";
+import { cellAreaKm2, regionStats } from "../utils/regions";
+import { YEAR_MODEL_SPEC, predictYearGrid } from "../utils/aiModel";
+import { useModelWorker } from "../hooks/useModelWorker";
+import { installScenarioTactics, scenarioOutputs } from "../utils/scenarios";
+import ColorScaleControls from "./ColorScaleControls";
+import MapLegend from "./MapLegend";
+import Basemap from "./Basemap";
+import PointInspector from "./PointInspector";
+import PortfolioBuilder from "./PortfolioBuilder";
+import PortfolioBreakdown from "./PortfolioBreakdown";
+import RegionSelect from "./RegionSelect";
+import RegionStats from "./RegionStats";
+import ScenarioManager from "./ScenarioManager";
+import TrajectoryPanel from "./TrajectoryPanel";
+import EmissionsControls from "./EmissionsControls";
+import TrainingPanel from "./TrainingPanel";
+import { DEFAULT_EMISSIONS, emissionsFactor } from "../mitigation/emissions";
+import { BASE_YEAR } from "../mitigation/engine";
 
 import L from "leaflet";
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
@@ -28,197 +54,80 @@ const timeIncrements = [
   { label: "10 Years", value: 10 },
 ];
 
-const tactics = [
-  { 
-    label: "No Mitigation", 
-    value: "none", 
-    description: "No actions taken to reduce microplastics.", 
-    type: "none", 
-    rate: 0,
-    applies: () => true 
-  },
-  { 
-    label: "Coastal Cleanup (-20% near coasts)", 
-    value: "coastal", 
-    description: "Reduces microplastics by 20% near coastal regions.", 
-    type: "perYear", 
-    rate: 0.2,
-    applies: (lat, lon) => Math.abs(lat) < 15 || Math.abs(lon) < 15
-  },
-  { 
-    label: "Open Ocean Skimming (-30% offshore)", 
-    value: "openocean", 
-    description: "Reduces microplastics by 30% in open ocean areas.", 
-    type: "perYear", 
-    rate: 0.3,
-    applies: (lat, lon) => Math.abs(lat) >= 15 && Math.abs(lon) >= 15
-  },
-  { 
-    label: "Global Single-Use Ban (-50% overall)", 
-    value: "globalban", 
-    description: "Reduces microplastics by 50% globally.", 
-    type: "oneTime", 
-    rate: 0.5,
-    applies: () => true
-  },
-  { 
-    label: "River Interceptors (-40% if lat in -10..10)", 
-    value: "river", 
-    description: "Reduces microplastics by 40% in regions near rivers.", 
-    type: "perYear", 
-    rate: 0.4,
-    applies: (lat, lon) => lat >= -10 && lat <= 10
-  },
-  // ... Add additional tactics as needed ...
-];
 
-const MODEL_VERSION = "v2"; 
-const MODEL_URL = `localstorage://microplastics-model-${MODEL_VERSION}`;
+const valueOf = (point) => point.predVal;
 
 function AIYearHeatmapMitigation() {
   const [trainingStatus, setTrainingStatus] = useState("Loading data...");
-  const [model, setModel] = useState(null);
+  const trainer = useModelWorker(YEAR_MODEL_SPEC);
+  const { train: trainModel, predict } = trainer;
+  // { inputs: [[lat, lon, year]], labels } once the data has loaded
+  const [trainingData, setTrainingData] = useState(null);
+  const [dataError, setDataError] = useState(null);
   const [years, setYears] = useState([]);
   const [selectedYear, setSelectedYear] = useState(null);
   const [timeIncrement, setTimeIncrement] = useState(0);
-  const [tactic, setTactic] = useState("none");
+  const tactics = useTactics();
+  const [portfolio, setPortfolio] = useState(DEFAULT_PORTFOLIO);
+  const selectedTactics = useMemo(() => portfolioTactics(portfolio, tactics), [portfolio, tactics]);
+  const [region, setRegion] = useState(null);
   const [boundingBox, setBoundingBox] = useState(null);
-  const [heatmapData, setHeatmapData] = useState([]);
-  const [maxVal, setMaxVal] = useState(0);
-  const [isTraining, setIsTraining] = useState(false);
-  const [trainingProgress, setTrainingProgress] = useState(0);
+  const [basePredictions, setBasePredictions] = useState([]);
   const [isPredicting, setIsPredicting] = useState(false);
   const [predictionProgress, setPredictionProgress] = useState(0);
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [colorSettings, setColorSettings] = useState(DEFAULT_COLOR_SETTINGS);
+  const [emissions, setEmissions] = useState(DEFAULT_EMISSIONS);
+  const [trajectoryHorizon, setTrajectoryHorizon] = useState(10);
+  const [trajectoryFrames, setTrajectoryFrames] = useState([]);
+  const [trajectoryStatus, setTrajectoryStatus] = useState(null);
+  // Year hovered in the trajectory chart, shown on the map instead
+  const [hoverYear, setHoverYear] = useState(null);
 
   useEffect(() => {
-    (async () => {
-      try {
-        const loadedModel = await tf.loadLayersModel(MODEL_URL);
-        console.log(`Model loaded from local storage (${MODEL_URL})!`);
-        setModel(loadedModel);
-        parseCsv(false);
-      } catch (err) {
-        console.log(`No saved model found at ${MODEL_URL} or error loading. Training now...`);
-        try {
-          const olderModelURL = `localstorage://microplastics-model-${MODEL_VERSION}`;
-          await tf.io.removeModel(olderModelURL);
-          console.log(`Existing model (${olderModelURL}) removed from local storage.`);
-        } catch (removeError) {
-          console.warn("No existing model to remove or error removing model:", removeError);
-        }
-        parseCsv(true);
-      }
-    })();
+    parseCsv();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  async function parseCsv(shouldTrain) {
-    Papa.parse("/Level3R1.csv", {
-      download: true,
-      skipEmptyLines: true,
-      header: true,
-      beforeFirstChunk: (chunk) => {
-        const lines = chunk.split(/\r\n|\n|\r/);
-        for (let i = lines.length - 1; i >= 0; i--) {
-          if (lines[i].includes("-9999: No data")) {
-            lines.splice(i, 1);
-          }
-        }
-        return lines.join("\n");
-      },
-      complete: (results) => {
-        const cleaned = results.data.filter((row) => {
-          const lat = parseFloat(row["latitude (degree: N+, S-)"] || "");
-          const lon = parseFloat(row["longitude (degree: E+, W-)"] || "");
-          const pieces = parseFloat(row["Level 3p (pieces/km2)"] || "");
-          const yearStr = row["year"];
-          const defaultYear = 2025;
-          let yearNum;
-          if (!yearStr) {
-            yearNum = defaultYear;
-          } else {
-            yearNum = parseFloat(yearStr);
-            if (isNaN(yearNum)) return false;
-          }
-          if (
-            isNaN(lat) ||
-            isNaN(lon) ||
-            isNaN(pieces) ||
-            isNaN(yearNum) ||
-            lat === -9999 ||
-            lon === -9999 ||
-            pieces === -9999
-          ) {
-            return false;
-          }
-          if (!yearStr) {
-            row["year"] = yearNum;
-          }
-          return true;
-        });
-
-        if (cleaned.length > 0) {
-          const uniqueYearsSet = new Set(cleaned.map((r) => parseFloat(r["year"])));
-          uniqueYearsSet.add(2025);
-          const uniqueYears = Array.from(uniqueYearsSet).sort((a, b) => a - b);
-
-          if (shouldTrain) {
-            trainModel(cleaned, uniqueYears);
-          } else {
-            setupDataForPostTraining(cleaned, uniqueYears);
-          }
-        } else {
-          setTrainingStatus("No valid data available for training.");
-        }
-      },
-      error: (error) => {
-        console.error("Error parsing CSV:", error);
-        setTrainingStatus("Error loading data. Please check the CSV file.");
-      },
-    });
-  }
-
-  function setupDataForPostTraining(rows, uniqueYears) {
-    let minLat = 9999, maxLat = -9999, minLon = 9999, maxLon = -9999;
-    let minYear = 9999, maxYear = -9999;
+  // Train on the first visit; a run paused earlier (or cut off by leaving
+  // the page) waits for Resume instead
+  useEffect(() => {
+    if (trainer.phase === "untrained" && trainingData) trainModel(trainingData);
+  }, [trainer.phase, trainingData, trainModel]);
 
-    rows.forEach((r) => {
-      const lat = parseFloat(r["latitude (degree: N+, S-)"]);
-      const lon = parseFloat(r["longitude (degree: E+, W-)"]);
-      const yearNum = parseFloat(r["year"] || "2025");
-      if (lat < minLat) minLat = lat;
-      if (lat > maxLat) maxLat = lat;
-      if (lon < minLon) minLon = lon;
-      if (lon > maxLon) maxLon = lon;
-      if (yearNum < minYear) minYear = yearNum;
-      if (yearNum > maxYear) maxYear = yearNum;
-    });
+  async function parseCsv() {
+    let records;
+    try {
+      records = await loadDataset("level3");
+    } catch {
+      setDataError("Error loading data. Please check the CSV file.");
+      return;
+    }
 
-    setBoundingBox({ minLat, maxLat, minLon, maxLon, minYear, maxYear });
-    setYears(uniqueYears);
-    setTrainingStatus("Data loaded. Model is ready. Select year, time increment, & tactic to see predictions.");
-    if (uniqueYears.includes(2025)) {
-      setSelectedYear(2025);
-    } else if (uniqueYears.length > 0) {
-      setSelectedYear(uniqueYears[0]);
+    // The Level 3 grid has no year column, so every cell is treated as a 2025 observation.
+    const defaultYear = 2025;
+    const cleaned = records
+      .filter((row) => row.level3p !== null)
+      .map((row) => ({ ...row, year: defaultYear }));
+
+    if (cleaned.length > 0) {
+      const uniqueYearsSet = new Set(cleaned.map((r) => r.year));
+      uniqueYearsSet.add(2025);
+      const uniqueYears = Array.from(uniqueYearsSet).sort((a, b) => a - b);
+      setupData(cleaned, uniqueYears);
+    } else {
+      setDataError("No valid data available for training.");
     }
   }
 
-  async function trainModel(rows, uniqueYears) {
-    setTrainingStatus("Preparing data for training...");
-    setIsTraining(true);
-    setTrainingProgress(0);
-
+  function setupData(rows, uniqueYears) {
     let minLat = 9999, maxLat = -9999, minLon = 9999, maxLon = -9999;
     let minYear = 9999, maxYear = -9999;
     const inputs = [];
     const labels = [];
 
     rows.forEach((r) => {
-      const lat = parseFloat(r["latitude (degree: N+, S-)"]);
-      const lon = parseFloat(r["longitude (degree: E+, W-)"]);
-      const pieces = parseFloat(r["Level 3p (pieces/km2)"] || "0");
-      const yearNum = parseFloat(r["year"] || "2025");
+      const { lat, lon, level3p: pieces, year: yearNum } = r;
       if (lat < minLat) minLat = lat;
       if (lat > maxLat) maxLat = lat;
       if (lon < minLon) minLon = lon;
@@ -226,71 +135,13 @@ function AIYearHeatmapMitigation() {
       if (yearNum < minYear) minYear = yearNum;
       if (yearNum > maxYear) maxYear = yearNum;
       inputs.push([lat, lon, yearNum]);
-      labels.push([pieces]);
+      labels.push(pieces);
     });
 
+    setTrainingData({ inputs, labels });
     setBoundingBox({ minLat, maxLat, minLon, maxLon, minYear, maxYear });
-
-    let xs, ys;
-    try {
-      xs = tf.tensor2d(inputs, [inputs.length, 3]);
-      ys = tf.tensor2d(labels, [labels.length, 1]);
-    } catch (error) {
-      setTrainingStatus("Error processing data for training.");
-      setIsTraining(false);
-      return;
-    }
-
-    const newModel = tf.sequential();
-    newModel.add(tf.layers.dense({ units: 32, activation: "relu", inputShape: [3] }));
-    newModel.add(tf.layers.dense({ units: 16, activation: "relu" }));
-    newModel.add(tf.layers.dense({ units: 1 }));
-
-    newModel.compile({
-      optimizer: tf.train.adam(),
-      loss: "meanSquaredError",
-    });
-
-    setTrainingStatus("Training model...");
-    try {
-      await newModel.fit(xs, ys, {
-        epochs: 30,
-        batchSize: 64,
-        shuffle: true,
-        callbacks: {
-          onEpochEnd: (epoch) => {
-            const progress = Math.round(((epoch + 1) / 30) * 100);
-            setTrainingProgress(progress);
-            setTrainingStatus(`Training model... Epoch ${epoch + 1}/30`);
-          },
-          onTrainEnd: async () => {
-            setIsTraining(false);
-            setTrainingProgress(100);
-            setTrainingStatus("Training complete. Model saved. Select year, time increment, & tactic to see predictions.");
-            try {
-              await newModel.save(MODEL_URL);
-              console.log(`Model saved to local storage (${MODEL_URL})!`);
-            } catch (error) {
-              setTrainingStatus("Error saving the model. Check console for details.");
-            }
-            setModel(newModel);
-          },
-          onError: (error) => {
-            console.error("Training error:", error);
-            setTrainingStatus("Error during training. Check console for details.");
-            setIsTraining(false);
-          },
-        },
-      });
-    } catch (error) {
-      setTrainingStatus("Exception during training. Check console for details.");
-      setIsTraining(false);
-    }
-
-    xs.dispose();
-    ys.dispose();
-
     setYears(uniqueYears);
+    setTrainingStatus("Data loaded. Select year, time increment, & tactic to see predictions.");
     if (uniqueYears.includes(2025)) {
       setSelectedYear(2025);
     } else if (uniqueYears.length > 0) {
@@ -298,57 +149,21 @@ function AIYearHeatmapMitigation() {
     }
   }
 
+  // Re-runs whenever a newly trained model becomes ready
   useEffect(() => {
-    if (!model || !boundingBox || selectedYear === null) return;
-    generatePredictions(model, boundingBox, selectedYear, timeIncrement, tactic);
+    if (!trainer.ready || !boundingBox || selectedYear === null) return;
+    generatePredictions(boundingBox, selectedYear, timeIncrement);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [model, boundingBox, selectedYear, timeIncrement, tactic]);
+  }, [trainer.ready, trainer.version, boundingBox, selectedYear, timeIncrement]);
 
-  async function generatePredictions(mlModel, box, year, timeInc, tacticVal) {
+  async function generatePredictions(box, year, timeInc) {
     setTrainingStatus(`Generating predictions...`);
     setIsPredicting(true);
     setPredictionProgress(0);
-    const targetYear = parseFloat(year) + timeInc;
-    const step = 10;
-    const latPoints = [];
-    for (let lat = Math.floor(box.minLat); lat <= Math.ceil(box.maxLat); lat += step) {
-      latPoints.push(lat);
-    }
-    const lonPoints = [];
-    for (let lon = Math.floor(box.minLon); lon <= Math.ceil(box.maxLon); lon += step) {
-      lonPoints.push(lon);
-    }
-
-    const preds = [];
-    let tempMax = 0;
-    const inputArray = [];
-    lonPoints.forEach((lon) => {
-      latPoints.forEach((lat) => {
-        inputArray.push([lat, lon, targetYear]);
-      });
-    });
-
-    const years = Math.floor(timeInc);
     try {
-      const inputTensor = tf.tensor2d(inputArray, [inputArray.length, 3]);
-      const outputTensor = mlModel.predict(inputTensor);
-      const outputData = await outputTensor.array();
+      const preds = await predictYearGrid(predict, box, parseFloat(year) + timeInc);
       setPredictionProgress(100);
-
-      outputData.forEach((pred, idx) => {
-        let val = pred[0];
-        const lat = inputArray[idx][0];
-        const lon = inputArray[idx][1];
-        val = applyMitigationStrategy(val, tacticVal, lat, lon, years);
-        preds.push({ lat, lon, predVal: val });
-        if (val > tempMax) tempMax = val;
-      });
-
-      inputTensor.dispose();
-      outputTensor.dispose();
-
-      setHeatmapData(preds);
-      setMaxVal(tempMax);
+      setBasePredictions(preds);
       setTrainingStatus(`Predictions generated!`);
     } catch (error) {
       console.error("Prediction error:", error);
@@ -357,31 +172,124 @@ function AIYearHeatmapMitigation() {
     setIsPredicting(false);
   }
 
-  function applyMitigationStrategy(value, tacticVal, lat, lon, years) {
-    const selectedTactic = tactics.find(t => t.value === tacticVal);
-    if (!selectedTactic) return value;
-    if (!selectedTactic.applies(lat, lon)) return value;
-    let finalValue = value;
-    if (selectedTactic.type === "perYear") {
-      const fullYears = Math.floor(years);
-      finalValue = value * Math.pow(1 - selectedTactic.rate, fullYears);
-    } else if (selectedTactic.type === "oneTime") {
-      finalValue = value * (1 - selectedTactic.rate);
-    }
-    return Math.max(finalValue, 0);
-  }
+  // Unmitigated predictions for every year from the selected one to the
+  // trajectory horizon
+  useEffect(() => {
+    if (!trainer.ready || !boundingBox || selectedYear === null) return undefined;
+    let cancelled = false;
+    setTrajectoryFrames([]);
+    (async () => {
+      const frames = [];
+      for (let year = selectedYear; year <= selectedYear + trajectoryHorizon; year++) {
+        setTrajectoryStatus(`Predicting ${year} (${frames.length + 1} of ${trajectoryHorizon + 1})...`);
+        const points = await predictYearGrid(predict, boundingBox, year);
+        if (cancelled) return;
+        frames.push({ year, points });
+      }
+      setTrajectoryFrames(frames);
+      setTrajectoryStatus(null);
+    })().catch((error) => {
+      console.error("Trajectory prediction error:", error);
+      if (!cancelled) setTrajectoryStatus("Error predicting the trajectories. Check console for details.");
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [trainer.ready, trainer.version, predict, boundingBox, selectedYear, trajectoryHorizon]);
+
+  // Every frame is on the same grid; kept apart from the map's cellSize so
+  // hovering does not recompute the trajectories
+  const trajectoryCellSize = useMemo(
+    () => inferGridSpacing(trajectoryFrames.length ? trajectoryFrames[0].points : []),
+    [trajectoryFrames]
+  );
 
-  function getTacticLabel(value) {
-    const tactic = tactics.find(t => t.value === value);
-    return tactic ? tactic.label : "Unknown";
-  }
+  const hoverFrame = hoverYear === null ? null : trajectoryFrames.find((frame) => frame.year === hoverYear);
+  const mapPredictions = hoverFrame ? hoverFrame.points : basePredictions;
+  // Year shown on the map; tactics and emissions both count it from
+  // BASE_YEAR, like the engine
+  const mapYear = hoverFrame ? hoverFrame.year : selectedYear + timeIncrement;
+  const mapYears = Math.floor(mapYear - BASE_YEAR);
+  const mapGrowth = selectedYear === null ? 1 : emissionsFactor(emissions, mapYear - BASE_YEAR);
+
+  // Baseline emissions and mitigation are applied on top of the model
+  // output, so changing them does not re-run the model
+  const heatmapData = useMemo(() => mapPredictions.map((pred) => {
+    const basePred = pred.basePred * mapGrowth;
+    return {
+      ...pred,
+      basePred,
+      predVal: applyPortfolio(basePred, selectedTactics, portfolio, pred.lat, pred.lon, mapYears),
+    };
+  }), [mapPredictions, selectedTactics, portfolio, mapYears, mapGrowth]);
+
+  const grownFrames = useMemo(() => trajectoryFrames.map((frame) => {
+    const growth = emissionsFactor(emissions, frame.year - BASE_YEAR);
+    return { ...frame, points: frame.points.map((point) => ({ ...point, basePred: point.basePred * growth })) };
+  }), [trajectoryFrames, emissions]);
+
+  const portfolioLabel = selectedTactics.length
+    ? selectedTactics.map((t) => t.label).join(" + ")
+    : "None";
+
+  const visiblePoints = useMemo(() => heatmapData.filter((point) => point.predVal > 0), [heatmapData]);
+  const values = useMemo(() => visiblePoints.map(valueOf), [visiblePoints]);
+  const { scale: colorScale, legend, domain } = useColorScale(values, colorSettings);
+  // Predictions are made on a regular grid, so they can be drawn as cells too
+  const cellSize = useMemo(() => inferGridSpacing(heatmapData), [heatmapData]);
+
+  // Share of the predicted reduction due to each tactic, weighted by cell area
+  const breakdown = useMemo(() => {
+    if (!selectedTactics.length || !heatmapData.length) return null;
+    return attributeReduction(
+      heatmapData,
+      (point) => point.basePred,
+      (point) => cellAreaKm2(point.lat, cellSize),
+      selectedTactics,
+      portfolio,
+      mapYears
+    );
+  }, [heatmapData, cellSize, selectedTactics, portfolio, mapYears]);
+
+  const selection = useMemo(
+    () => (region ? regionStats(heatmapData, valueOf, region, cellSize) : null),
+    [heatmapData, region, cellSize]
+  );
+  const baselineSelection = useMemo(
+    () => (region ? regionStats(heatmapData, (point) => point.basePred, region, cellSize) : null),
+    [heatmapData, region, cellSize]
+  );
+
+  const scenarioInputs = useMemo(
+    () => ({ baseYear: selectedYear, horizon: timeIncrement, portfolio, emissions, region }),
+    [selectedYear, timeIncrement, portfolio, emissions, region]
+  );
+
+  const loadScenario = useCallback((scenario) => {
+    installScenarioTactics(scenario);
+    setSelectedYear(scenario.baseYear);
+    setTimeIncrement(scenario.horizon);
+    setPortfolio(scenario.portfolio);
+    setEmissions(scenario.emissions || DEFAULT_EMISSIONS);
+    setRegion(scenario.region);
+  }, []);
 
-  const colorScale = useMemo(() => {
-    return d3
-      .scaleSequential()
-      .domain([0, maxVal])
-      .interpolator(interpolateYlOrRd);
-  }, [maxVal]);
+  // Runs the model for a saved scenario without touching the map
+  const evaluateScenario = useCallback(async (scenario) => {
+    installScenarioTactics(scenario);
+    const preds = await predictYearGrid(predict, boundingBox, scenario.baseYear + scenario.horizon);
+    const scenarioTactics = portfolioTactics(scenario.portfolio, getTactics());
+    return scenarioOutputs(preds, scenarioTactics, scenario, inferGridSpacing(preds));
+  }, [predict, boundingBox]);
+
+  const tooltip = (point) => `
+    <div>
+      <strong>Lat:</strong> ${point.lat}, <strong>Lon:</strong> ${point.lon}<br />
+      <strong>Year:</strong> ${BASE_YEAR + mapYears}<br />
+      <strong>Mitigation:</strong> ${portfolioLabel}<br />
+      <strong>Predicted:</strong> ${point.predVal.toFixed(1)} pieces/km²
+    </div>
+  `;
 
   return (
     <div className="bg-gradient-to-b from-blue-50 to-white p-6">
@@ -430,40 +338,30 @@ function AIYearHeatmapMitigation() {
             ))}
           </select>
         </div>
+      </div>
 
-        <div className="flex flex-col flex-1">
-          <label htmlFor="tactic" className="font-medium mb-1">Mitigation Tactic:</label>
-          <select
-            id="tactic"
-            className="w-full border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            value={tactic}
-            onChange={(e) => setTactic(e.target.value)}
-          >
-            {tactics.map((t) => (
-              <option key={t.value} value={t.value}>
-                {t.label}
-              </option>
-            ))}
-          </select>
-        </div>
+      <div className="mb-8">
+        <PortfolioBuilder idPrefix="ai-portfolio" tactics={tactics} value={portfolio} onChange={setPortfolio} />
+      </div>
+
+      <div className="mb-8">
+        <EmissionsControls idPrefix="ai-emissions" value={emissions} onChange={setEmissions} />
+      </div>
+
+      <div className="mb-8 space-y-4">
+        <DisplayModeControls value={display} onChange={setDisplay} />
+        <ColorScaleControls idPrefix="ai-color" value={colorSettings} onChange={setColorSettings} domain={domain} />
       </div>
 
       {/* Progress Indicators */}
       <div className="space-y-6 mb-8">
-        {isTraining && (
-          <div className="flex items-center space-x-4">
-            <ClipLoader color="#1d4ed8" size={30} />
-            <div>
-              <p className="text-gray-700">Training Progress: {trainingProgress}%</p>
-              <div className="w-full bg-gray-200 rounded-full h-4">
-                <div
-                  className="bg-blue-600 h-4 rounded-full"
-                  style={{ width: `${trainingProgress}%` }}
-                ></div>
-              </div>
-            </div>
-          </div>
-        )}
+        <TrainingPanel
+          trainer={trainer}
+          onTrain={() => trainModel(trainingData)}
+          onResume={() => trainer.resume(trainingData)}
+          canTrain={Boolean(trainingData)}
+        />
+        {dataError && <p className="bg-red-100 text-red-700 p-2 rounded">{dataError}</p>}
 
         {isPredicting && (
           <div className="flex items-center space-x-4">
@@ -481,9 +379,27 @@ function AIYearHeatmapMitigation() {
         )}
       </div>
 
+      {trainer.ready && boundingBox && selectedYear !== null && (
+        <div className="mb-8">
+          <TrajectoryPanel
+            frames={grownFrames}
+            baseYear={selectedYear}
+            tactics={tactics}
+            selectedTactics={selectedTactics}
+            portfolio={portfolio}
+            cellSize={trajectoryCellSize}
+            region={region}
+            horizon={trajectoryHorizon}
+            onHorizonChange={setTrajectoryHorizon}
+            status={trajectoryStatus}
+            onHoverYear={setHoverYear}
+          />
+        </div>
+      )}
+
       {/* Heatmap Display */}
-      {model && boundingBox && heatmapData.length > 0 ? (
-        <div className="h-screen w-full rounded-lg shadow-lg overflow-hidden">
+      {trainer.ready && boundingBox && heatmapData.length > 0 ? (
+        <div className="relative h-screen w-full rounded-lg shadow-lg overflow-hidden">
           <MapContainer
             center={[20, 0]}
             zoom={3}
@@ -494,44 +410,59 @@ function AIYearHeatmapMitigation() {
             ]}
             maxBoundsViscosity={1.0}
           >
-            <TileLayer
-              attribution='Map data © <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              noWrap={true}
+            <Basemap />
+            <PointInspector />
+            <RegionSelect region={region} onChange={setRegion} />
+            <DataLayer
+              display={display}
+              points={visiblePoints}
+              value={valueOf}
+              colorScale={colorScale}
+              domain={domain}
+              cellSize={cellSize}
+              fillOpacity={0.8}
+              label="Predicted"
+              unit="pieces/km²"
+              tooltip={tooltip}
             />
-            {heatmapData.map((point, i) => {
-              const { lat, lon, predVal } = point;
-              if (predVal <= 0) return null;
-              const color = colorScale(predVal);
-              return (
-                <CircleMarker
-                  key={i}
-                  center={[lat, lon]}
-                  radius={4}
-                  pathOptions={{
-                    color,
-                    fillColor: color,
-                    fillOpacity: 0.8,
-                  }}
-                >
-                  <Tooltip>
-                    <div>
-                      <strong>Lat:</strong> {lat}, <strong>Lon:</strong> {lon}<br />
-                      <strong>Year:</strong> {selectedYear + Math.floor(timeIncrement)}<br />
-                      <strong>Mitigation:</strong> {getTacticLabel(tactic)}<br />
-                      <strong>Predicted:</strong> {predVal.toFixed(1)} pieces/km²
-                    </div>
-                  </Tooltip>
-                </CircleMarker>
-              );
-            })}
           </MapContainer>
+          <MapLegend title="Predicted" unit="pieces/km²" legend={legend} />
+          {hoverFrame && (
+            <span className="absolute top-2 right-4 z-[1000] bg-white bg-opacity-90 rounded shadow px-2 py-1 text-xs font-semibold text-gray-800">
+              Showing {hoverFrame.year} from the trajectory chart
+            </span>
+          )}
         </div>
       ) : (
         <div className="flex flex-col items-center justify-center h-screen w-full rounded-lg shadow-lg bg-gray-100">
           <p className="text-gray-700">Waiting for training/predictions...</p>
         </div>
       )}
+
+      <div className="mt-4">
+        <RegionStats
+          region={region}
+          stats={selection}
+          baseline={selectedTactics.length ? baselineSelection : null}
+          label="Predicted"
+          unit="pieces/km²"
+          onClear={() => setRegion(null)}
+        />
+      </div>
+
+      {breakdown && (
+        <div className="mt-6">
+          <PortfolioBreakdown breakdown={breakdown} unit="pieces" scope="predicted grid" />
+        </div>
+      )}
+
+      <div className="mt-6">
+        <ScenarioManager
+          inputs={scenarioInputs}
+          onLoad={loadScenario}
+          evaluate={trainer.ready && boundingBox ? evaluateScenario : null}
+        />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,176 @@
+// src/components/AnimationExport.jsx
+import React, { useState } from 'react';
+import { MONTHS, loadDataset } from '../utils/datasets';
+import { METRICS, metricValue } from '../utils/metrics';
+import { inferGridSpacing, joinCells } from '../utils/grid';
+import { buildColorScale } from '../utils/colorScales';
+import { renderMapFrame } from '../utils/frameRenderer';
+import {
+  EXPORT_FORMATS, encodeGif, encodeWebm, webmSupported, zipPngFrames,
+} from '../utils/animationExport';
+import { downloadBlob } from '../utils/download';
+
+const MONTHLY_METRICS = METRICS.filter((m) => m.monthly);
+
+const RESOLUTIONS = [
+  { value: 960, label: '960 × 480' },
+  { value: 1440, label: '1440 × 720' },
+  { value: 1920, label: '1920 × 960' },
+  { value: 3840, label: '3840 × 1920' },
+];
+
+const valueOf = (row) => row.val;
+
+// Lets the event loop repaint the progress bar between frames
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Renders the 12 monthly frames of a layer offscreen (bundled basemap, no
+// tiles) and downloads them as a GIF, a WebM video or a zip of PNGs.
+// All frames share one color scale, built from `colorSettings` over the whole
+// year so the months are comparable.
+function AnimationExport({ metricId, colorSettings }) {
+  const [layerId, setLayerId] = useState(
+    MONTHLY_METRICS.some((m) => m.id === metricId) ? metricId : MONTHLY_METRICS[0].id
+  );
+  const [resolution, setResolution] = useState(RESOLUTIONS[0].value);
+  const [format, setFormat] = useState('gif');
+  const [delayMs, setDelayMs] = useState(1000);
+  const [status, setStatus] = useState(null); // { message, progress }
+  const [error, setError] = useState(null);
+  const busy = status !== null;
+
+  async function handleExport() {
+    const metric = MONTHLY_METRICS.find((m) => m.id === layerId);
+    setError(null);
+    setStatus({ message: 'Loading data...', progress: 0 });
+    try {
+      const records = await Promise.all(metric.datasets.map(loadDataset));
+      const cells = joinCells(Object.fromEntries(metric.datasets.map((name, i) => [name, records[i]])));
+      const cellSize = inferGridSpacing(cells);
+      const allValues = cells.flatMap((cell) => MONTHS.map((_, m) => metricValue(metric, cell, m)));
+      const { scale, legend } = buildColorScale(allValues, colorSettings);
+
+      const frames = [];
+      for (let m = 0; m < MONTHS.length; m++) {
+        setStatus({ message: `Rendering ${MONTHS[m]}`, progress: m / MONTHS.length });
+        await nextTick();
+        const canvas = document.createElement('canvas');
+        canvas.width = resolution;
+        canvas.height = resolution / 2;
+        const points = cells
+          .map((cell) => ({ lat: cell.lat, lon: cell.lon, val: metricValue(metric, cell, m) }))
+          .filter((row) => row.val !== null);
+        renderMapFrame(canvas, {
+          points,
+          value: valueOf,
+          colorScale: scale,
+          cellSize,
+          legend,
+          legendLabel: `${metric.label} (${metric.unit})`,
+          title: `${metric.label}: ${MONTHS[m]}`,
+          subtitle: 'Monthly climatology (Level 3 grid)',
+        });
+        frames.push(canvas);
+      }
+
+      setStatus({ message: `Encoding ${format.toUpperCase()}...`, progress: 1 });
+      await nextTick();
+      const baseName = `${metric.id}-monthly-${resolution}`;
+      const { extension } = EXPORT_FORMATS.find((f) => f.value === format);
+      let blob;
+      if (format === 'gif') {
+        blob = encodeGif(frames, delayMs);
+      } else if (format === 'webm') {
+        blob = await encodeWebm(frames, delayMs);
+      } else {
+        const names = MONTHS.map((_, m) => `${baseName}-${String(m + 1).padStart(2, '0')}.png`);
+        blob = await zipPngFrames(frames, names);
+      }
+      downloadBlob(blob, `${baseName}.${extension}`);
+    } catch (err) {
+      console.error('Animation export failed:', err);
+      setError(err.message || String(err));
+    } finally {
+      setStatus(null);
+    }
+  }
+
+  const selectClass = 'w-full border border-gray-300 rounded p-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <details className="w-full bg-white rounded-lg shadow p-4 text-sm text-gray-700">
+      <summary className="cursor-pointer font-medium text-gray-700">Export animation</summary>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end mt-3">
+        <label className="block">
+          <span className="block font-medium mb-1">Layer:</span>
+          <select className={selectClass} value={layerId} onChange={(e) => setLayerId(e.target.value)} disabled={busy}>
+            {MONTHLY_METRICS.map((m) => (
+              <option key={m.id} value={m.id}>{m.label} ({m.unit})</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block font-medium mb-1">Resolution:</span>
+          <select
+            className={selectClass}
+            value={resolution}
+            onChange={(e) => setResolution(parseInt(e.target.value, 10))}
+            disabled={busy}
+          >
+            {RESOLUTIONS.map((r) => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block font-medium mb-1">Format:</span>
+          <select className={selectClass} value={format} onChange={(e) => setFormat(e.target.value)} disabled={busy}>
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.value} value={f.value} disabled={f.value === 'webm' && !webmSupported()}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block font-medium mb-1">Frame duration: {delayMs / 1000}s</span>
+          <input
+            type="range"
+            min="200"
+            max="3000"
+            step="100"
+            value={delayMs}
+            onChange={(e) => setDelayMs(parseInt(e.target.value, 10))}
+            disabled={busy || format === 'png'}
+            className="w-full"
+          />
+        </label>
+      </div>
+      <div className="flex items-center space-x-4 mt-3">
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={busy}
+          className="bg-blue-500 text-white px-4 py-1 rounded disabled:opacity-50"
+        >
+          Export
+        </button>
+        {status && (
+          <div className="flex-1">
+            <p className="text-gray-600">{status.message}</p>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${status.progress * 100}%` }}></div>
+            </div>
+          </div>
+        )}
+        {error && <p className="text-red-600">Export failed: {error}</p>}
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Frames use the bundled offline basemap and the current color settings over all 12 months.
+        {format === 'webm' && ' WebM is recorded in real time.'}
+      </p>
+    </details>
+  );
+}
+
+export default AnimationExport;
@@ -0,0 +1,69 @@
+// src/components/Basemap.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { TileLayer } from 'react-leaflet';
+import L from 'leaflet';
+import { BASEMAPS, TILE_ATTRIBUTION, TILE_ERROR_LIMIT, TILE_URL } from '../utils/basemap';
+import { useBasemap } from '../hooks/useBasemap';
+import OfflineBasemap from './OfflineBasemap';
+
+// Background layer for every MapContainer, with a basemap picker in the top
+// right corner. In 'auto' mode online tiles are used until several fail to
+// load (or the browser is offline), then the bundled vector basemap is shown.
+function Basemap() {
+  const [basemap, setBasemap] = useBasemap();
+  const [tilesFailed, setTilesFailed] = useState(() => navigator.onLine === false);
+  const errorCount = useRef(0);
+  const controlRef = useRef(null);
+
+  // Clicks and scrolls on the picker should not pan or zoom the map
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(controlRef.current);
+    L.DomEvent.disableScrollPropagation(controlRef.current);
+  }, []);
+
+  const handleTileError = () => {
+    errorCount.current += 1;
+    if (errorCount.current >= TILE_ERROR_LIMIT) setTilesFailed(true);
+  };
+
+  const offline = basemap === 'offline' || (basemap === 'auto' && tilesFailed);
+
+  return (
+    <>
+      {offline ? (
+        <OfflineBasemap />
+      ) : (
+        <TileLayer
+          attribution={TILE_ATTRIBUTION}
+          url={TILE_URL}
+          noWrap
+          eventHandlers={{ tileerror: handleTileError }}
+        />
+      )}
+      <div
+        ref={controlRef}
+        className="absolute top-2 right-2 z-[1000] bg-white bg-opacity-90 rounded shadow px-2 py-1 text-xs text-gray-800"
+      >
+        <select
+          aria-label="Basemap"
+          className="bg-transparent focus:outline-none"
+          value={basemap}
+          onChange={(e) => {
+            errorCount.current = 0;
+            setTilesFailed(false);
+            setBasemap(e.target.value);
+          }}
+        >
+          {BASEMAPS.map((b) => (
+            <option key={b.value} value={b.value}>{b.label}</option>
+          ))}
+        </select>
+        {basemap === 'auto' && tilesFailed && (
+          <div className="text-gray-500">Tiles unavailable, using offline basemap</div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default Basemap;
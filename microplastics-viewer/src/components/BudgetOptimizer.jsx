@@ -0,0 +1,176 @@
+// src/components/BudgetOptimizer.jsx
+import React, { useState } from 'react';
+import { cellAreaKm2 } from '../utils/regions';
+import {
+  buildProblem, costFrontier, optimizeForBudget, optimizeForTarget,
+} from '../mitigation/optimizer';
+import { COST_UNIT, formatCost } from '../mitigation/costs';
+import LineChart from './LineChart';
+
+const MODES = [
+  { value: 'budget', label: 'Best reduction for a budget' },
+  { value: 'target', label: 'Cheapest way to a target' },
+];
+
+const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+// Picks tactics and ocean basins to deploy them in, either to get the most
+// out of a budget or to reach a reduction target as cheaply as possible, and
+// plots the cost/benefit frontier. `rows` are the Level 3 cells with their
+// unmitigated `level3p`; the horizon and stacking rule are the page's.
+// `onShowPlan(plan | null)` puts a plan on (or takes it off) the map.
+function BudgetOptimizer({ tactics, rows, cellSize, years, rule, cap, plan, onShowPlan }) {
+  const [mode, setMode] = useState('budget');
+  const [budget, setBudget] = useState(5000);
+  const [target, setTarget] = useState(0.5);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const handleRun = () => {
+    setRunning(true);
+    // Let the button show its busy state before the (synchronous) search
+    setTimeout(() => {
+      const problem = buildProblem(tactics, rows, {
+        load: (row) => row.level3p * cellAreaKm2(row.lat, cellSize),
+        area: (row) => cellAreaKm2(row.lat, cellSize),
+        years,
+        rule,
+        cap,
+      });
+      const best = mode === 'budget' ? optimizeForBudget(problem, budget) : optimizeForTarget(problem, target);
+      setResult({
+        mode, budget, target, years, plan: best, frontier: costFrontier(problem), skipped: problem.skipped,
+      });
+      onShowPlan(null);
+      setRunning(false);
+    }, 0);
+  };
+
+  const shown = result && plan === result.plan;
+  const inputClass = 'border border-gray-300 rounded p-1 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-800">
+      <h3 className="font-semibold text-gray-700 mb-1">Budget optimiser</h3>
+      <p className="text-gray-500 mb-3">
+        Chooses tactics, and for area-priced tactics the ocean basins to deploy them in, to cut the
+        area-weighted global load over {years} year{years === 1 ? '' : 's'}, combining overlaps as set above.
+      </p>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-4 mb-3">
+        <div className="inline-flex rounded-lg shadow-sm overflow-hidden border border-gray-300">
+          {MODES.map((m) => (
+            <button
+              key={m.value}
+              type="button"
+              onClick={() => setMode(m.value)}
+              className={`px-3 py-1 ${
+                mode === m.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        {mode === 'budget' ? (
+          <label htmlFor="optimizer-budget" className="text-gray-700">
+            Budget ({COST_UNIT}):
+            <input
+              id="optimizer-budget"
+              type="number"
+              min="0"
+              step="100"
+              className={`${inputClass} block w-32`}
+              value={budget}
+              onChange={(e) => setBudget(Math.max(parseFloat(e.target.value) || 0, 0))}
+            />
+          </label>
+        ) : (
+          <label htmlFor="optimizer-target" className="text-gray-700">
+            Reduction target: {Math.round(target * 100)}%
+            <input
+              id="optimizer-target"
+              type="range"
+              min="5"
+              max="99"
+              value={Math.round(target * 100)}
+              onChange={(e) => setTarget(parseInt(e.target.value, 10) / 100)}
+              className="block w-48"
+            />
+          </label>
+        )}
+        <button
+          type="button"
+          onClick={handleRun}
+          disabled={running || !rows.length}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-300 disabled:opacity-50"
+        >
+          {running ? 'Optimising…' : 'Optimise'}
+        </button>
+      </div>
+
+      {result && (
+        <>
+          {result.mode === 'target' && !result.plan.feasible && (
+            <p className="bg-yellow-100 text-yellow-800 p-2 rounded mb-2">
+              No mix of the costed tactics reaches {Math.round(result.target * 100)}%; the most they achieve is shown.
+            </p>
+          )}
+          <p className="mb-2">
+            <strong>{percent(result.plan.fraction)}</strong> less global load for{' '}
+            <strong>{formatCost(result.plan.cost)}</strong>
+            {result.mode === 'budget' && ` (budget ${formatCost(result.budget)})`}.
+            {result.skipped > 0 && (
+              <span className="text-gray-500"> {result.skipped} tactic{result.skipped === 1 ? '' : 's'} without costs left out.</span>
+            )}
+          </p>
+          {result.plan.options.length > 0 && (
+            <table className="w-full mb-2">
+              <tbody>
+                {result.plan.options.map((option) => (
+                  <tr key={option.tactic.id} className="border-t border-gray-100">
+                    <td className="py-1 pr-2">{option.tactic.label}</td>
+                    <td className="py-1 text-right text-gray-500">{formatCost(option.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {result.plan.options.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onShowPlan(shown ? null : result.plan)}
+              disabled={result.years !== years}
+              className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline mb-3"
+            >
+              {shown ? 'Back to the portfolio on the map' : 'Show this plan on the map'}
+            </button>
+          )}
+          {result.years !== years && (
+            <p className="text-gray-500 mb-3">The horizon changed since this run; optimise again to update it.</p>
+          )}
+
+          <h4 className="font-semibold text-gray-700 mb-1">Cost/benefit frontier</h4>
+          <LineChart
+            series={[{
+              label: 'Best reduction found',
+              color: '#2563eb',
+              points: result.frontier.map((p) => ({ x: p.cost, y: p.fraction * 100 })),
+            }]}
+            marker={result.plan.cost}
+            xFormat={formatCost}
+            yFormat={(v) => `${Number(v.toFixed(1))}%`}
+            xLabel={`Cost (${COST_UNIT})`}
+            yLabel="Global load removed"
+            height={220}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Each step adds the option with the most extra reduction per dollar; the dashed line marks the chosen plan.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BudgetOptimizer;
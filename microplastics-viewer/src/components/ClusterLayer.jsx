@@ -0,0 +1,94 @@
+// src/components/ClusterLayer.jsx
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import { formatNumber } from '../utils/format';
+
+function clusterStats(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const sum = sorted.reduce((acc, v) => acc + v, 0);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    mean: sum / sorted.length,
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+// Clustered markers (leaflet.markercluster). Cluster icons are coloured by the
+// mean value of their members; clicking a cluster opens a popup with aggregate stats.
+function ClusterLayer({ points, value, colorScale, label, unit, tooltip }) {
+  const map = useMap();
+  const groupRef = useRef(null);
+  const propsRef = useRef({ value, colorScale, label, unit });
+  propsRef.current = { value, colorScale, label, unit };
+
+  useEffect(() => {
+    const group = L.markerClusterGroup({
+      chunkedLoading: true,
+      showCoverageOnHover: false,
+      zoomToBoundsOnClick: false,
+      iconCreateFunction: (cluster) => {
+        const { value: getValue, colorScale: scale } = propsRef.current;
+        const members = cluster.getAllChildMarkers().map((m) => m.options.point);
+        const mean = members.reduce((acc, p) => acc + getValue(p), 0) / members.length;
+        const size = members.length < 10 ? 30 : members.length < 100 ? 38 : 46;
+        return L.divIcon({
+          html: `<div style="background:${scale(mean)};width:${size}px;height:${size}px;line-height:${size}px;border-radius:50%;text-align:center;font-weight:600;color:#1f2937;border:2px solid rgba(255,255,255,0.8)">${members.length}</div>`,
+          className: '',
+          iconSize: L.point(size, size),
+        });
+      },
+    });
+
+    group.on('clusterclick', (e) => {
+      const { value: getValue, label: title, unit: units } = propsRef.current;
+      const stats = clusterStats(e.layer.getAllChildMarkers().map((m) => getValue(m.options.point)));
+      L.popup()
+        .setLatLng(e.layer.getLatLng())
+        .setContent(`
+          <div class="text-sm text-gray-800">
+            <strong>${stats.count} cells</strong> · ${title} (${units})<br />
+            <strong>Mean:</strong> ${formatNumber(stats.mean)}<br />
+            <strong>Median:</strong> ${formatNumber(stats.median)}<br />
+            <strong>Min:</strong> ${formatNumber(stats.min)} · <strong>Max:</strong> ${formatNumber(stats.max)}
+          </div>
+        `)
+        .openOn(map);
+    });
+
+    group.addTo(map);
+    groupRef.current = group;
+    return () => {
+      group.remove();
+      groupRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const group = groupRef.current;
+    group.clearLayers();
+    group.addLayers(points.map((point) => {
+      const fill = colorScale(value(point));
+      const marker = L.circleMarker([point.lat, point.lon], {
+        point,
+        radius: 6,
+        color: fill,
+        fillColor: fill,
+        fillOpacity: 0.85,
+      });
+      if (tooltip) marker.bindTooltip(() => tooltip(point));
+      return marker;
+    }));
+    // tooltip is read when markers are rebuilt; it does not need its own rebuild
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [points, value, colorScale]);
+
+  return null;
+}
+
+export default ClusterLayer;
@@ -0,0 +1,100 @@
+// src/components/ColorScaleControls.jsx
+import React from 'react';
+import { PALETTES, SCALE_TYPES } from '../utils/colorScales';
+
+// Scale type, palette, class count and pinned-domain inputs for a map.
+// `domain` is the domain currently in use; it seeds the inputs when pinning.
+function ColorScaleControls({ value, onChange, domain, idPrefix = 'color' }) {
+  const update = (patch) => onChange({ ...value, ...patch });
+  const isClassed = value.type === 'quantile' || value.type === 'threshold';
+  const inputClass = 'w-full border border-gray-300 rounded p-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const setDomainValue = (index, raw) => {
+    const num = parseFloat(raw);
+    if (Number.isNaN(num)) return;
+    const next = [...value.domain];
+    next[index] = num;
+    update({ domain: next });
+  };
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end text-sm">
+      <div>
+        <label htmlFor={`${idPrefix}-scale`} className="block font-medium text-gray-700 mb-1">Scale:</label>
+        <select
+          id={`${idPrefix}-scale`}
+          className={inputClass}
+          value={value.type}
+          onChange={(e) => update({ type: e.target.value })}
+        >
+          {SCALE_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>{t.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-palette`} className="block font-medium text-gray-700 mb-1">Palette:</label>
+        <select
+          id={`${idPrefix}-palette`}
+          className={inputClass}
+          value={value.palette}
+          onChange={(e) => update({ palette: e.target.value })}
+        >
+          {PALETTES.map((p) => (
+            <option key={p.id} value={p.id}>{p.label}</option>
+          ))}
+        </select>
+      </div>
+      {isClassed ? (
+        <div>
+          <label htmlFor={`${idPrefix}-classes`} className="block font-medium text-gray-700 mb-1">
+            Classes: {value.classes}
+          </label>
+          <input
+            id={`${idPrefix}-classes`}
+            type="range"
+            min="2"
+            max="9"
+            value={value.classes}
+            onChange={(e) => update({ classes: parseInt(e.target.value, 10) })}
+            className="w-full"
+          />
+        </div>
+      ) : (
+        <div></div>
+      )}
+      <div>
+        <label className="flex items-center space-x-2 font-medium text-gray-700 mb-1">
+          <input
+            type="checkbox"
+            checked={value.pinned}
+            onChange={(e) => update({ pinned: e.target.checked, domain: e.target.checked ? domain : value.domain })}
+          />
+          <span>Pin domain</span>
+        </label>
+        {value.pinned && (
+          <div className="flex space-x-1">
+            <input
+              type="number"
+              step="any"
+              aria-label="Domain minimum"
+              className={inputClass}
+              value={value.domain[0]}
+              onChange={(e) => setDomainValue(0, e.target.value)}
+            />
+            <input
+              type="number"
+              step="any"
+              aria-label="Domain maximum"
+              className={inputClass}
+              value={value.domain[1]}
+              onChange={(e) => setDomainValue(1, e.target.value)}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ColorScaleControls;
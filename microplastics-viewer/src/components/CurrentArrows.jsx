@@ -0,0 +1,62 @@
+// src/components/CurrentArrows.jsx
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+// Longest arrow, in degrees of latitude, drawn for the fastest current
+const MAX_ARROW_DEG = 4;
+const HEAD_FRACTION = 0.35;
+const HEAD_ANGLE = (150 * Math.PI) / 180;
+
+// Arrows showing a surface-current field (see transport/currents.js) on
+// every other row of its grid, scaled by speed. Place inside a MapContainer.
+function CurrentArrows({ field, color = '#334155' }) {
+  const map = useMap();
+
+  useEffect(() => {
+    let maxSpeed = 0;
+    for (let i = 0; i < field.u.length; i++) maxSpeed = Math.max(maxSpeed, Math.hypot(field.u[i], field.v[i]));
+    if (maxSpeed === 0) return undefined;
+
+    const lines = [];
+    for (let row = 0; row < field.rows; row += 2) {
+      const lat = field.latMin + (row + 0.5) * field.dLat;
+      const stretch = 1 / Math.max(Math.cos((lat * Math.PI) / 180), 0.2);
+      for (let col = 0; col < field.cols; col++) {
+        const u = field.u[row * field.cols + col];
+        const v = field.v[row * field.cols + col];
+        const speed = Math.hypot(u, v);
+        if (speed > 0) {
+          const lon = field.lonMin + (col + 0.5) * field.dLon;
+          const length = (MAX_ARROW_DEG * speed) / maxSpeed;
+          const angle = Math.atan2(v, u);
+          const dx = (Math.cos(angle) * length * stretch) / 2;
+          const dy = (Math.sin(angle) * length) / 2;
+          const tip = [lat + dy, lon + dx];
+          lines.push([[lat - dy, lon - dx], tip]);
+          [angle + HEAD_ANGLE, angle - HEAD_ANGLE].forEach((a) => {
+            lines.push([tip, [
+              tip[0] + Math.sin(a) * length * HEAD_FRACTION,
+              tip[1] + Math.cos(a) * length * HEAD_FRACTION * stretch,
+            ]]);
+          });
+        }
+      }
+    }
+
+    const layer = L.polyline(lines, {
+      renderer: L.canvas(),
+      interactive: false,
+      color,
+      weight: 1,
+      opacity: 0.7,
+    }).addTo(map);
+    return () => {
+      layer.remove();
+    };
+  }, [map, field, color]);
+
+  return null;
+}
+
+export default CurrentArrows;
@@ -0,0 +1,63 @@
+// src/components/DataLayer.jsx
+import React, { useCallback } from 'react';
+import GridLayer from './GridLayer';
+import HeatLayer from './HeatLayer';
+import ClusterLayer from './ClusterLayer';
+
+// Draws a set of valued points in the display mode chosen with
+// DisplayModeControls: grid cells, points, heatmap or clusters.
+// `value` (point -> number) and `colorScale` (number -> color) should be memoised.
+function DataLayer({
+  display, points, value, colorScale, domain, cellSize, fillOpacity = 0.85, label, unit, tooltip, onClick,
+}) {
+  const color = useCallback((point) => colorScale(value(point)), [colorScale, value]);
+
+  switch (display.mode) {
+    case 'heatmap':
+      return (
+        <HeatLayer
+          points={points}
+          value={value}
+          max={domain[1]}
+          radius={display.radius}
+          blur={display.blur}
+        />
+      );
+    case 'clusters':
+      return (
+        <ClusterLayer
+          points={points}
+          value={value}
+          colorScale={colorScale}
+          label={label}
+          unit={unit}
+          tooltip={tooltip}
+        />
+      );
+    case 'points':
+      return (
+        <GridLayer
+          points={points}
+          color={color}
+          radius={5}
+          fillOpacity={fillOpacity}
+          tooltip={tooltip}
+          onClick={onClick}
+        />
+      );
+    default:
+      return (
+        <GridLayer
+          points={points}
+          color={color}
+          shape="cell"
+          cellSize={cellSize}
+          fillOpacity={fillOpacity}
+          tooltip={tooltip}
+          onClick={onClick}
+        />
+      );
+  }
+}
+
+export default DataLayer;
@@ -0,0 +1,42 @@
+// src/components/DatasetStatus.jsx
+import React from 'react';
+import { ClipLoader } from 'react-spinners';
+import { loadDataset } from '../utils/datasets';
+
+// Progress bar / error banner for datasets loaded through useDatasets.
+function DatasetStatus({ loading, progress, errors }) {
+  if (errors && errors.length > 0) {
+    return (
+      <div className="bg-red-100 text-red-700 p-4 rounded mb-4 flex items-center justify-between">
+        <p>Failed to load data: {errors.map((e) => e.message).join('; ')}</p>
+        <button
+          onClick={() => errors.forEach((e) => loadDataset(e.name).catch(() => {}))}
+          className="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!loading) return null;
+
+  const percent = progress === null ? null : Math.round(progress * 100);
+  return (
+    <div className="flex items-center space-x-4 mb-4">
+      <ClipLoader color="#1d4ed8" size={24} />
+      <div className="flex-1">
+        <p className="text-gray-700 text-sm">
+          Loading data{percent !== null ? `: ${percent}%` : '...'}
+        </p>
+        {percent !== null && (
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${percent}%` }}></div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DatasetStatus;
@@ -0,0 +1,59 @@
+// src/components/DisplayModeControls.jsx
+import React from 'react';
+import { DISPLAY_MODES } from '../utils/displayModes';
+
+// Mode toggle for DataLayer, plus radius/blur sliders in heatmap mode.
+function DisplayModeControls({ value, onChange, modes = DISPLAY_MODES }) {
+  const update = (patch) => onChange({ ...value, ...patch });
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-end gap-4">
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Display:</span>
+        <div className="inline-flex rounded-lg shadow-sm overflow-hidden border border-gray-300">
+          {modes.map((m) => (
+            <button
+              key={m.value}
+              type="button"
+              onClick={() => update({ mode: m.value })}
+              className={`px-3 py-1 text-sm ${
+                value.mode === m.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {value.mode === 'heatmap' && (
+        <>
+          <label className="text-sm text-gray-700">
+            Radius: {value.radius}px
+            <input
+              type="range"
+              min="5"
+              max="60"
+              value={value.radius}
+              onChange={(e) => update({ radius: parseInt(e.target.value, 10) })}
+              className="block w-40"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Blur: {value.blur}px
+            <input
+              type="range"
+              min="1"
+              max="40"
+              value={value.blur}
+              onChange={(e) => update({ blur: parseInt(e.target.value, 10) })}
+              className="block w-40"
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DisplayModeControls;
@@ -0,0 +1,115 @@
+// src/components/EmissionsControls.jsx
+import React, { useEffect, useState } from 'react';
+import {
+  EMISSIONS_TYPES, formatEmissionsTable, parseEmissionsTable,
+} from '../mitigation/emissions';
+import { BASE_YEAR } from '../mitigation/engine';
+
+const DEFAULT_GROWTH = 3;
+const EXAMPLE_TABLE = [
+  { year: BASE_YEAR + 5, factor: 1.2 },
+  { year: BASE_YEAR + 15, factor: 1.5 },
+];
+
+// Picks the baseline emissions trajectory (see mitigation/emissions.js):
+// constant, a yearly growth rate, or a table of factors by year.
+function EmissionsControls({ value, onChange, idPrefix = 'emissions' }) {
+  const [tableText, setTableText] = useState(
+    formatEmissionsTable(value.type === 'table' ? value.points : EXAMPLE_TABLE)
+  );
+  const [tableError, setTableError] = useState(null);
+
+  // Show a table set from outside, e.g. by loading a saved scenario
+  useEffect(() => {
+    if (value.type !== 'table') return;
+    setTableText((text) => {
+      try {
+        if (JSON.stringify(parseEmissionsTable(text)) === JSON.stringify(value.points)) return text;
+      } catch {
+        // the text does not describe the new table either
+      }
+      return formatEmissionsTable(value.points);
+    });
+  }, [value]);
+
+  const changeType = (type) => {
+    setTableError(null);
+    if (type === 'growth') {
+      onChange({ type, percentPerYear: DEFAULT_GROWTH });
+    } else if (type === 'table') {
+      try {
+        onChange({ type, points: parseEmissionsTable(tableText) });
+      } catch (err) {
+        setTableError(err.message);
+      }
+    } else {
+      onChange({ type });
+    }
+  };
+
+  const changeTable = (text) => {
+    setTableText(text);
+    try {
+      onChange({ type: 'table', points: parseEmissionsTable(text) });
+      setTableError(null);
+    } catch (err) {
+      setTableError(err.message);
+    }
+  };
+
+  const inputClass = 'border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="text-sm space-y-2">
+      <label htmlFor={`${idPrefix}-type`} className="block font-medium text-gray-700">
+        Baseline emissions:
+      </label>
+      <select
+        id={`${idPrefix}-type`}
+        className={inputClass}
+        value={value.type}
+        onChange={(e) => changeType(e.target.value)}
+      >
+        {EMISSIONS_TYPES.map((t) => (
+          <option key={t.value} value={t.value}>{t.label}</option>
+        ))}
+      </select>
+
+      {value.type === 'growth' && (
+        <label className="flex items-center space-x-2">
+          <input
+            type="number"
+            step="0.5"
+            min="-50"
+            max="50"
+            className={`${inputClass} w-24`}
+            value={value.percentPerYear}
+            onChange={(e) => {
+              const percent = parseFloat(e.target.value);
+              if (Number.isFinite(percent) && percent > -100) onChange({ type: 'growth', percentPerYear: percent });
+            }}
+          />
+          <span>% per year from {BASE_YEAR}</span>
+        </label>
+      )}
+
+      {value.type === 'table' && (
+        <div>
+          <textarea
+            id={`${idPrefix}-table`}
+            rows="4"
+            className={`${inputClass} w-48 font-mono`}
+            value={tableText}
+            onChange={(e) => changeTable(e.target.value)}
+          />
+          <p className="text-xs text-gray-500">
+            One &quot;year factor&quot; per line, relative to {BASE_YEAR}; straight lines in between.
+          </p>
+        </div>
+      )}
+      {tableError && <p className="bg-red-100 text-red-700 p-2 rounded">{tableError}</p>}
+    </div>
+  );
+}
+
+export default EmissionsControls;
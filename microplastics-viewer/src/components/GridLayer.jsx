@@ -0,0 +1,41 @@
+// src/components/GridLayer.jsx
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import { CanvasGridLayer } from '../layers/CanvasGridLayer';
+
+// react-leaflet wrapper around CanvasGridLayer.
+// `shape="cell"` draws every point as its grid cell; pass the full grid's
+// `cellSize` so sparse layers keep the right spacing.
+// `color` and `cellSize` should be memoised by the caller: new ones trigger a redraw.
+// `tooltip` and `onClick` can change freely.
+function GridLayer({ points, color, radius = 4, fillOpacity = 0.85, shape = 'circle', cellSize = null, tooltip, onClick }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const handlersRef = useRef({ tooltip, onClick });
+  handlersRef.current = { tooltip, onClick };
+
+  useEffect(() => {
+    const layer = new CanvasGridLayer({
+      tooltip: (point) => (handlersRef.current.tooltip ? handlersRef.current.tooltip(point) : null),
+      onClick: (point, latlng) => handlersRef.current.onClick && handlersRef.current.onClick(point, latlng),
+    });
+    layer.addTo(map);
+    layerRef.current = layer;
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current.setStyle({ color, radius, fillOpacity, shape, cellSize });
+  }, [color, radius, fillOpacity, shape, cellSize]);
+
+  useEffect(() => {
+    layerRef.current.setData(points);
+  }, [points]);
+
+  return null;
+}
+
+export default GridLayer;
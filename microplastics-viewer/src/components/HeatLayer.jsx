@@ -0,0 +1,38 @@
+// src/components/HeatLayer.jsx
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+
+// Kernel-density heatmap (leaflet.heat) weighted by each point's value.
+// Weights are normalised by `max` so the hottest cell saturates the gradient.
+function HeatLayer({ points, value, max, radius = 25, blur = 15 }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const layer = L.heatLayer([], { radius, blur, maxZoom: 6 });
+    layer.addTo(map);
+    layerRef.current = layer;
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+    // radius/blur are applied by the effect below
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current.setOptions({ radius, blur });
+  }, [radius, blur]);
+
+  useEffect(() => {
+    const scale = max > 0 ? max : 1;
+    const latlngs = points.map((point) => [point.lat, point.lon, Math.max(value(point), 0) / scale]);
+    layerRef.current.setLatLngs(latlngs);
+  }, [points, value, max]);
+
+  return null;
+}
+
+export default HeatLayer;
@@ -0,0 +1,239 @@
+// src/components/InSituObservations.jsx
+import React, { useCallback, useMemo, useState } from 'react';
+import { MapContainer, CircleMarker } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MONTHS } from '../utils/datasets';
+import { formatSampleDate } from '../utils/format';
+import { DEFAULT_COLOR_SETTINGS } from '../utils/colorScales';
+import { useDataset } from '../hooks/useDatasets';
+import { useColorScale } from '../hooks/useColorScale';
+import DatasetStatus from './DatasetStatus';
+import GridLayer from './GridLayer';
+import ColorScaleControls from './ColorScaleControls';
+import MapLegend from './MapLegend';
+import Basemap from './Basemap';
+import PointInspector from './PointInspector';
+
+// Concentration levels recorded for each ship sample in Level012R1.csv
+const levels = [
+  { value: 'level0', label: 'Level 0', unit: 'pieces/m³' },
+  { value: 'level1', label: 'Level 1', unit: 'pieces/m³' },
+  { value: 'level2p', label: 'Level 2p', unit: 'pieces/km²' },
+  { value: 'level2w1', label: 'Level 2w1', unit: 'g/km²' },
+  { value: 'level2w2', label: 'Level 2w2', unit: 'g/km²' },
+];
+
+// Year and month folded into one sortable number, e.g. 2013-07 -> 24163
+const monthKey = (year, month) => year * 12 + (month - 1);
+
+function formatValue(val, digits = 3) {
+  if (val === null) return 'No data';
+  return Math.abs(val) >= 1000 || (val !== 0 && Math.abs(val) < 0.001)
+    ? val.toExponential(2)
+    : val.toFixed(digits);
+}
+
+function InSituObservations() {
+  const { data, loading, progress, errors } = useDataset('level012');
+  const [level, setLevel] = useState('level0');
+  const [fromYear, setFromYear] = useState(null);
+  const [fromMonth, setFromMonth] = useState(1);
+  const [toYear, setToYear] = useState(null);
+  const [toMonth, setToMonth] = useState(12);
+  const [selected, setSelected] = useState(null);
+  const [colorSettings, setColorSettings] = useState(DEFAULT_COLOR_SETTINGS);
+
+  const samples = useMemo(
+    () => (data || []).filter((s) => s.year !== null && s.month !== null),
+    [data]
+  );
+
+  const years = useMemo(() => {
+    const unique = new Set(samples.map((s) => s.year));
+    return Array.from(unique).sort((a, b) => a - b);
+  }, [samples]);
+
+  // Default the range to the full extent of the data
+  const startYear = fromYear ?? years[0];
+  const endYear = toYear ?? years[years.length - 1];
+
+  const levelInfo = levels.find((l) => l.value === level);
+
+  const filtered = useMemo(() => {
+    if (!samples.length) return [];
+    const start = monthKey(startYear, fromMonth);
+    const end = monthKey(endYear, toMonth);
+    return samples.filter((s) => {
+      if (s[level] === null) return false;
+      const key = monthKey(s.year, s.month);
+      return key >= start && key <= end;
+    });
+  }, [samples, level, startYear, fromMonth, endYear, toMonth]);
+
+  const values = useMemo(() => filtered.map((s) => s[level]), [filtered, level]);
+  const { scale: colorScale, legend, domain } = useColorScale(values, colorSettings);
+
+  const sampleColor = useCallback((sample) => colorScale(sample[level]), [colorScale, level]);
+
+  const tooltip = (sample) => `
+    <div class="text-sm text-gray-800">
+      <strong>Date:</strong> ${formatSampleDate(sample)} <br />
+      <strong>${levelInfo.label}:</strong> ${formatValue(sample[level])} ${levelInfo.unit}
+    </div>
+  `;
+
+  const selectClass =
+    'w-full border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-gradient-to-b from-blue-50 to-white p-6 rounded-lg shadow-lg mt-6">
+      <header className="mb-6">
+        <h1 className="text-3xl font-bold text-blue-700 text-center">In-Situ Observations</h1>
+        <p className="text-center text-gray-600 text-lg mt-2">
+          Browse dated ship samples (Level 0/1/2) collected between {years[0] ?? '...'} and{' '}
+          {years[years.length - 1] ?? '...'}.
+        </p>
+      </header>
+
+      <DatasetStatus loading={loading} progress={progress} errors={errors} />
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        <div className="flex flex-col">
+          <label htmlFor="level" className="font-medium mb-1">Level:</label>
+          <select id="level" className={selectClass} value={level} onChange={(e) => setLevel(e.target.value)}>
+            {levels.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.label} ({l.unit})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="from-year" className="font-medium mb-1">From Year:</label>
+          <select
+            id="from-year"
+            className={selectClass}
+            value={startYear ?? ''}
+            onChange={(e) => setFromYear(parseInt(e.target.value, 10))}
+          >
+            {years.map((y) => (
+              <option key={y} value={y}>{y}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="from-month" className="font-medium mb-1">From Month:</label>
+          <select
+            id="from-month"
+            className={selectClass}
+            value={fromMonth}
+            onChange={(e) => setFromMonth(parseInt(e.target.value, 10))}
+          >
+            {MONTHS.map((m, i) => (
+              <option key={m} value={i + 1}>{m}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="to-year" className="font-medium mb-1">To Year:</label>
+          <select
+            id="to-year"
+            className={selectClass}
+            value={endYear ?? ''}
+            onChange={(e) => setToYear(parseInt(e.target.value, 10))}
+          >
+            {years.map((y) => (
+              <option key={y} value={y}>{y}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="to-month" className="font-medium mb-1">To Month:</label>
+          <select
+            id="to-month"
+            className={selectClass}
+            value={toMonth}
+            onChange={(e) => setToMonth(parseInt(e.target.value, 10))}
+          >
+            {MONTHS.map((m, i) => (
+              <option key={m} value={i + 1}>{m}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <ColorScaleControls value={colorSettings} onChange={setColorSettings} domain={domain} />
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Showing <strong>{filtered.length}</strong> of {samples.length} samples with {levelInfo.label} data.
+      </p>
+
+      <div className="flex flex-col md:flex-row gap-4">
+        {/* Map Section */}
+        <div className="relative h-[600px] w-full md:flex-1 rounded-lg shadow-lg overflow-hidden">
+          <MapContainer
+            center={[20, 0]}
+            zoom={2}
+            style={{ height: '100%', width: '100%' }}
+            maxBounds={[
+              [-90, -180],
+              [90, 180],
+            ]}
+            maxBoundsViscosity={1.0}
+          >
+            <Basemap />
+            <PointInspector />
+            <GridLayer points={filtered} color={sampleColor} tooltip={tooltip} onClick={setSelected} />
+            {selected && (
+              <CircleMarker
+                center={[selected.lat, selected.lon]}
+                radius={8}
+                pathOptions={{ color: '#1d4ed8', weight: 3, fillOpacity: 0 }}
+                interactive={false}
+              />
+            )}
+          </MapContainer>
+          <MapLegend title={levelInfo.label} unit={levelInfo.unit} legend={legend} />
+        </div>
+
+        {/* Sample Details */}
+        <aside className="md:w-80 bg-white rounded-lg shadow-lg p-4">
+          <h3 className="text-xl font-medium mb-2 text-gray-700">Sample Details</h3>
+          {selected ? (
+            <dl className="text-sm text-gray-800 grid grid-cols-2 gap-y-1">
+              <dt className="font-semibold">Date</dt>
+              <dd>{formatSampleDate(selected)}</dd>
+              <dt className="font-semibold">Latitude</dt>
+              <dd>{selected.lat.toFixed(2)}</dd>
+              <dt className="font-semibold">Longitude</dt>
+              <dd>{selected.lon.toFixed(2)}</dd>
+              {levels.map((l) => (
+                <React.Fragment key={l.value}>
+                  <dt className="font-semibold">{l.label}</dt>
+                  <dd>
+                    {formatValue(selected[l.value])} {selected[l.value] !== null && l.unit}
+                  </dd>
+                </React.Fragment>
+              ))}
+              <dt className="font-semibold">Fragment ratio (&lt;5 mm)</dt>
+              <dd>{formatValue(selected.fragmentRatio, 2)}</dd>
+              <dt className="font-semibold">Wind speed</dt>
+              <dd>{formatValue(selected.windSpeed, 2)} {selected.windSpeed !== null && 'm/s'}</dd>
+              <dt className="font-semibold">Wave height</dt>
+              <dd>{formatValue(selected.waveHeight, 2)} {selected.waveHeight !== null && 'm'}</dd>
+              <dt className="font-semibold">No. in Table 1</dt>
+              <dd>{selected.sourceId ?? 'No data'}</dd>
+            </dl>
+          ) : (
+            <p className="text-sm text-gray-500">Click a sample on the map to see its details.</p>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+}
+
+export default InSituObservations;
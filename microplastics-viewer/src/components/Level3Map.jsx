@@ -1,45 +1,57 @@
-import React, { useEffect, useState } from 'react';
-import Papa from 'papaparse';
-import { MapContainer, TileLayer, Tooltip, CircleMarker } from 'react-leaflet';
+import React, { useMemo, useState } from 'react';
+import { MapContainer } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import * as d3 from 'd3-scale';
-import { interpolateYlOrRd } from 'd3-scale-chromatic';
+import { useGridCells } from '../hooks/useGridCells';
+import { getMetric, metricValue } from '../utils/metrics';
+import { inferGridSpacing } from '../utils/grid';
+import { DEFAULT_COLOR_SETTINGS } from '../utils/colorScales';
+import { regionStats } from '../utils/regions';
+import { useColorScale } from '../hooks/useColorScale';
+import DatasetStatus from './DatasetStatus';
+import MetricSelect from './MetricSelect';
+import MapLegend from './MapLegend';
+import DataLayer from './DataLayer';
+import DisplayModeControls from './DisplayModeControls';
+import ColorScaleControls from './ColorScaleControls';
+import Basemap from './Basemap';
+import PointInspector from './PointInspector';
+import RegionSelect from './RegionSelect';
+import RegionStats from './RegionStats';
+import { DEFAULT_DISPLAY } from '../utils/displayModes';
 
-function Level3Map() {
-  const [rawData, setRawData] = useState([]);
-  const [maxVal, setMaxVal] = useState(0);
-
-  // Load and clean CSV data
-  useEffect(() => {
-    Papa.parse('/Level3R1.csv', {
-      download: true,
-      skipEmptyLines: true,
-      header: true,
-      beforeFirstChunk: (chunk) => {
-        const lines = chunk.split(/\r\n|\n|\r/);
-        return lines.filter(line => !line.includes('-9999: No data')).join('\n');
-      },
-      complete: (results) => {
-        const cleaned = results.data.filter((row) => {
-          const lat = parseFloat(row['latitude (degree: N+, S-)']);
-          const lon = parseFloat(row['longitude (degree: E+, W-)']);
-          const pieces = parseFloat(row['Level 3p (pieces/km2)']);
-          return !isNaN(lat) && !isNaN(lon) && !isNaN(pieces) && lat !== -9999 && lon !== -9999 && pieces !== -9999;
-        });
+const valueOf = (row) => row.val;
 
-        setRawData(cleaned);
+function Level3Map() {
+  const [metricId, setMetricId] = useState('level3p');
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [colorSettings, setColorSettings] = useState(DEFAULT_COLOR_SETTINGS);
+  const [region, setRegion] = useState(null);
+  const metric = getMetric(metricId);
+  const { cells, loading, progress, errors } = useGridCells(metric.datasets);
 
-        const tempMax = Math.max(...cleaned.map(row => parseFloat(row['Level 3p (pieces/km2)']) || 0));
-        setMaxVal(tempMax);
-      },
-    });
-  }, []);
+  // Only cells with a value for the selected layer are drawn.
+  // Monthly layers are shown as their annual mean.
+  const rawData = useMemo(
+    () => cells
+      .map((cell) => ({ lat: cell.lat, lon: cell.lon, val: metricValue(metric, cell) }))
+      .filter((row) => row.val !== null),
+    [cells, metric]
+  );
+  const cellSize = useMemo(() => inferGridSpacing(cells), [cells]);
+  const values = useMemo(() => rawData.map(valueOf), [rawData]);
+  const { scale: colorScale, legend, domain } = useColorScale(values, colorSettings);
+  const selection = useMemo(
+    () => (region ? regionStats(rawData, valueOf, region, cellSize) : null),
+    [rawData, region, cellSize]
+  );
 
-  // Define color scale
-  const colorScale = d3
-    .scaleSequential()
-    .domain([0, maxVal])
-    .interpolator(interpolateYlOrRd);
+  const tooltip = (row) => `
+    <div class="text-sm text-gray-800">
+      <strong>Latitude:</strong> ${row.lat.toFixed(2)} <br />
+      <strong>Longitude:</strong> ${row.lon.toFixed(2)} <br />
+      <strong>${metric.label}:</strong> ${row.val.toPrecision(3)} ${metric.unit}
+    </div>
+  `;
 
   return (
     <div className="bg-gradient-to-b from-blue-50 to-white p-6 rounded-lg shadow-lg mt-6">
@@ -49,10 +61,23 @@ function Level3Map() {
           Microplastic Heatmap
         </h1>
         <p className="text-center text-gray-600 text-lg mt-2">
-          Explore microplastic concentration points.
+          Explore microplastic concentration across the Level 3 grid cells.
         </p>
       </header>
 
+      <div className="mb-4 space-y-4">
+        <div>
+          <MetricSelect value={metricId} onChange={setMetricId} />
+          {metric.monthly && (
+            <p className="text-sm text-gray-500 mt-1">Monthly layer shown as its annual mean.</p>
+          )}
+        </div>
+        <DisplayModeControls value={display} onChange={setDisplay} />
+        <ColorScaleControls value={colorSettings} onChange={setColorSettings} domain={domain} />
+      </div>
+
+      <DatasetStatus loading={loading} progress={progress} errors={errors} />
+
       {/* Map Section */}
       <div className="relative">
         <div className="h-[600px] w-full rounded-lg shadow-lg overflow-hidden">
@@ -66,42 +91,35 @@ function Level3Map() {
             ]}
             maxBoundsViscosity={1.0}
           >
-            <TileLayer
-              attribution='Map data © <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              noWrap
-            />
-
-            {/* Render Data Points */}
-            {rawData.map((row, index) => {
-              const lat = parseFloat(row['latitude (degree: N+, S-)']);
-              const lon = parseFloat(row['longitude (degree: E+, W-)']);
-              const val = parseFloat(row['Level 3p (pieces/km2)']);
-              const color = colorScale(val);
+            <Basemap />
+            <PointInspector />
+            <RegionSelect region={region} onChange={setRegion} />
 
-              return (
-                <CircleMarker
-                  key={index}
-                  center={[lat, lon]}
-                  radius={6}
-                  pathOptions={{
-                    color,
-                    fillColor: color,
-                    fillOpacity: 0.85,
-                  }}
-                >
-                  <Tooltip direction="top" offset={[0, -20]} opacity={1}>
-                    <div className="text-sm text-gray-800">
-                      <strong>Latitude:</strong> {lat.toFixed(2)} <br />
-                      <strong>Longitude:</strong> {lon.toFixed(2)} <br />
-                      <strong>Concentration:</strong> {val.toFixed(1)} pieces/km²
-                    </div>
-                  </Tooltip>
-                </CircleMarker>
-              );
-            })}
+            {/* Render Data */}
+            <DataLayer
+              display={display}
+              points={rawData}
+              value={valueOf}
+              colorScale={colorScale}
+              domain={domain}
+              cellSize={cellSize}
+              label={metric.label}
+              unit={metric.unit}
+              tooltip={tooltip}
+            />
           </MapContainer>
         </div>
+        <MapLegend title={metric.label} unit={metric.unit} legend={legend} />
+      </div>
+
+      <div className="mt-4">
+        <RegionStats
+          region={region}
+          stats={selection}
+          label={metric.label}
+          unit={metric.unit}
+          onClear={() => setRegion(null)}
+        />
       </div>
     </div>
   );
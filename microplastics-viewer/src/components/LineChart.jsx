@@ -0,0 +1,163 @@
+// src/components/LineChart.jsx
+import React, { useMemo, useState } from 'react';
+import * as d3 from 'd3-scale';
+import { formatNumber } from '../utils/format';
+
+const WIDTH = 640;
+const MARGIN = { top: 12, right: 16, bottom: 40, left: 64 };
+
+// Small SVG line chart.
+//   series: [{ label, color, points: [{ x, y }], dashed }]  (y may be null for gaps)
+//   xTicks: optional [{ value, label }]; otherwise numeric ticks are generated
+//   xFormat: labels generated ticks and the hover readout
+//   marker: optional x value drawn as a vertical line (e.g. a target year)
+//   onHover(x | null): called with the x value under the cursor
+function LineChart({
+  series, xLabel, yLabel, xTicks, marker = null, height = 260, yFormat = formatNumber, xFormat = String, onHover,
+}) {
+  const [hoverX, setHoverX] = useState(null);
+
+  const { x, y, xValues } = useMemo(() => {
+    const all = series.flatMap((s) => s.points);
+    const xs = all.map((p) => p.x);
+    const ys = all.map((p) => p.y).filter((v) => v !== null);
+    return {
+      x: d3.scaleLinear()
+        .domain(xs.length ? [Math.min(...xs), Math.max(...xs)] : [0, 1])
+        .range([MARGIN.left, WIDTH - MARGIN.right]),
+      y: d3.scaleLinear()
+        .domain(ys.length ? [Math.min(0, ...ys), Math.max(...ys)] : [0, 1])
+        .range([height - MARGIN.bottom, MARGIN.top])
+        .nice(),
+      xValues: Array.from(new Set(xs)).sort((a, b) => a - b),
+    };
+  }, [series, height]);
+
+  const ticksX = xTicks || x.ticks(8).map((value) => ({ value, label: xFormat(value) }));
+
+  const path = (points) => {
+    let d = '';
+    let pen = false;
+    points.forEach((p) => {
+      if (p.y === null) {
+        pen = false;
+        return;
+      }
+      d += `${pen ? 'L' : 'M'}${x(p.x)},${y(p.y)}`;
+      pen = true;
+    });
+    return d;
+  };
+
+  const handleMove = (e) => {
+    if (!xValues.length) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const target = x.invert(px);
+    const nearestX = xValues.reduce((best, v) => (Math.abs(v - target) < Math.abs(best - target) ? v : best));
+    if (nearestX !== hoverX) {
+      setHoverX(nearestX);
+      if (onHover) onHover(nearestX);
+    }
+  };
+
+  const handleLeave = () => {
+    setHoverX(null);
+    if (onHover) onHover(null);
+  };
+
+  const hoverLabel = hoverX !== null && (ticksX.find((t) => t.value === hoverX)?.label ?? xFormat(hoverX));
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        className="w-full h-auto"
+        onMouseMove={handleMove}
+        onMouseLeave={handleLeave}
+      >
+        {/* Axes */}
+        {y.ticks(5).map((t) => (
+          <g key={t}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(t)} y2={y(t)} stroke="#e5e7eb" />
+            <text x={MARGIN.left - 6} y={y(t)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#6b7280">
+              {yFormat(t)}
+            </text>
+          </g>
+        ))}
+        {ticksX.map((t) => (
+          <text key={t.value} x={x(t.value)} y={height - MARGIN.bottom + 16} textAnchor="middle" fontSize="11" fill="#6b7280">
+            {t.label}
+          </text>
+        ))}
+        <line
+          x1={MARGIN.left}
+          x2={WIDTH - MARGIN.right}
+          y1={height - MARGIN.bottom}
+          y2={height - MARGIN.bottom}
+          stroke="#9ca3af"
+        />
+        {xLabel && (
+          <text x={(MARGIN.left + WIDTH - MARGIN.right) / 2} y={height - 6} textAnchor="middle" fontSize="12" fill="#374151">
+            {xLabel}
+          </text>
+        )}
+        {yLabel && (
+          <text
+            transform={`translate(14, ${(MARGIN.top + height - MARGIN.bottom) / 2}) rotate(-90)`}
+            textAnchor="middle"
+            fontSize="12"
+            fill="#374151"
+          >
+            {yLabel}
+          </text>
+        )}
+
+        {marker !== null && (
+          <line x1={x(marker)} x2={x(marker)} y1={MARGIN.top} y2={height - MARGIN.bottom} stroke="#dc2626" strokeDasharray="4 3" />
+        )}
+
+        {/* Series */}
+        {series.map((s) => (
+          <path
+            key={s.label}
+            d={path(s.points)}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2"
+            strokeDasharray={s.dashed ? '5 4' : undefined}
+          />
+        ))}
+
+        {hoverX !== null && (
+          <g>
+            <line x1={x(hoverX)} x2={x(hoverX)} y1={MARGIN.top} y2={height - MARGIN.bottom} stroke="#6b7280" />
+            {series.map((s) => {
+              const p = s.points.find((pt) => pt.x === hoverX);
+              return p && p.y !== null ? <circle key={s.label} cx={x(p.x)} cy={y(p.y)} r="3.5" fill={s.color} /> : null;
+            })}
+          </g>
+        )}
+      </svg>
+
+      {/* Legend and hover readout */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-700 mt-1">
+        {series.map((s) => {
+          const p = hoverX !== null ? s.points.find((pt) => pt.x === hoverX) : null;
+          return (
+            <span key={s.label} className="flex items-center space-x-1">
+              <span className="inline-block w-4 h-0.5" style={{ background: s.color }}></span>
+              <span>
+                {s.label}
+                {p && `: ${yFormat(p.y)}`}
+              </span>
+            </span>
+          );
+        })}
+        {hoverLabel && <span className="text-gray-500">({hoverLabel})</span>}
+      </div>
+    </div>
+  );
+}
+
+export default LineChart;
@@ -0,0 +1,57 @@
+// src/components/MapLegend.jsx
+import React from 'react';
+import { formatNumber } from '../utils/format';
+
+// Legend drawn over the bottom-right corner of a map, for the `legend`
+// returned by buildColorScale: a colour bar with ticks, or class swatches
+// (labelled with their range, or with `bin.label` for categories).
+// Place inside a `relative` wrapper around the MapContainer.
+function MapLegend({ title, unit, legend }) {
+  return (
+    <div className="absolute bottom-6 right-4 z-[1000] bg-white bg-opacity-90 rounded shadow p-2 text-xs text-gray-800 w-60">
+      <div className="font-semibold mb-1">
+        {title} {unit && <span className="font-normal text-gray-600">({unit})</span>}
+      </div>
+
+      {legend.kind === 'classes' ? (
+        <ul className="space-y-0.5">
+          {legend.bins.map((bin, i) => (
+            <li key={i} className="flex items-center space-x-2">
+              <span className="inline-block w-4 h-3 rounded-sm" style={{ background: bin.color }}></span>
+              <span>
+                {bin.label ?? `${formatNumber(bin.from)} – ${formatNumber(bin.to)}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <>
+          <div
+            className="h-3 w-full rounded"
+            style={{
+              background: `linear-gradient(to right, ${legend.stops
+                .map((s) => `${s.color} ${s.offset * 100}%`)
+                .join(', ')})`,
+            }}
+          ></div>
+          <div className="relative h-4 mt-1">
+            {legend.ticks.map((tick, i) => (
+              <span
+                key={i}
+                className="absolute whitespace-nowrap"
+                style={{
+                  left: `${tick.offset * 100}%`,
+                  transform: i === 0 ? 'none' : i === legend.ticks.length - 1 ? 'translateX(-100%)' : 'translateX(-50%)',
+                }}
+              >
+                {formatNumber(tick.value, 2)}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MapLegend;
@@ -0,0 +1,28 @@
+// src/components/MetricSelect.jsx
+import React from 'react';
+import { METRICS, metricLabel } from '../utils/metrics';
+
+// Drop-down for choosing which Level 3 layer a map shows.
+function MetricSelect({ id = 'metric-select', value, onChange, metrics = METRICS }) {
+  return (
+    <div className="flex flex-col">
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-2">
+        Layer:
+      </label>
+      <select
+        id={id}
+        className="block w-full border border-gray-300 rounded-lg p-2 shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {metrics.map((m) => (
+          <option key={m.id} value={m.id}>
+            {metricLabel(m)}{m.monthly ? ' · monthly' : ''}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default MetricSelect;
@@ -1,7 +1,7 @@
 import React, { useEffect, useState, useRef } from 'react'
-import Papa from 'papaparse'
 import { ForceGraph3D } from 'react-force-graph'
 import * as THREE from 'three'
+import { loadDataset } from '../utils/datasets'
 
 // 1) Approx bounding logic for major countries/regions
 function getClosestCountry(lat, lon) {
@@ -51,35 +51,19 @@ function MicroplasticsNodeGraph3D() {
   // Store raw graph structure so we can re-apply pinned/unpinned logic
   const rawDataRef = useRef(null)
 
-  // --- 3) Load & parse CSV ---
+  // --- 3) Load the shared Level 3 dataset ---
   useEffect(() => {
-    Papa.parse('/Level3R1.csv', {
-      download: true,
-      skipEmptyLines: true,
-      header: true,
-      beforeFirstChunk: chunk => {
-        // remove lines referencing '-9999: No data'
-        const lines = chunk.split(/\r\n|\n|\r/)
-        if (lines[1]?.includes('-9999: No data')) {
-          lines.splice(1,1)
-        }
-        return lines.join('\n')
-      },
-      complete: (results) => {
-        // filter lat/lon
-        const cleaned = results.data.filter(row => {
-          const lat = parseFloat(row["latitude (degree: N+, S-)"] || "")
-          const lon = parseFloat(row["longitude (degree: E+, W-)"] || "")
-          if (isNaN(lat) || isNaN(lon)) return false
-          if (lat === -9999 || lon === -9999) return false
-          return true
-        })
+    let cancelled = false
+    loadDataset('level3')
+      .then(records => {
+        if (cancelled) return
+        // cells without a Level 3p value are left out
+        const cleaned = records.filter(row => row.level3p !== null)
 
         // Create a node for each row
         const nodes = cleaned.map((row, i) => {
-          const lat = parseFloat(row["latitude (degree: N+, S-)"])
-          const lon = parseFloat(row["longitude (degree: E+, W-)"])
-          const pieces = parseFloat(row["Level 3p (pieces/km2)"] || 0)
+          const { lat, lon } = row
+          const pieces = row.level3p
           const country = getClosestCountry(lat, lon)
           return {
             id: `node-${i}`,
@@ -114,8 +98,11 @@ function MicroplasticsNodeGraph3D() {
         const graph = { nodes, links }
         rawDataRef.current = graph
         setGraphData(graph)
-      },
-    })
+      })
+      .catch(() => {
+        // the loader already logged the failure
+      })
+    return () => { cancelled = true }
   }, [])
 
   // --- 4) Re-apply pinned logic whenever groupedByCountry or expandedCountry changes ---
@@ -1,71 +1,169 @@
-import React, { useEffect, useState, useMemo } from 'react';
-import Papa from 'papaparse';
-import { MapContainer, TileLayer, CircleMarker, Tooltip } from 'react-leaflet';
+import React, { useState, useMemo } from 'react';
+import { MapContainer } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import * as d3 from 'd3-scale';
-import { interpolateYlOrRd } from 'd3-scale-chromatic';
-
-// Expanded Mitigation Strategies
-const tactics = [
-  { label: 'No Mitigation', value: 'none', type: 'none', rate: 0, applies: () => true },
-  { label: 'Coastal Cleanup (-20% near coasts)', value: 'coastal', type: 'perYear', rate: 0.2, applies: (lat, lon) => Math.abs(lat) < 15 || Math.abs(lon) < 15 },
-  { label: 'Open Ocean Skimming (-30% offshore)', value: 'openocean', type: 'perYear', rate: 0.3, applies: (lat, lon) => Math.abs(lat) >= 15 && Math.abs(lon) >= 15 },
-  { label: 'Global Single-Use Ban (-50% overall)', value: 'globalban', type: 'oneTime', rate: 0.5, applies: () => true },
-  { label: 'River Interceptors (-40% if lat in -10..10)', value: 'river', type: 'perYear', rate: 0.4, applies: (lat, lon) => lat >= -10 && lat <= 10 },
-  { label: 'Biodegradable Plastics Promotion (-25% overall)', value: 'biodegradable', type: 'oneTime', rate: 0.25, applies: () => true },
-  { label: 'Industrial Filtration Systems (-35% near industrial areas)', value: 'industrial', type: 'perYear', rate: 0.35, applies: (lat, lon) => Math.abs(lat) < 30 && Math.abs(lon) < 30 },
-  { label: 'Public Awareness Campaigns (-15% overall)', value: 'awareness', type: 'oneTime', rate: 0.15, applies: () => true },
-  { label: 'Advanced Waste Management (-40% in urban areas)', value: 'wastemanagement', type: 'perYear', rate: 0.4, applies: (lat, lon) => Math.abs(lat) <= 45 && Math.abs(lon) <= 45 },
-  { label: 'Legislation on Plastic Production (-30% globally)', value: 'legislation', type: 'oneTime', rate: 0.3, applies: () => true },
-  { label: 'Ocean Restoration Projects (-20% globally)', value: 'oceanrestoration', type: 'oneTime', rate: 0.2, applies: () => true },
-  { label: 'Erosion Control Measures (-25% in vulnerable areas)', value: 'erosioncontrol', type: 'perYear', rate: 0.25, applies: (lat, lon) => lat >= -20 && lat <= 20 },
+import { useDataset } from '../hooks/useDatasets';
+import { inferGridSpacing } from '../utils/grid';
+import { DEFAULT_COLOR_SETTINGS, DIFFERENCE_COLOR_SETTINGS } from '../utils/colorScales';
+import { MAP_VIEWS, viewPoints, viewUnit } from '../utils/difference';
+import { regionStats, regionContains, cellAreaKm2, totalUnit } from '../utils/regions';
+import { useColorScale } from '../hooks/useColorScale';
+import { useTactics } from '../hooks/useTactics';
+import {
+  DEFAULT_PORTFOLIO, portfolioTactics, applyPortfolio, attributeReduction,
+} from '../mitigation/portfolio';
+import DatasetStatus from './DatasetStatus';
+import DataLayer from './DataLayer';
+import DisplayModeControls from './DisplayModeControls';
+import ColorScaleControls from './ColorScaleControls';
+import MapLegend from './MapLegend';
+import Basemap from './Basemap';
+import PointInspector from './PointInspector';
+import RegionSelect from './RegionSelect';
+import RegionStats from './RegionStats';
+import PortfolioBuilder from './PortfolioBuilder';
+import PortfolioBreakdown from './PortfolioBreakdown';
+import BudgetOptimizer from './BudgetOptimizer';
+import SwipeMaps from './SwipeMaps';
+import UncertaintyPanel from './UncertaintyPanel';
+import EmissionsControls from './EmissionsControls';
+import { formatCost } from '../mitigation/costs';
+import { DEFAULT_EMISSIONS, emissionsFactor } from '../mitigation/emissions';
+import { DEFAULT_DISPLAY } from '../utils/displayModes';
+
+const valueOf = (point) => point.val;
+const shownOf = (point) => point.shown;
+
+const LAYOUTS = [
+  { value: 'single', label: 'Single map' },
+  { value: 'swipe', label: 'Swipe comparison' },
 ];
 
 function MitigationSim() {
-  const [rawData, setRawData] = useState([]);
-  const [selectedTactic, setSelectedTactic] = useState('none');
-  const [maxVal, setMaxVal] = useState(0);
-
-  useEffect(() => {
-    Papa.parse('/Level3R1.csv', {
-      download: true,
-      skipEmptyLines: true,
-      header: true,
-      beforeFirstChunk: (chunk) => {
-        const lines = chunk.split(/\r\n|\n|\r/);
-        return lines.filter(line => !line.includes('-9999: No data')).join('\n');
-      },
-      complete: (results) => {
-        const cleaned = results.data.filter((row) => {
-          const lat = parseFloat(row['latitude (degree: N+, S-)']);
-          const lon = parseFloat(row['longitude (degree: E+, W-)']);
-          const pieces = parseFloat(row['Level 3p (pieces/km2)']);
-          return !isNaN(lat) && !isNaN(lon) && !isNaN(pieces) && lat !== -9999 && lon !== -9999 && pieces !== -9999;
-        });
-        setRawData(cleaned);
-      },
-    });
-  }, []);
-
-  useEffect(() => {
-    if (!rawData.length) return;
-    const tempMax = rawData.reduce((max, row) => {
-      const val = applyMitigation(parseFloat(row['Level 3p (pieces/km2)']), selectedTactic, row);
-      return Math.max(max, val);
-    }, 0);
-    setMaxVal(tempMax);
-  }, [rawData, selectedTactic]);
-
-  const applyMitigation = (value, tacticVal, row) => {
-    if (value <= 0) return 0;
-    const lat = parseFloat(row['latitude (degree: N+, S-)']);
-    const lon = parseFloat(row['longitude (degree: E+, W-)']);
-    const tactic = tactics.find(t => t.value === tacticVal);
-    if (!tactic || tactic.type === 'none' || !tactic.applies(lat, lon)) return value;
-    return Math.max(value * (1 - tactic.rate), 0);
+  const { data, loading, progress, errors } = useDataset('level3');
+  const tactics = useTactics();
+  const [portfolio, setPortfolio] = useState(DEFAULT_PORTFOLIO);
+  const [years, setYears] = useState(1);
+  const [emissions, setEmissions] = useState(DEFAULT_EMISSIONS);
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [colorSettings, setColorSettings] = useState(DEFAULT_COLOR_SETTINGS);
+  const [changeColorSettings, setChangeColorSettings] = useState(DIFFERENCE_COLOR_SETTINGS);
+  const [view, setView] = useState('value');
+  const [layout, setLayout] = useState('single');
+  // Shown left of the swipe divider; empty is "No Mitigation"
+  const [comparePortfolio, setComparePortfolio] = useState(DEFAULT_PORTFOLIO);
+  const [region, setRegion] = useState(null);
+  // Optimiser result shown on the map instead of the portfolio
+  const [plan, setPlan] = useState(null);
+
+  const changePortfolio = (next) => {
+    setPortfolio(next);
+    setPlan(null);
   };
 
-  const colorScale = useMemo(() => d3.scaleSequential().domain([0, maxVal]).interpolator(interpolateYlOrRd), [maxVal]);
+  const rawData = useMemo(() => (data || []).filter((row) => row.level3p !== null), [data]);
+
+  const cellSize = useMemo(() => inferGridSpacing(rawData), [rawData]);
+
+  // The unmitigated load in the chosen year, grown by the baseline emissions
+  const growth = emissionsFactor(emissions, years);
+  const baselineData = useMemo(
+    () => (growth === 1 ? rawData : rawData.map((row) => ({ ...row, level3p: row.level3p * growth }))),
+    [rawData, growth]
+  );
+
+  // Mitigated value of every cell; cells reduced to zero are not drawn
+  const selected = useMemo(
+    () => (plan ? plan.options.map((option) => option.tactic) : portfolioTactics(portfolio, tactics)),
+    [plan, portfolio, tactics]
+  );
+  const mitigated = useMemo(() => baselineData.map((row) => ({
+    lat: row.lat,
+    lon: row.lon,
+    val: applyPortfolio(row.level3p, selected, portfolio, row.lat, row.lon, years),
+    base: row.level3p,
+  })),
+  [baselineData, selected, portfolio, years]);
+  const points = useMemo(() => viewPoints(mitigated, view), [mitigated, view]);
+
+  const swipe = layout === 'swipe';
+  const compareTactics = useMemo(() => portfolioTactics(comparePortfolio, tactics), [comparePortfolio, tactics]);
+  const comparePoints = useMemo(() => {
+    if (!swipe) return [];
+    return viewPoints(baselineData.map((row) => ({
+      lat: row.lat,
+      lon: row.lon,
+      val: applyPortfolio(row.level3p, compareTactics, comparePortfolio, row.lat, row.lon, years),
+      base: row.level3p,
+    })), view);
+  }, [swipe, baselineData, compareTactics, comparePortfolio, years, view]);
+
+  // Both sides of the swipe share one colour scale so they can be compared
+  const values = useMemo(() => [...points, ...comparePoints].map(shownOf), [points, comparePoints]);
+  const difference = view !== 'value';
+  const { scale: colorScale, legend, domain } = useColorScale(
+    values,
+    difference ? changeColorSettings : colorSettings
+  );
+  const mapLabel = difference ? 'Change vs. No Mitigation' : 'Level 3p';
+  const mapUnit = viewUnit(view, 'pieces/km²');
+
+  // Region stats with the selected tactic, and for the same region without it
+  const selection = useMemo(
+    () => (region ? regionStats(mitigated, valueOf, region, cellSize) : null),
+    [mitigated, region, cellSize]
+  );
+  const baselineSelection = useMemo(
+    () => (region ? regionStats(baselineData, (row) => row.level3p, region, cellSize) : null),
+    [baselineData, region, cellSize]
+  );
+
+  // Area-weighted reduction per tactic, over the drawn region or the whole grid
+  const breakdown = useMemo(() => {
+    if (!selected.length) return null;
+    const rows = region ? baselineData.filter((row) => regionContains(region, row.lat, row.lon)) : baselineData;
+    return attributeReduction(
+      rows,
+      (row) => row.level3p,
+      (row) => cellAreaKm2(row.lat, cellSize),
+      selected,
+      portfolio,
+      years
+    );
+  }, [baselineData, region, cellSize, selected, portfolio, years]);
+
+  const formatChange = (point) => {
+    const sign = point.val > point.base ? '+' : '';
+    const percent = point.base > 0 ? ` (${sign}${(((point.val - point.base) / point.base) * 100).toFixed(1)}%)` : '';
+    return `${sign}${(point.val - point.base).toFixed(1)} pieces/km²${percent}`;
+  };
+
+  const tooltip = (point) => `
+    <div class="text-sm text-gray-800">
+      <strong>Latitude:</strong> ${point.lat.toFixed(2)} <br />
+      <strong>Longitude:</strong> ${point.lon.toFixed(2)} <br />
+      <strong>Concentration:</strong> ${point.val.toFixed(1)} pieces/km²
+      ${difference ? `<br /><strong>Change:</strong> ${formatChange(point)}` : ''}
+    </div>
+  `;
+
+  const dataLayer = (layerPoints) => (
+    <DataLayer
+      display={display}
+      points={layerPoints}
+      value={shownOf}
+      colorScale={colorScale}
+      domain={domain}
+      cellSize={cellSize}
+      label={mapLabel}
+      unit={mapUnit}
+      tooltip={tooltip}
+    />
+  );
+
+  const portfolioName = (list) => (list.length ? list.map((t) => t.label).join(' + ') : 'No Mitigation');
+  const toggleClass = (active) => `px-3 py-1 text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+  }`;
 
   return (
     <div className="bg-gradient-to-b from-blue-50 to-white p-6 rounded-lg shadow-lg mt-6">
@@ -77,64 +175,186 @@ function MitigationSim() {
       </header>
 
       <div className="mb-4">
-        <label htmlFor="tactic-select" className="block text-sm font-medium text-gray-700 mb-2">
-          Select a Mitigation Strategy:
+        <PortfolioBuilder tactics={tactics} value={portfolio} onChange={changePortfolio} />
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor="years" className="block text-sm font-medium text-gray-700 mb-2">
+          Years of deployment: {years}
         </label>
-        <select
-          id="tactic-select"
-          className="block w-full border border-gray-300 rounded-lg p-2 shadow-sm focus:ring-blue-500 focus:border-blue-500"
-          value={selectedTactic}
-          onChange={(e) => setSelectedTactic(e.target.value)}
-        >
-          {tactics.map((t) => (
-            <option key={t.value} value={t.value}>
-              {t.label}
-            </option>
-          ))}
-        </select>
+        <input
+          id="years"
+          type="range"
+          min="1"
+          max="20"
+          value={years}
+          onChange={(e) => {
+            setYears(parseInt(e.target.value, 10));
+            setPlan(null);
+          }}
+          className="w-full"
+        />
+        <p className="text-sm text-gray-500 mt-1">
+          Per-year tactics compound every year; one-time tactics apply once. Tactics with a ramp-up or decay
+          change strength over the years.
+        </p>
+      </div>
+
+      <div className="mb-4">
+        <EmissionsControls value={emissions} onChange={setEmissions} />
+        {growth !== 1 && (
+          <p className="text-sm text-gray-500 mt-1">
+            Without mitigation the load is {growth.toFixed(2)}× the data year&apos;s after {years} year{years === 1 ? '' : 's'}.
+          </p>
+        )}
       </div>
 
-      <div className="relative h-[600px] w-full rounded-lg shadow-lg overflow-hidden">
-        <MapContainer
-          center={[20, 0]} // Pre-zoomed center (latitude, longitude)
-          zoom={3} // Adjusted zoom level for better initial focus
-          style={{ height: '100%', width: '100%' }}
-          maxBounds={[
-            [-90, -180],
-            [90, 180],
-          ]}
-          maxBoundsViscosity={1.0}
-        >
-          <TileLayer
-            attribution='Map data © <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            noWrap
+      <div className="mb-4 flex flex-col md:flex-row gap-4">
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">Map:</span>
+          <div className="inline-flex rounded-lg shadow-sm overflow-hidden border border-gray-300">
+            {MAP_VIEWS.map((v) => (
+              <button key={v.value} type="button" onClick={() => setView(v.value)} className={toggleClass(view === v.value)}>
+                {v.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">Layout:</span>
+          <div className="inline-flex rounded-lg shadow-sm overflow-hidden border border-gray-300">
+            {LAYOUTS.map((l) => (
+              <button key={l.value} type="button" onClick={() => setLayout(l.value)} className={toggleClass(layout === l.value)}>
+                {l.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+      {difference && (
+        <p className="text-sm text-gray-500 mb-4">
+          Change from the same cells with no mitigation; blue is a reduction, red an increase.
+        </p>
+      )}
+
+      {swipe && (
+        <div className="mb-4 bg-white rounded-lg shadow p-4">
+          <PortfolioBuilder
+            idPrefix="compare-portfolio"
+            title="Left of the divider:"
+            tactics={tactics}
+            value={comparePortfolio}
+            onChange={setComparePortfolio}
           />
-          {rawData.map((row, idx) => {
-            const lat = parseFloat(row['latitude (degree: N+, S-)']);
-            const lon = parseFloat(row['longitude (degree: E+, W-)']);
-            const val = applyMitigation(parseFloat(row['Level 3p (pieces/km2)']), selectedTactic, row);
-            if (val <= 0) return null;
-
-            const color = colorScale(val);
-            return (
-              <CircleMarker
-                key={idx}
-                center={[lat, lon]}
-                radius={6}
-                pathOptions={{ color, fillColor: color, fillOpacity: 0.85 }}
-              >
-                <Tooltip>
-                  <div className="text-sm text-gray-800">
-                    <strong>Latitude:</strong> {lat.toFixed(2)} <br />
-                    <strong>Longitude:</strong> {lon.toFixed(2)} <br />
-                    <strong>Concentration:</strong> {val.toFixed(1)} pieces/km²
-                  </div>
-                </Tooltip>
-              </CircleMarker>
-            );
-          })}
-        </MapContainer>
+        </div>
+      )}
+
+      <div className="mb-4 space-y-4">
+        <DisplayModeControls value={display} onChange={setDisplay} />
+        {difference ? (
+          <ColorScaleControls
+            idPrefix="change-color"
+            value={changeColorSettings}
+            onChange={setChangeColorSettings}
+            domain={domain}
+          />
+        ) : (
+          <ColorScaleControls value={colorSettings} onChange={setColorSettings} domain={domain} />
+        )}
+      </div>
+
+      <DatasetStatus loading={loading} progress={progress} errors={errors} />
+
+      {plan && (
+        <div className="mb-2 bg-blue-100 text-blue-800 p-2 rounded text-sm flex items-center justify-between">
+          <span>
+            Showing the optimised plan: {plan.options.length} deployments for {formatCost(plan.cost)}.
+          </span>
+          <button type="button" onClick={() => setPlan(null)} className="text-blue-600 hover:underline">
+            Back to portfolio
+          </button>
+        </div>
+      )}
+
+      {swipe ? (
+        <div className="relative">
+          <SwipeMaps
+            left={dataLayer(comparePoints)}
+            right={dataLayer(points)}
+            leftLabel={portfolioName(compareTactics)}
+            rightLabel={plan ? 'Optimised plan' : portfolioName(selected)}
+          />
+          <MapLegend title={mapLabel} unit={mapUnit} legend={legend} />
+        </div>
+      ) : (
+        <div className="relative h-[600px] w-full rounded-lg shadow-lg overflow-hidden">
+          <MapContainer
+            center={[20, 0]} // Pre-zoomed center (latitude, longitude)
+            zoom={3} // Adjusted zoom level for better initial focus
+            style={{ height: '100%', width: '100%' }}
+            maxBounds={[
+              [-90, -180],
+              [90, 180],
+            ]}
+            maxBoundsViscosity={1.0}
+          >
+            <Basemap />
+            <PointInspector />
+            <RegionSelect region={region} onChange={setRegion} />
+            {dataLayer(points)}
+          </MapContainer>
+          <MapLegend title={mapLabel} unit={mapUnit} legend={legend} />
+        </div>
+      )}
+
+      <div className="mt-4">
+        <RegionStats
+          region={region}
+          stats={selection}
+          baseline={selected.length ? baselineSelection : null}
+          label="Level 3p"
+          unit="pieces/km²"
+          onClear={() => setRegion(null)}
+        />
+      </div>
+
+      {breakdown && (
+        <div className="mt-4">
+          <PortfolioBreakdown
+            breakdown={breakdown}
+            unit={totalUnit('pieces/km²')}
+            scope={region ? 'selected region' : 'whole grid'}
+          />
+        </div>
+      )}
+
+      <div className="mt-4">
+        <UncertaintyPanel
+          rows={baselineData}
+          tactics={selected}
+          portfolio={portfolio}
+          years={years}
+          region={region}
+          cellSize={cellSize}
+          view={view}
+          display={display}
+          colorSettings={difference ? changeColorSettings : colorSettings}
+          label={mapLabel}
+          unit={mapUnit}
+        />
+      </div>
+
+      <div className="mt-4">
+        <BudgetOptimizer
+          tactics={tactics}
+          rows={baselineData}
+          cellSize={cellSize}
+          years={years}
+          rule={portfolio.rule}
+          cap={portfolio.cap}
+          plan={plan}
+          onShowPlan={setPlan}
+        />
       </div>
     </div>
   );
@@ -48,6 +48,30 @@ function Navigation() {
           >
             Yearly Heatmap
           </Link>
+          <Link
+            to="/observations"
+            className="text-white hover:text-blue-200 transition duration-200 font-medium"
+          >
+            Observations
+          </Link>
+          <Link
+            to="/seasonality"
+            className="text-white hover:text-blue-200 transition duration-200 font-medium"
+          >
+            Seasonality
+          </Link>
+          <Link
+            to="/tactics"
+            className="text-white hover:text-blue-200 transition duration-200 font-medium"
+          >
+            Tactics
+          </Link>
+          <Link
+            to="/transport"
+            className="text-white hover:text-blue-200 transition duration-200 font-medium"
+          >
+            Transport
+          </Link>
         </div>
 
         {/* Mobile Menu Button */}
@@ -0,0 +1,42 @@
+// src/components/OfflineBasemap.jsx
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { graticule, worldGeometry } from '../utils/basemap';
+
+const OCEAN_COLOR = '#dbeafe';
+
+// Bundled low-resolution world map (land, coastlines, graticule) drawn as
+// Leaflet vectors in their own pane below the data layers. Needs no network.
+function OfflineBasemap() {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map.getPane('basemap')) {
+      map.createPane('basemap').style.zIndex = 200; // same level as tiles
+    }
+    const renderer = L.svg({ pane: 'basemap' });
+    const { land, coastlines } = worldGeometry();
+    const common = { pane: 'basemap', renderer, interactive: false };
+    const layer = L.layerGroup([
+      L.geoJSON(land, { ...common, style: { stroke: false, fillColor: '#f5f5f4', fillOpacity: 1 } }),
+      L.geoJSON(graticule(), { ...common, style: { color: '#93c5fd', weight: 0.6, dashArray: '2 4' } }),
+      L.geoJSON(coastlines, { ...common, style: { color: '#64748b', weight: 0.8 } }),
+    ]).addTo(map);
+
+    const container = map.getContainer();
+    const previousBackground = container.style.background;
+    container.style.background = OCEAN_COLOR;
+    map.attributionControl?.addAttribution('Natural Earth');
+
+    return () => {
+      layer.remove();
+      container.style.background = previousBackground;
+      map.attributionControl?.removeAttribution('Natural Earth');
+    };
+  }, [map]);
+
+  return null;
+}
+
+export default OfflineBasemap;
@@ -0,0 +1,233 @@
+// src/components/PointInspector.jsx
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Rectangle, useMapEvents } from 'react-leaflet';
+import { MONTHS } from '../utils/datasets';
+import { getMetric, metricValue } from '../utils/metrics';
+import { cellBoxes, inferGridSpacing, normalizeLon } from '../utils/grid';
+import { nearest } from '../utils/geo';
+import { formatNumber, formatSampleDate } from '../utils/format';
+import { loadSavedModel, predictAt, subscribeSavedModel } from '../utils/aiModel';
+import { geographyAt, basinLabel } from '../mitigation/geography';
+import { useGridCells } from '../hooks/useGridCells';
+import { useDataset } from '../hooks/useDatasets';
+import DatasetStatus from './DatasetStatus';
+import Sparkline from './Sparkline';
+
+const GRID_DATASETS = ['level3', 'level3pm', 'level3wm'];
+const ANNUAL_METRICS = ['level3p', 'level3w1', 'level3w2'].map(getMetric);
+const MONTHLY_METRICS = [
+  { metric: getMetric('level3pm'), color: '#2563eb' },
+  { metric: getMetric('level3wm'), color: '#dc2626' },
+];
+const SAMPLE_COUNT = 5;
+const DRAW_CLICK_GRACE_MS = 300;
+
+// Click anywhere on the map to inspect the nearest Level 3 grid cell in a
+// side panel. Place inside a MapContainer; the data is only loaded once a
+// point has been clicked.
+function PointInspector() {
+  const [location, setLocation] = useState(null);
+  // Clicks made with the region drawing tools (RegionSelect) are not queries
+  const drawing = useRef({ active: false, stoppedAt: 0 });
+  const startDrawing = () => {
+    drawing.current.active = true;
+  };
+  const stopDrawing = () => {
+    drawing.current = { active: false, stoppedAt: Date.now() };
+  };
+
+  useMapEvents({
+    click: (e) => {
+      const { active, stoppedAt } = drawing.current;
+      if (active || Date.now() - stoppedAt < DRAW_CLICK_GRACE_MS) return;
+      setLocation({ lat: e.latlng.lat, lon: normalizeLon(e.latlng.lng) });
+    },
+    'draw:drawstart': startDrawing,
+    'draw:editstart': startDrawing,
+    'draw:deletestart': startDrawing,
+    'draw:drawstop': stopDrawing,
+    'draw:editstop': stopDrawing,
+    'draw:deletestop': stopDrawing,
+  });
+
+  const close = useCallback(() => setLocation(null), []);
+
+  if (!location) return null;
+  return <InspectorPanel location={location} onClose={close} />;
+}
+
+// What tactic targets see at this cell (see mitigation/geography.js)
+function GeographySummary({ lat, lon }) {
+  const geo = geographyAt(lat, lon);
+  return (
+    <p className="text-gray-500 mt-2">
+      {geo.land ? 'Mostly land' : `${basinLabel(geo.basin)}, ${formatNumber(geo.coastKm)} km from shore`}
+      {'; '}
+      {formatNumber(geo.riverKm)} km from the {geo.riverMouth} mouth
+    </p>
+  );
+}
+
+function InspectorPanel({ location, onClose }) {
+  const grid = useGridCells(GRID_DATASETS);
+  const insitu = useDataset('level012');
+  const [model, setModel] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      loadSavedModel().then((saved) => {
+        if (!cancelled) setModel(saved);
+      });
+    };
+    load();
+    // A retrained model replaces the one shown
+    const unsubscribe = subscribeSavedModel(() => {
+      setModel(null);
+      load();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const cellSize = useMemo(() => inferGridSpacing(grid.cells), [grid.cells]);
+
+  const cell = useMemo(() => {
+    const [closest] = nearest(grid.cells, location.lat, location.lon);
+    return closest || null;
+  }, [grid.cells, location]);
+
+  const samples = useMemo(
+    () => nearest((insitu.data || []).filter((s) => s.year !== null), location.lat, location.lon, SAMPLE_COUNT),
+    [insitu.data, location]
+  );
+
+  const prediction = useMemo(
+    () => (model ? predictAt(model, location.lat, location.lon) : null),
+    [model, location]
+  );
+
+  const panel = (
+    <aside className="fixed top-0 right-0 h-full w-96 max-w-full bg-white shadow-2xl z-[2000] overflow-y-auto p-4 text-sm text-gray-800">
+      <div className="flex items-start justify-between mb-3">
+        <div>
+          <h3 className="text-xl font-medium text-gray-700">Point Inspector</h3>
+          <p className="text-gray-500">
+            {location.lat.toFixed(2)}°, {location.lon.toFixed(2)}°
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Close inspector"
+          className="text-gray-500 hover:text-gray-800 text-2xl leading-none"
+        >
+          ×
+        </button>
+      </div>
+
+      <DatasetStatus
+        loading={grid.loading || insitu.loading}
+        progress={grid.loading ? grid.progress : insitu.progress}
+        errors={[...grid.errors, ...insitu.errors]}
+      />
+
+      {cell && (
+        <section className="mb-4">
+          <h4 className="font-semibold text-blue-700 mb-1">Nearest grid cell</h4>
+          <p className="text-gray-500 mb-2">
+            Centre {cell.record.lat.toFixed(2)}°, {cell.record.lon.toFixed(2)}° ({cell.distanceKm.toFixed(0)} km away)
+          </p>
+          <dl className="grid grid-cols-2 gap-y-1">
+            {ANNUAL_METRICS.map((metric) => (
+              <React.Fragment key={metric.id}>
+                <dt className="font-semibold">{metric.label}</dt>
+                <dd>
+                  {formatNumber(metricValue(metric, cell.record))} {metricValue(metric, cell.record) !== null && metric.unit}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+          <GeographySummary lat={cell.record.lat} lon={cell.record.lon} />
+          {MONTHLY_METRICS.map(({ metric, color }) => (
+            <div key={metric.id} className="mt-3">
+              <p className="font-semibold mb-1">
+                {metric.label} by month <span className="font-normal text-gray-500">({metric.unit})</span>
+              </p>
+              <Sparkline
+                values={MONTHS.map((_, m) => metricValue(metric, cell.record, m))}
+                labels={MONTHS}
+                unit={metric.unit}
+                color={color}
+              />
+            </div>
+          ))}
+        </section>
+      )}
+
+      {samples.length > 0 && (
+        <section className="mb-4">
+          <h4 className="font-semibold text-blue-700 mb-1">Nearest in-situ samples</h4>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium">Date</th>
+                <th className="font-medium">Distance</th>
+                <th className="font-medium">Level 0 (pieces/m³)</th>
+                <th className="font-medium">Level 2p (pieces/km²)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {samples.map(({ record, distanceKm }, i) => (
+                <tr key={i} className="border-t border-gray-100">
+                  <td className="py-0.5">{formatSampleDate(record)}</td>
+                  <td>{distanceKm.toFixed(0)} km</td>
+                  <td>{formatNumber(record.level0)}</td>
+                  <td>{formatNumber(record.level2p)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      <section>
+        <h4 className="font-semibold text-blue-700 mb-1">AI model</h4>
+        {prediction !== null ? (
+          <p>
+            Predicted Level 3p: <strong>{formatNumber(prediction)}</strong> pieces/km²
+          </p>
+        ) : (
+          <p className="text-gray-500">No trained model in this browser. Train one on the AI Predictions page.</p>
+        )}
+      </section>
+    </aside>
+  );
+
+  return (
+    <>
+      {cell && cellBoxes(cell.record.lat, cell.record.lon, cellSize).map((box, i) => (
+        <Rectangle
+          key={i}
+          bounds={[[box.south, box.west], [box.north, box.east]]}
+          pathOptions={{ color: '#1d4ed8', weight: 2, fillOpacity: 0 }}
+          interactive={false}
+        />
+      ))}
+      {createPortal(panel, document.body)}
+    </>
+  );
+}
+
+export default PointInspector;
@@ -0,0 +1,41 @@
+// src/components/PortfolioBreakdown.jsx
+import React from 'react';
+import { formatNumber } from '../utils/format';
+
+// How much of a portfolio's reduction each tactic accounts for.
+// `breakdown` comes from attributeReduction() in mitigation/portfolio.js;
+// `unit` is the unit of its totals (e.g. 'pieces').
+function PortfolioBreakdown({ breakdown, unit, scope }) {
+  const { before, after, byTactic } = breakdown;
+  const removed = before - after;
+  const percent = before > 0 ? (removed / before) * 100 : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-800">
+      <h3 className="font-semibold text-gray-700 mb-1">Reduction by tactic{scope && `: ${scope}`}</h3>
+      <p className="text-gray-500 mb-2">
+        {formatNumber(removed)} of {formatNumber(before)} {unit} removed ({percent.toFixed(1)}%)
+      </p>
+      <table className="w-full">
+        <tbody>
+          {byTactic.map((row) => (
+            <tr key={row.id} className="border-t border-gray-100">
+              <td className="py-1 pr-2 font-medium">{row.label}</td>
+              <td className="py-1 pr-2 w-1/3">
+                <div className="w-full bg-gray-200 rounded h-2">
+                  <div className="bg-blue-600 h-2 rounded" style={{ width: `${row.share * 100}%` }}></div>
+                </div>
+              </td>
+              <td className="py-1 pr-2 text-right">{(row.share * 100).toFixed(1)}%</td>
+              <td className="py-1 text-right text-gray-500">
+                {formatNumber(row.reduction)} {unit}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default PortfolioBreakdown;
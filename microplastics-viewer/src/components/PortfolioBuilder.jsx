@@ -0,0 +1,91 @@
+// src/components/PortfolioBuilder.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { STACKING_RULES } from '../mitigation/portfolio';
+
+// Tactic checkboxes plus the stacking rule for a mitigation portfolio
+// (see mitigation/portfolio.js). Nothing ticked means no mitigation.
+function PortfolioBuilder({
+  tactics, value, onChange, idPrefix = 'portfolio', title = 'Mitigation portfolio:',
+}) {
+  const update = (patch) => onChange({ ...value, ...patch });
+  const selectable = tactics.filter((t) => t.type !== 'none');
+  const rule = STACKING_RULES.find((r) => r.value === value.rule) || STACKING_RULES[0];
+
+  const toggle = (id, checked) => {
+    update({ ids: checked ? [...value.ids, id] : value.ids.filter((other) => other !== id) });
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="block font-medium text-gray-700">{title}</span>
+        {value.ids.length > 0 && (
+          <button type="button" onClick={() => update({ ids: [] })} className="text-blue-600 hover:underline">
+            Clear
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+        {selectable.map((t) => (
+          <label
+            key={t.id}
+            className={`flex items-start space-x-2 border rounded p-2 cursor-pointer ${
+              value.ids.includes(t.id) ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white'
+            }`}
+          >
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={value.ids.includes(t.id)}
+              onChange={(e) => toggle(t.id, e.target.checked)}
+            />
+            <span>
+              <span className="block text-gray-800">{t.label}</span>
+              {t.description && <span className="block text-xs text-gray-500">{t.description}</span>}
+            </span>
+          </label>
+        ))}
+      </div>
+      <p className="text-gray-500 mb-3">
+        Need a tactic for a specific area? <Link to="/tactics" className="text-blue-600 hover:underline">Draw your own</Link>.
+      </p>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-rule`} className="block font-medium text-gray-700 mb-1">
+            Overlapping tactics combine:
+          </label>
+          <select
+            id={`${idPrefix}-rule`}
+            className="border border-gray-300 rounded p-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            value={value.rule}
+            onChange={(e) => update({ rule: e.target.value })}
+          >
+            {STACKING_RULES.map((r) => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+        </div>
+        {value.rule === 'additive' && (
+          <label htmlFor={`${idPrefix}-cap`} className="text-gray-700">
+            Cap: {Math.round(value.cap * 100)}%
+            <input
+              id={`${idPrefix}-cap`}
+              type="range"
+              min="10"
+              max="100"
+              step="5"
+              value={Math.round(value.cap * 100)}
+              onChange={(e) => update({ cap: parseInt(e.target.value, 10) / 100 })}
+              className="block w-40"
+            />
+          </label>
+        )}
+      </div>
+      <p className="text-gray-500 mt-1">{rule.description}</p>
+    </div>
+  );
+}
+
+export default PortfolioBuilder;
@@ -0,0 +1,12 @@
+// src/components/RegionSelect.jsx
+import React, { useMemo } from 'react';
+import RegionsDraw from './RegionsDraw';
+
+// Drawing tools for a single region; `onChange` receives it as a plain
+// object (see utils/regions.js) or null once deleted.
+function RegionSelect({ region, onChange }) {
+  const regions = useMemo(() => (region ? [region] : []), [region]);
+  return <RegionsDraw single regions={regions} onChange={(next) => onChange(next[0] || null)} />;
+}
+
+export default RegionSelect;
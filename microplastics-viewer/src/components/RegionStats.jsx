@@ -0,0 +1,68 @@
+// src/components/RegionStats.jsx
+import React from 'react';
+import { formatNumber } from '../utils/format';
+import { REGION_LABELS, totalUnit } from '../utils/regions';
+
+function percentChange(value, base) {
+  if (value === null || base === null || base === 0) return null;
+  return ((value - base) / base) * 100;
+}
+
+// Aggregate statistics for the region drawn with RegionSelect.
+// `baseline` (optional) is the same region's stats before mitigation.
+function RegionStats({ region, stats, baseline, label, unit, onClear }) {
+  if (!region) {
+    return (
+      <p className="text-sm text-gray-500">
+        Draw a rectangle, polygon or circle with the tools on the map to see statistics for that area.
+      </p>
+    );
+  }
+
+  const rows = [
+    { key: 'mean', label: 'Mean', unit },
+    { key: 'median', label: 'Median', unit },
+    { key: 'max', label: 'Max', unit },
+    { key: 'total', label: 'Area-weighted total', unit: totalUnit(unit) },
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-800">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-700">
+          {REGION_LABELS[region.type]} selection: {label}
+        </h3>
+        <button type="button" onClick={onClear} className="text-blue-600 hover:underline">
+          Clear
+        </button>
+      </div>
+      <p className="text-gray-500 mb-2">
+        {stats.count} cells, {formatNumber(stats.areaKm2)} km²
+      </p>
+      {stats.count > 0 && (
+        <table className="w-full">
+          <tbody>
+            {rows.map((row) => {
+              const change = baseline ? percentChange(stats[row.key], baseline[row.key]) : null;
+              return (
+                <tr key={row.key} className="border-t border-gray-100">
+                  <td className="py-1 font-medium">{row.label}</td>
+                  <td className="py-1">
+                    {formatNumber(stats[row.key])} {row.unit}
+                  </td>
+                  {baseline && (
+                    <td className="py-1 text-gray-500">
+                      {change !== null && `${change > 0 ? '+' : ''}${change.toFixed(1)}% vs. no mitigation`}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default RegionStats;
@@ -0,0 +1,118 @@
+// src/components/RegionsDraw.jsx
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet-draw';
+import 'leaflet-draw/dist/leaflet.draw.css';
+
+const SHAPE_STYLE = { color: '#1d4ed8', weight: 2, fillOpacity: 0.05 };
+
+function toRegion(type, layer) {
+  if (type === 'rectangle') {
+    const bounds = layer.getBounds();
+    return {
+      type,
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast(),
+    };
+  }
+  if (type === 'circle') {
+    const centre = layer.getLatLng();
+    return { type, lat: centre.lat, lon: centre.lng, radiusKm: layer.getRadius() / 1000 };
+  }
+  return { type, latlngs: layer.getLatLngs()[0].map((ll) => [ll.lat, ll.lng]) };
+}
+
+function toLayer(region, style) {
+  let layer;
+  if (region.type === 'rectangle') {
+    layer = L.rectangle([[region.south, region.west], [region.north, region.east]], style);
+  } else if (region.type === 'circle') {
+    layer = L.circle([region.lat, region.lon], { ...style, radius: region.radiusKm * 1000 });
+  } else {
+    layer = L.polygon(region.latlngs, style);
+  }
+  layer.region = region;
+  return layer;
+}
+
+const sameRegions = (a, b) => a.length === b.length && a.every((region, i) => region === b[i]);
+
+// Rectangle, polygon and circle drawing tools (leaflet-draw) for a list of
+// regions (see utils/regions.js). `onChange` receives the whole list after
+// every draw, edit or delete. With `single`, drawing a shape replaces the
+// previous one. The regions are owned by the caller, so they survive
+// anything that re-renders the data layers.
+function RegionsDraw({ regions, onChange, single = false, style = SHAPE_STYLE }) {
+  const map = useMap();
+  const groupRef = useRef(null);
+  const drawnRef = useRef([]); // regions currently shown by the layer group
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    const group = L.featureGroup().addTo(map);
+    groupRef.current = group;
+    const control = new L.Control.Draw({
+      position: 'topleft',
+      draw: {
+        // showArea is off: leaflet-draw's area readout throws in strict mode
+        rectangle: { shapeOptions: style, showArea: false },
+        polygon: { shapeOptions: style, showArea: false, allowIntersection: false },
+        circle: { shapeOptions: style },
+        polyline: false,
+        marker: false,
+        circlemarker: false,
+      },
+      edit: { featureGroup: group },
+    });
+    map.addControl(control);
+
+    // Edited layers get a fresh region; untouched ones keep theirs
+    const emit = () => {
+      const next = group.getLayers().map((layer) => layer.region);
+      drawnRef.current = next;
+      onChangeRef.current(next);
+    };
+    const onCreated = (e) => {
+      if (single) group.clearLayers();
+      e.layer.region = toRegion(e.layerType, e.layer);
+      group.addLayer(e.layer);
+      emit();
+    };
+    const onEdited = (e) => {
+      e.layers.eachLayer((layer) => {
+        layer.region = toRegion(layer.region.type, layer);
+      });
+      emit();
+    };
+
+    map.on(L.Draw.Event.CREATED, onCreated);
+    map.on(L.Draw.Event.EDITED, onEdited);
+    map.on(L.Draw.Event.DELETED, emit);
+    return () => {
+      map.off(L.Draw.Event.CREATED, onCreated);
+      map.off(L.Draw.Event.EDITED, onEdited);
+      map.off(L.Draw.Event.DELETED, emit);
+      map.removeControl(control);
+      group.remove();
+      groupRef.current = null;
+      drawnRef.current = [];
+    };
+  }, [map, single, style]);
+
+  // Regions set from outside (e.g. cleared by the stats panel) redraw the layers
+  useEffect(() => {
+    const group = groupRef.current;
+    if (sameRegions(regions, drawnRef.current)) return;
+    group.clearLayers();
+    regions.forEach((region) => group.addLayer(toLayer(region, style)));
+    drawnRef.current = regions;
+  }, [regions, style]);
+
+  return null;
+}
+
+export default RegionsDraw;
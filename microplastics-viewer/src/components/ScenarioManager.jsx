@@ -0,0 +1,251 @@
+// src/components/ScenarioManager.jsx
+import React, { useRef, useState } from 'react';
+import { useScenarios } from '../hooks/useScenarios';
+import { putScenario, deleteScenario } from '../utils/scenarioStore';
+import {
+  createScenario, parseScenarioFile, scenariosToJson, HOTSPOT_QUANTILE,
+} from '../utils/scenarios';
+import { YEAR_MODEL_VERSION } from '../utils/aiModel';
+import { downloadBlob } from '../utils/download';
+import { formatNumber } from '../utils/format';
+import { getTactic } from '../mitigation/registry';
+import { STACKING_RULES } from '../mitigation/portfolio';
+import { describeEmissions } from '../mitigation/emissions';
+import { REGION_LABELS } from '../utils/regions';
+
+const tacticNames = (scenario) => (scenario.portfolio.ids.length
+  ? scenario.portfolio.ids.map((id) => getTactic(id)?.label
+    || scenario.customTactics.find((def) => def.id === id)?.label
+    || id).join(' + ')
+  : 'No mitigation');
+
+const ruleLabel = (scenario) => STACKING_RULES.find((r) => r.value === scenario.portfolio.rule)?.label;
+
+const fileName = (name) => `${name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-|-$/g, '') || 'scenarios'}.json`;
+
+// Save the page's current inputs as a named scenario, reload, delete, export
+// and import scenarios, and compare the outputs of two or more.
+//   inputs: { baseYear, horizon, portfolio, region } of the page
+//   onLoad(scenario): applies a scenario's inputs to the page
+//   evaluate(scenario): Promise of its outputs (see scenarioOutputs), or
+//     null while the model is not ready
+function ScenarioManager({ inputs, onLoad, evaluate }) {
+  const { scenarios, loading, error: storeError } = useScenarios();
+  const [name, setName] = useState('');
+  const [checked, setChecked] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  const report = (text, isError = false) => {
+    setMessage(isError ? null : text);
+    setError(isError ? text : null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const existing = scenarios.find((s) => s.name === trimmed);
+    try {
+      await putScenario(createScenario(trimmed, inputs, existing));
+      report(existing ? `Updated "${trimmed}".` : `Saved "${trimmed}".`);
+    } catch (err) {
+      report(`Could not save the scenario: ${err.message}`, true);
+    }
+  };
+
+  const handleLoad = (scenario) => {
+    try {
+      onLoad(scenario);
+      setName(scenario.name);
+      report(`Loaded "${scenario.name}".`);
+    } catch (err) {
+      report(`Could not load "${scenario.name}": ${err.message}`, true);
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!window.confirm(`Delete the scenario "${scenario.name}"?`)) return;
+    try {
+      await deleteScenario(scenario.id);
+      setChecked((prev) => prev.filter((id) => id !== scenario.id));
+    } catch (err) {
+      report(`Could not delete "${scenario.name}": ${err.message}`, true);
+    }
+  };
+
+  const exportScenarios = (list, baseName) => {
+    downloadBlob(new Blob([scenariosToJson(list)], { type: 'application/json' }), fileName(baseName));
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseScenarioFile(await file.text());
+      await Promise.all(imported.map(putScenario));
+      report(`Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      report(`Could not import ${file.name}: ${err.message}`, true);
+    }
+  };
+
+  const handleCompare = async () => {
+    const selected = scenarios.filter((s) => checked.includes(s.id));
+    setComparing(true);
+    try {
+      const outputs = await Promise.all(selected.map(evaluate));
+      setComparison(selected.map((scenario, i) => ({ scenario, outputs: outputs[i] })));
+      setError(null);
+    } catch (err) {
+      report(`Could not compare: ${err.message}`, true);
+    }
+    setComparing(false);
+  };
+
+  const toggle = (id, on) => setChecked((prev) => (on ? [...prev, id] : prev.filter((other) => other !== id)));
+
+  const rows = [
+    { label: 'Years', cell: ({ scenario }) => `${scenario.baseYear} → ${scenario.baseYear + scenario.horizon}` },
+    { label: 'Tactics', cell: ({ scenario }) => tacticNames(scenario) },
+    { label: 'Baseline emissions', cell: ({ scenario }) => describeEmissions(scenario.emissions) },
+    { label: 'Stacking', cell: ({ scenario }) => (scenario.portfolio.ids.length > 1 ? ruleLabel(scenario) : '—') },
+    { label: 'Global total (pieces)', cell: ({ outputs }) => formatNumber(outputs.total) },
+    {
+      label: `Hotspots (cells above the unmitigated ${Math.round(HOTSPOT_QUANTILE * 100)}th percentile)`,
+      cell: ({ outputs }) => `${outputs.hotspots} of ${outputs.baselineHotspots}`,
+    },
+    { label: 'Reduction vs. no mitigation', cell: ({ outputs }) => `${(outputs.reduction * 100).toFixed(1)}%` },
+    {
+      label: 'Region total (pieces)',
+      cell: ({ outputs }) => (outputs.regionTotal === null ? '—' : formatNumber(outputs.regionTotal)),
+    },
+  ];
+
+  const inputClass = 'border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-800">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-700">Scenarios</h3>
+        <div className="space-x-3">
+          <button type="button" onClick={() => fileRef.current.click()} className="text-blue-600 hover:underline">
+            Import…
+          </button>
+          {scenarios.length > 0 && (
+            <button type="button" onClick={() => exportScenarios(scenarios, 'scenarios')} className="text-blue-600 hover:underline">
+              Export all
+            </button>
+          )}
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </div>
+      </div>
+
+      <form onSubmit={handleSave} className="flex gap-2 mb-3">
+        <input
+          type="text"
+          aria-label="Scenario name"
+          className={`${inputClass} flex-1`}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scenario name, e.g., Ban + interceptors 2030"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim() || inputs.baseYear === null}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-300 disabled:opacity-50"
+        >
+          {scenarios.some((s) => s.name === name.trim()) ? 'Update' : 'Save current'}
+        </button>
+      </form>
+
+      {(error || storeError) && <p className="bg-red-100 text-red-700 p-2 rounded mb-2">{error || storeError}</p>}
+      {message && <p className="bg-green-100 text-green-700 p-2 rounded mb-2">{message}</p>}
+
+      {!loading && scenarios.length === 0 && <p className="text-gray-500">No saved scenarios yet.</p>}
+      {scenarios.length > 0 && (
+        <table className="w-full mb-3">
+          <tbody>
+            {scenarios.map((scenario) => (
+              <tr key={scenario.id} className="border-t border-gray-100 align-top">
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    aria-label={`Compare ${scenario.name}`}
+                    checked={checked.includes(scenario.id)}
+                    onChange={(e) => toggle(scenario.id, e.target.checked)}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <span className="font-medium">{scenario.name}</span>
+                  <span className="block text-xs text-gray-500">
+                    {scenario.baseYear} + {scenario.horizon} yr · {tacticNames(scenario)}
+                    {scenario.region && ` · ${REGION_LABELS[scenario.region.type]} region`}
+                    {scenario.modelVersion !== YEAR_MODEL_VERSION && ` · model ${scenario.modelVersion}`}
+                  </span>
+                </td>
+                <td className="py-1 text-right whitespace-nowrap space-x-2">
+                  <button type="button" onClick={() => handleLoad(scenario)} className="text-blue-600 hover:underline">Load</button>
+                  <button type="button" onClick={() => exportScenarios([scenario], scenario.name)} className="text-blue-600 hover:underline">
+                    Export
+                  </button>
+                  <button type="button" onClick={() => handleDelete(scenario)} className="text-red-600 hover:underline">Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {scenarios.length > 1 && (
+        <button
+          type="button"
+          onClick={handleCompare}
+          disabled={checked.length < 2 || comparing || !evaluate}
+          className="bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-800 transition duration-300 disabled:opacity-50"
+        >
+          {comparing ? 'Comparing…' : `Compare selected (${checked.length})`}
+        </button>
+      )}
+      {!evaluate && checked.length > 1 && (
+        <p className="text-gray-500 mt-1">The comparison runs the model; wait until it has loaded.</p>
+      )}
+
+      {comparison && (
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="py-1 pr-2 font-medium"></th>
+                {comparison.map(({ scenario }) => (
+                  <th key={scenario.id} className="py-1 pr-2 font-semibold text-gray-800">{scenario.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.label} className="border-t border-gray-100">
+                  <td className="py-1 pr-2 font-medium">{row.label}</td>
+                  {comparison.map((entry) => (
+                    <td key={entry.scenario.id} className="py-1 pr-2">{row.cell(entry)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {comparison.some(({ scenario }) => scenario.modelVersion !== YEAR_MODEL_VERSION) && (
+            <p className="text-xs text-gray-500 mt-1">
+              Scenarios saved with another model version were evaluated with the current model ({YEAR_MODEL_VERSION}).
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioManager;
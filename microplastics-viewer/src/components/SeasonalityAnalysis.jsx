@@ -0,0 +1,174 @@
+// src/components/SeasonalityAnalysis.jsx
+import React, { useMemo, useState } from 'react';
+import { MapContainer } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MONTHS } from '../utils/datasets';
+import { METRICS, getMetric } from '../utils/metrics';
+import { inferGridSpacing } from '../utils/grid';
+import { DEFAULT_COLOR_SETTINGS } from '../utils/colorScales';
+import { SEASONALITY_MEASURES, peakMonthScale, seasonalityCells, zonalMeanByMonth } from '../utils/seasonality';
+import { DEFAULT_DISPLAY, DISPLAY_MODES } from '../utils/displayModes';
+import { formatNumber } from '../utils/format';
+import { useGridCells } from '../hooks/useGridCells';
+import { useColorScale } from '../hooks/useColorScale';
+import DatasetStatus from './DatasetStatus';
+import MetricSelect from './MetricSelect';
+import MapLegend from './MapLegend';
+import DataLayer from './DataLayer';
+import DisplayModeControls from './DisplayModeControls';
+import ColorScaleControls from './ColorScaleControls';
+import Basemap from './Basemap';
+import PointInspector from './PointInspector';
+import LineChart from './LineChart';
+
+const MONTHLY_METRICS = METRICS.filter((m) => m.monthly);
+// A kernel density of month numbers or ratios means nothing, so no heatmap
+const MODES = DISPLAY_MODES.filter((m) => m.value !== 'heatmap');
+const PEAK_MONTH_COLORS = peakMonthScale();
+const MONTH_TICKS = MONTHS.map((label, m) => ({ value: m, label }));
+
+function SeasonalityAnalysis() {
+  const [metricId, setMetricId] = useState('level3pm');
+  const [measureId, setMeasureId] = useState('peakMonth');
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [colorSettings, setColorSettings] = useState(() => Object.fromEntries(
+    SEASONALITY_MEASURES.map((m) => [m.id, { ...DEFAULT_COLOR_SETTINGS, ...m.defaultColors }])
+  ));
+  const [relative, setRelative] = useState(false);
+  const metric = getMetric(metricId);
+  const measure = SEASONALITY_MEASURES.find((m) => m.id === measureId);
+  const { cells, loading, progress, errors } = useGridCells(metric.datasets);
+
+  const seasonal = useMemo(() => seasonalityCells(cells, metric), [cells, metric]);
+  const cellSize = useMemo(() => inferGridSpacing(cells), [cells]);
+
+  const valueOf = useMemo(() => (row) => row[measureId], [measureId]);
+  const points = useMemo(() => seasonal.filter((row) => row[measureId] !== null), [seasonal, measureId]);
+  const values = useMemo(() => points.map(valueOf), [points, valueOf]);
+  const continuous = useColorScale(values, colorSettings[measureId]);
+  const { scale: colorScale, legend, domain } = measureId === 'peakMonth' ? PEAK_MONTH_COLORS : continuous;
+
+  // Zonal means per hemisphere, optionally divided by their own annual mean
+  // so the shapes of the two cycles can be compared directly
+  const zonalSeries = useMemo(() => {
+    const curves = [
+      { label: 'Northern Hemisphere', color: '#2563eb', values: zonalMeanByMonth(seasonal, 'north') },
+      { label: 'Southern Hemisphere', color: '#dc2626', values: zonalMeanByMonth(seasonal, 'south') },
+    ];
+    return curves.map(({ values: monthly, ...rest }) => {
+      const present = monthly.filter((v) => v !== null);
+      const mean = present.reduce((sum, v) => sum + v, 0) / (present.length || 1);
+      return {
+        ...rest,
+        points: monthly.map((v, m) => ({ x: m, y: v === null ? null : relative ? v / mean : v })),
+      };
+    });
+  }, [seasonal, relative]);
+
+  const formatMeasure = (row) => (measureId === 'peakMonth' ? MONTHS[row.peakMonth] : formatNumber(row[measureId]));
+
+  const tooltip = (row) => `
+    <div class="text-sm text-gray-800">
+      <strong>Latitude:</strong> ${row.lat.toFixed(2)} <br />
+      <strong>Longitude:</strong> ${row.lon.toFixed(2)} <br />
+      <strong>${measure.label}:</strong> ${formatMeasure(row)} ${measureId === 'peakMonth' ? '' : measure.unit}
+    </div>
+  `;
+
+  return (
+    <div className="bg-gradient-to-b from-blue-50 to-white p-6 rounded-lg shadow-lg mt-6">
+      <header className="mb-6">
+        <h1 className="text-3xl font-bold text-blue-700 text-center">Seasonality</h1>
+        <p className="text-center text-gray-600 text-lg mt-2">
+          When and how strongly microplastic concentration peaks through the year, cell by cell.
+        </p>
+      </header>
+
+      <div className="mb-4 space-y-4">
+        <MetricSelect id="seasonality-metric" value={metricId} onChange={setMetricId} metrics={MONTHLY_METRICS} />
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">Statistic:</span>
+          <div className="inline-flex rounded-lg shadow-sm overflow-hidden border border-gray-300">
+            {SEASONALITY_MEASURES.map((m) => (
+              <button
+                key={m.id}
+                type="button"
+                onClick={() => setMeasureId(m.id)}
+                className={`px-3 py-1 text-sm ${
+                  measureId === m.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            {measure.description} {seasonal.length > 0 && `${points.length} of ${seasonal.length} cells with a full year of data.`}
+          </p>
+        </div>
+        <DisplayModeControls value={display} onChange={setDisplay} modes={MODES} />
+        {measureId !== 'peakMonth' && (
+          <ColorScaleControls
+            idPrefix="seasonality-color"
+            value={colorSettings[measureId]}
+            onChange={(next) => setColorSettings((prev) => ({ ...prev, [measureId]: next }))}
+            domain={domain}
+          />
+        )}
+      </div>
+
+      <DatasetStatus loading={loading} progress={progress} errors={errors} />
+
+      <div className="relative">
+        <div className="h-[600px] w-full rounded-lg shadow-lg overflow-hidden">
+          <MapContainer
+            center={[20, 0]}
+            zoom={2}
+            style={{ height: '100%', width: '100%' }}
+            maxBounds={[
+              [-90, -180],
+              [90, 180],
+            ]}
+            maxBoundsViscosity={1.0}
+          >
+            <Basemap />
+            <PointInspector />
+            <DataLayer
+              display={display}
+              points={points}
+              value={valueOf}
+              colorScale={colorScale}
+              domain={domain}
+              cellSize={cellSize}
+              label={measure.label}
+              unit={measure.unit}
+              tooltip={tooltip}
+            />
+          </MapContainer>
+        </div>
+        <MapLegend title={measure.label} unit={measure.unit} legend={legend} />
+      </div>
+
+      <section className="mt-6 bg-white rounded-lg shadow p-4">
+        <div className="flex flex-wrap items-center justify-between mb-2">
+          <h3 className="text-xl font-medium text-gray-700">Zonal mean by month</h3>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={relative} onChange={(e) => setRelative(e.target.checked)} />
+            <span>Relative to each hemisphere&apos;s annual mean</span>
+          </label>
+        </div>
+        <LineChart
+          series={zonalSeries}
+          xTicks={MONTH_TICKS}
+          xLabel="Month"
+          yLabel={relative ? 'Ratio to annual mean' : `${metric.label} (${metric.unit})`}
+        />
+        <p className="text-xs text-gray-500 mt-2">
+          Cos(latitude)-weighted mean over the cells with a full year of {metric.label} data.
+        </p>
+      </section>
+    </div>
+  );
+}
+
+export default SeasonalityAnalysis;
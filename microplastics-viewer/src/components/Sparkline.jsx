@@ -0,0 +1,52 @@
+// src/components/Sparkline.jsx
+import React from 'react';
+import { formatNumber } from '../utils/format';
+
+// Small inline line chart. Null values leave a gap in the line.
+// `labels` (one per value) are shown in the hover title of each point.
+function Sparkline({ values, labels = [], unit = '', color = '#2563eb', width = 240, height = 48 }) {
+  const present = values.filter((v) => v !== null);
+  if (!present.length) {
+    return <p className="text-xs text-gray-500">No data</p>;
+  }
+
+  const pad = 3;
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  const x = (i) => pad + (values.length > 1 ? (i / (values.length - 1)) * (width - pad * 2) : (width - pad * 2) / 2);
+  const y = (v) => (max > min ? pad + (1 - (v - min) / (max - min)) * (height - pad * 2) : height / 2);
+
+  // Consecutive non-null values form one segment
+  const segments = [];
+  let current = [];
+  values.forEach((v, i) => {
+    if (v === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(i)},${y(v)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <div className="flex items-center space-x-2">
+      <svg width={width} height={height} className="bg-gray-50 rounded">
+        {segments.map((points, i) => (
+          <polyline key={i} fill="none" stroke={color} strokeWidth="1.5" points={points.join(' ')} />
+        ))}
+        {values.map((v, i) => v !== null && (
+          <circle key={i} cx={x(i)} cy={y(v)} r="2" fill={color}>
+            <title>{`${labels[i] ?? i + 1}: ${formatNumber(v)} ${unit}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="text-[10px] leading-tight text-gray-500">
+        <div>max {formatNumber(max)}</div>
+        <div>min {formatNumber(min)}</div>
+      </div>
+    </div>
+  );
+}
+
+export default Sparkline;
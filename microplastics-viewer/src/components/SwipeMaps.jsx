@@ -0,0 +1,105 @@
+// src/components/SwipeMaps.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { MapContainer } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import Basemap from './Basemap';
+import { syncMaps } from '../utils/mapSync';
+
+const KEY_STEP = 5;
+
+// Two maps stacked on top of each other with pan and zoom locked together.
+// The right map is cut away left of a divider that can be dragged (or moved
+// with the arrow keys) to swipe between them. `left` and `right` are the
+// layers to put in each map; each map gets its own Basemap.
+// Wrap in a `relative` element to overlay a MapLegend.
+function SwipeMaps({ left, right, leftLabel, rightLabel, zoom = 3, className = 'h-[600px]' }) {
+  const [leftMap, setLeftMap] = useState(null);
+  const [rightMap, setRightMap] = useState(null);
+  const [position, setPosition] = useState(50);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!leftMap || !rightMap) return undefined;
+    rightMap.setView(leftMap.getCenter(), leftMap.getZoom(), { animate: false });
+    return syncMaps([leftMap, rightMap]);
+  }, [leftMap, rightMap]);
+
+  const moveTo = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    setPosition(Math.min(100, Math.max(0, ((clientX - rect.left) / rect.width) * 100)));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    moveTo(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) moveTo(e.clientX);
+  };
+
+  const handleKeyDown = (e) => {
+    const delta = { ArrowLeft: -KEY_STEP, ArrowRight: KEY_STEP }[e.key];
+    if (!delta) return;
+    e.preventDefault();
+    setPosition((prev) => Math.min(100, Math.max(0, prev + delta)));
+  };
+
+  const mapProps = {
+    center: [20, 0],
+    zoom,
+    style: { height: '100%', width: '100%' },
+    maxBounds: [
+      [-90, -180],
+      [90, 180],
+    ],
+    maxBoundsViscosity: 1.0,
+  };
+
+  const labelClass = 'absolute top-2 z-[1000] bg-white bg-opacity-90 rounded shadow px-2 py-1 text-xs font-semibold text-gray-800 pointer-events-none';
+
+  return (
+    <div ref={containerRef} className={`relative w-full rounded-lg shadow-lg overflow-hidden ${className}`}>
+      <div className="absolute inset-0">
+        <MapContainer ref={setLeftMap} {...mapProps}>
+          <Basemap />
+          {left}
+        </MapContainer>
+      </div>
+      <div className="absolute inset-0" style={{ clipPath: `inset(0 0 0 ${position}%)` }}>
+        <MapContainer ref={setRightMap} {...mapProps}>
+          <Basemap />
+          {right}
+        </MapContainer>
+      </div>
+
+      {leftLabel && (
+        <span className={labelClass} style={{ right: `calc(${100 - position}% + 16px)` }}>{leftLabel}</span>
+      )}
+      {rightLabel && (
+        <span className={labelClass} style={{ left: `calc(${position}% + 16px)` }}>{rightLabel}</span>
+      )}
+
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label="Swipe between maps"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position)}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onKeyDown={handleKeyDown}
+        className="absolute top-0 bottom-0 z-[1000] w-4 -ml-2 cursor-ew-resize flex justify-center touch-none focus:outline-none group"
+        style={{ left: `${position}%` }}
+      >
+        <div className="w-0.5 h-full bg-white shadow"></div>
+        <div className="absolute top-1/2 -translate-y-1/2 w-6 h-6 rounded-full bg-white shadow border border-gray-300 group-focus:ring-2 group-focus:ring-blue-500 text-gray-500 text-xs flex items-center justify-center">
+          ↔
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SwipeMaps;
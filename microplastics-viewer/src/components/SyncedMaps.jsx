@@ -0,0 +1,63 @@
+// src/components/SyncedMaps.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { MapContainer } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import Basemap from './Basemap';
+import { syncMaps } from '../utils/mapSync';
+
+// Small maps side by side with pan and zoom locked together. `panels` are
+// [{ key, label, layer }]; each map gets its own Basemap.
+// Wrap in a `relative` element to overlay a MapLegend.
+function SyncedMaps({ panels, zoom = 2, className = 'h-[400px]' }) {
+  const count = panels.length;
+  const [maps, setMaps] = useState([]);
+
+  // One stable ref callback per map, so React does not detach and reattach
+  // them on every render
+  const refs = useMemo(
+    () => Array.from({ length: count }, (_, i) => (map) => {
+      setMaps((prev) => {
+        if (prev[i] === map) return prev;
+        const next = [...prev];
+        next[i] = map;
+        return next;
+      });
+    }),
+    [count]
+  );
+
+  useEffect(() => {
+    const ready = maps.slice(0, count).filter(Boolean);
+    if (ready.length < count || count < 2) return undefined;
+    return syncMaps(ready);
+  }, [maps, count]);
+
+  const gridClass = { 2: 'md:grid-cols-2', 3: 'md:grid-cols-3' }[count] || '';
+  const labelClass = 'absolute top-2 left-12 z-[1000] bg-white bg-opacity-90 rounded shadow px-2 py-1 text-xs font-semibold text-gray-800 pointer-events-none';
+
+  return (
+    <div className={`grid grid-cols-1 ${gridClass} gap-2`}>
+      {panels.map((panel, i) => (
+        <div key={panel.key} className={`relative w-full rounded-lg shadow-lg overflow-hidden ${className}`}>
+          <MapContainer
+            ref={refs[i]}
+            center={[20, 0]}
+            zoom={zoom}
+            style={{ height: '100%', width: '100%' }}
+            maxBounds={[
+              [-90, -180],
+              [90, 180],
+            ]}
+            maxBoundsViscosity={1.0}
+          >
+            <Basemap />
+            {panel.layer}
+          </MapContainer>
+          <span className={labelClass}>{panel.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SyncedMaps;
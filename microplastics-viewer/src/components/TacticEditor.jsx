@@ -0,0 +1,396 @@
+// src/components/TacticEditor.jsx
+import React, { useState, useMemo } from 'react';
+import { MapContainer } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { useDataset } from '../hooks/useDatasets';
+import { useCustomTactics } from '../hooks/useTactics';
+import {
+  NEW_CUSTOM_TACTIC, saveCustomTactic, deleteCustomTactic, describeCustomTactic, toTactic,
+} from '../mitigation/customTactics';
+import { BASE_YEAR, tacticApplies } from '../mitigation/engine';
+import { BASINS } from '../mitigation/geography';
+import { COST_UNIT } from '../mitigation/costs';
+import { DISTRIBUTION_TYPES } from '../mitigation/uncertainty';
+import Basemap from './Basemap';
+import RegionsDraw from './RegionsDraw';
+
+const TYPE_OPTIONS = [
+  { value: 'perYear', label: 'Every year (compounding)' },
+  { value: 'oneTime', label: 'Once' },
+];
+
+const DISTANCE_FIELDS = [
+  { key: 'maxCoastKm', label: 'Within … km of shore' },
+  { key: 'minCoastKm', label: 'More than … km from shore' },
+  { key: 'maxRiverKm', label: 'Within … km of a major river mouth' },
+];
+
+const DISTRIBUTION_FIELDS = {
+  min: 'Lowest reduction (%)',
+  max: 'Highest reduction (%)',
+  sd: 'Standard deviation (% points)',
+};
+
+const COST_FIELDS = [
+  { key: 'fixed', label: `Fixed (${COST_UNIT})` },
+  { key: 'perYear', label: `Per year (${COST_UNIT})` },
+  { key: 'perKm2Year', label: 'Per km² per year (US$)' },
+];
+
+// Create, edit and delete custom tactics whose deployment area is drawn on
+// the map and/or limited by geography (distance from shore, ocean basin,
+// river mouths). Saved tactics appear in the portfolio of both simulators.
+function TacticEditor() {
+  const customTactics = useCustomTactics();
+  const { data } = useDataset('level3');
+  const [draft, setDraft] = useState(NEW_CUSTOM_TACTIC);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const update = (patch) => {
+    setDraft((prev) => ({ ...prev, ...patch }));
+    setMessage(null);
+  };
+
+  const setTarget = (key, value) => {
+    const next = { ...draft.target, [key]: value };
+    if (value === null) delete next[key];
+    update({ target: next });
+  };
+
+  const setDistance = (key, raw) => {
+    const km = parseFloat(raw);
+    setTarget(key, Number.isNaN(km) ? null : km);
+  };
+
+  const setCost = (key, raw) => {
+    const amount = parseFloat(raw);
+    const next = { ...draft.cost, [key]: amount };
+    if (Number.isNaN(amount) || amount < 0) delete next[key];
+    update({ cost: next });
+  };
+
+  // A new distribution starts ten points either side of the rate
+  const setDistributionType = (type) => {
+    if (!type) {
+      update({ rateDistribution: null });
+      return;
+    }
+    const spread = type === 'normal'
+      ? { sd: 0.05 }
+      : { min: Math.max(0, Math.round((draft.rate - 0.1) * 100) / 100), max: Math.min(1, Math.round((draft.rate + 0.1) * 100) / 100) };
+    update({ rateDistribution: { type, ...spread } });
+  };
+
+  const setDistributionParam = (key, raw) => {
+    const value = parseFloat(raw);
+    if (Number.isNaN(value)) return;
+    update({ rateDistribution: { ...draft.rateDistribution, [key]: Math.min(100, Math.max(0, value)) / 100 } });
+  };
+
+  const distributionType = DISTRIBUTION_TYPES.find((t) => t.value === draft.rateDistribution?.type);
+
+  const toggleBasin = (id, checked) => {
+    const basins = draft.target.basins || [];
+    const next = checked ? [...basins, id] : basins.filter((other) => other !== id);
+    setTarget('basins', next.length ? next : null);
+  };
+
+  const cells = useMemo(() => (data || []).filter((row) => row.level3p !== null), [data]);
+  const limited = draft.regions.length > 0 || Object.keys(draft.target).length > 0;
+  const covered = useMemo(() => {
+    if (!limited) return 0;
+    const tactic = toTactic(draft);
+    return cells.filter((row) => tacticApplies(tactic, row.lat, row.lon)).length;
+  }, [cells, draft, limited]);
+
+  const startNew = () => {
+    setDraft(NEW_CUSTOM_TACTIC);
+    setError(null);
+    setMessage(null);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const saved = saveCustomTactic({ ...draft, label: draft.label.trim(), description: draft.description.trim() });
+      setDraft(saved);
+      setError(null);
+      setMessage(`Saved "${saved.label}".`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (def) => {
+    if (!window.confirm(`Delete the tactic "${def.label}"?`)) return;
+    deleteCustomTactic(def.id);
+    if (draft.id === def.id) startNew();
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-gradient-to-b from-blue-50 to-white p-6 rounded-lg shadow-lg mt-6">
+      <header className="mb-6">
+        <h1 className="text-3xl font-bold text-blue-700 text-center">Custom Tactics</h1>
+        <p className="text-center text-gray-600 text-lg mt-2">
+          Draw where a tactic is deployed and set how strongly it acts. Custom tactics are stored in this browser.
+        </p>
+      </header>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-4">
+          <div className="bg-white rounded-lg shadow p-4 text-sm">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-gray-700">Your tactics</h3>
+              <button type="button" onClick={startNew} className="text-blue-600 hover:underline">
+                New tactic
+              </button>
+            </div>
+            {customTactics.length === 0 ? (
+              <p className="text-gray-500">No custom tactics yet.</p>
+            ) : (
+              <ul>
+                {customTactics.map((def) => (
+                  <li
+                    key={def.id}
+                    className={`border-t border-gray-100 py-2 ${def.id === draft.id ? 'text-blue-700' : 'text-gray-800'}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium">{def.label}</span>
+                      <span className="space-x-2">
+                        <button type="button" onClick={() => setDraft({ ...NEW_CUSTOM_TACTIC, ...def })} className="text-blue-600 hover:underline">
+                          Edit
+                        </button>
+                        <button type="button" onClick={() => handleDelete(def)} className="text-red-600 hover:underline">
+                          Delete
+                        </button>
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">{def.description || describeCustomTactic(def)}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-4 text-sm space-y-3">
+            <h3 className="font-semibold text-gray-700">{draft.id ? 'Edit tactic' : 'New tactic'}</h3>
+            <div>
+              <label htmlFor="tactic-label" className="block font-medium text-gray-700 mb-1">Name:</label>
+              <input
+                id="tactic-label"
+                type="text"
+                required
+                className={inputClass}
+                value={draft.label}
+                onChange={(e) => update({ label: e.target.value })}
+                placeholder="e.g., Mekong Delta interceptors"
+              />
+            </div>
+            <div>
+              <label htmlFor="tactic-description" className="block font-medium text-gray-700 mb-1">Description:</label>
+              <textarea
+                id="tactic-description"
+                rows="2"
+                className={inputClass}
+                value={draft.description}
+                onChange={(e) => update({ description: e.target.value })}
+                placeholder={limited ? describeCustomTactic(draft) : 'Optional'}
+              />
+            </div>
+            <div>
+              <span className="block font-medium text-gray-700 mb-1">Acts:</span>
+              {TYPE_OPTIONS.map((option) => (
+                <label key={option.value} className="inline-flex items-center space-x-1 mr-4">
+                  <input
+                    type="radio"
+                    name="tactic-type"
+                    value={option.value}
+                    checked={draft.type === option.value}
+                    onChange={() => update({ type: option.value })}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+            <div>
+              <label htmlFor="tactic-rate" className="block font-medium text-gray-700 mb-1">
+                Reduction: {Math.round(draft.rate * 100)}%{draft.type === 'perYear' && ' per year'}
+              </label>
+              <input
+                id="tactic-rate"
+                type="range"
+                min="1"
+                max="100"
+                value={Math.round(draft.rate * 100)}
+                onChange={(e) => update({ rate: parseInt(e.target.value, 10) / 100 })}
+                className="w-full"
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="tactic-distribution" className="block font-medium text-gray-700 mb-1">
+                Uncertainty in the reduction:
+              </label>
+              <select
+                id="tactic-distribution"
+                className={inputClass}
+                value={draft.rateDistribution?.type || ''}
+                onChange={(e) => setDistributionType(e.target.value)}
+              >
+                <option value="">None (exact rate)</option>
+                {DISTRIBUTION_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+              {distributionType && distributionType.params.map((key) => (
+                <label key={key} className="flex items-center justify-between space-x-2">
+                  <span>{DISTRIBUTION_FIELDS[key]}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="1"
+                    className="w-24 border border-gray-300 rounded p-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={Math.round(draft.rateDistribution[key] * 100)}
+                    onChange={(e) => setDistributionParam(key, e.target.value)}
+                  />
+                </label>
+              ))}
+              {distributionType && (
+                <p className="text-xs text-gray-500">
+                  {distributionType.value === 'normal'
+                    ? 'Centred on the reduction above; used by Monte Carlo runs in the simulator.'
+                    : 'Must include the reduction above; used by Monte Carlo runs in the simulator.'}
+                </p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="tactic-start" className="block font-medium text-gray-700 mb-1">Start year:</label>
+              <input
+                id="tactic-start"
+                type="number"
+                min={BASE_YEAR}
+                max={BASE_YEAR + 50}
+                step="1"
+                required
+                className={inputClass}
+                value={draft.startYear}
+                onChange={(e) => update({ startYear: parseInt(e.target.value, 10) || BASE_YEAR })}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label htmlFor="tactic-ramp" className="block font-medium text-gray-700 mb-1">Ramp-up (years):</label>
+                <input
+                  id="tactic-ramp"
+                  type="number"
+                  min="0"
+                  max="50"
+                  step="1"
+                  className={inputClass}
+                  value={draft.rampYears}
+                  onChange={(e) => update({ rampYears: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                />
+              </div>
+              <div>
+                <label htmlFor="tactic-decay" className="block font-medium text-gray-700 mb-1">Weakens per year (%):</label>
+                <input
+                  id="tactic-decay"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="1"
+                  className={inputClass}
+                  value={Math.round(draft.decay * 100)}
+                  onChange={(e) => update({ decay: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                />
+              </div>
+              <p className="col-span-2 text-xs text-gray-500">
+                Strength rises evenly to full over the ramp-up, then falls by the given share each year.
+              </p>
+            </div>
+            <fieldset className="space-y-2">
+              <legend className="font-medium text-gray-700 mb-1">Limit to (optional):</legend>
+              {DISTANCE_FIELDS.map((field) => (
+                <label key={field.key} className="flex items-center justify-between space-x-2">
+                  <span>{field.label}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="50"
+                    className="w-24 border border-gray-300 rounded p-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={draft.target[field.key] ?? ''}
+                    onChange={(e) => setDistance(field.key, e.target.value)}
+                    placeholder="any"
+                  />
+                </label>
+              ))}
+              <div className="grid grid-cols-2 gap-1">
+                {BASINS.map((basin) => (
+                  <label key={basin.id} className="inline-flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={(draft.target.basins || []).includes(basin.id)}
+                      onChange={(e) => toggleBasin(basin.id, e.target.checked)}
+                    />
+                    <span>{basin.label}</span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <fieldset className="space-y-2">
+              <legend className="font-medium text-gray-700 mb-1">Cost (optional, used by the budget optimiser):</legend>
+              {COST_FIELDS.map((field) => (
+                <label key={field.key} className="flex items-center justify-between space-x-2">
+                  <span>{field.label}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className="w-24 border border-gray-300 rounded p-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={draft.cost[field.key] ?? ''}
+                    onChange={(e) => setCost(field.key, e.target.value)}
+                    placeholder="0"
+                  />
+                </label>
+              ))}
+            </fieldset>
+            <p className="text-gray-500">
+              {limited
+                ? `${draft.regions.length} area${draft.regions.length === 1 ? '' : 's'} drawn; applies to ${covered} of ${cells.length} Level 3 cells.`
+                : 'Draw one or more deployment areas with the tools on the map, or limit the tactic by geography.'}
+            </p>
+            {error && <p className="bg-red-100 text-red-700 p-2 rounded">{error}</p>}
+            {message && <p className="bg-green-100 text-green-700 p-2 rounded">{message}</p>}
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-300"
+            >
+              Save tactic
+            </button>
+          </form>
+        </div>
+
+        <div className="lg:col-span-2 h-[600px] w-full rounded-lg shadow-lg overflow-hidden">
+          <MapContainer
+            center={[20, 0]}
+            zoom={2}
+            style={{ height: '100%', width: '100%' }}
+            maxBounds={[
+              [-90, -180],
+              [90, 180],
+            ]}
+            maxBoundsViscosity={1.0}
+          >
+            <Basemap />
+            <RegionsDraw regions={draft.regions} onChange={(regions) => update({ regions })} />
+          </MapContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TacticEditor;
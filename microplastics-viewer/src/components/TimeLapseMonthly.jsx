@@ -1,149 +1,216 @@
-import React, { useEffect, useState, useRef } from 'react';
-import Papa from 'papaparse';
-import { MapContainer, TileLayer, CircleMarker, Tooltip } from 'react-leaflet';
+import React, { useState, useMemo } from 'react';
+import { MapContainer } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import * as d3 from 'd3-scale';
-import { interpolateYlOrRd } from 'd3-scale-chromatic';
+import { MONTHS as months } from '../utils/datasets';
+import { useGridCells } from '../hooks/useGridCells';
+import { getMetric, metricValue, interpolatedMonthValue } from '../utils/metrics';
+import { inferGridSpacing } from '../utils/grid';
+import { DEFAULT_COLOR_SETTINGS } from '../utils/colorScales';
+import { regionStats } from '../utils/regions';
+import { useColorScale } from '../hooks/useColorScale';
+import { useTimelinePlayer } from '../hooks/useTimelinePlayer';
+import DatasetStatus from './DatasetStatus';
+import MetricSelect from './MetricSelect';
+import MapLegend from './MapLegend';
+import DataLayer from './DataLayer';
+import DisplayModeControls from './DisplayModeControls';
+import ColorScaleControls from './ColorScaleControls';
+import Basemap from './Basemap';
+import PointInspector from './PointInspector';
+import RegionSelect from './RegionSelect';
+import RegionStats from './RegionStats';
+import TimelineControls from './TimelineControls';
+import AnimationExport from './AnimationExport';
+import SwipeMaps from './SwipeMaps';
+import { DEFAULT_DISPLAY } from '../utils/displayModes';
 
-const months = ["Jan.","Feb.","Mar.","Apr.","May","Jun.","Jul.","Aug.","Sept.","Oct.","Nov.","Dec."];
+const valueOf = (row) => row.val;
 
 function TimeLapseMonthly() {
-  const [rawData, setRawData] = useState([]);
-  const [monthIndex, setMonthIndex] = useState(0);
-  const [maxVal, setMaxVal] = useState(0);
-  const intervalRef = useRef(null);
+  const [metricId, setMetricId] = useState('level3pm');
+  const metric = getMetric(metricId);
+  const { cells, loading, progress, errors } = useGridCells(metric.datasets);
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [colorSettings, setColorSettings] = useState(DEFAULT_COLOR_SETTINGS);
+  const [region, setRegion] = useState(null);
+  const [interpolate, setInterpolate] = useState(false);
+  const [lockDomain, setLockDomain] = useState(true);
+  // Month shown left of a swipe divider, or null for a single map
+  const [compareMonth, setCompareMonth] = useState(null);
+  const player = useTimelinePlayer(months.length, { interpolate });
+  const { position } = player;
+  const monthIndex = Math.floor(position) % months.length;
+  const fraction = position - Math.floor(position);
 
-  useEffect(() => {
-    Papa.parse('/Level3pmR1.csv', {
-      download: true,
-      skipEmptyLines: true,
-      header: true,
-      beforeFirstChunk: chunk => {
-        const lines = chunk.split(/\r\n|\n|\r/);
-        if (lines.length && lines[0].includes('Level 3pm (pieces/m3)')) {
-          lines.shift();
-        }
-        return lines.join('\n');
-      },
-      complete: (results) => {
-        const cleaned = results.data.filter(row => {
-          const lat = parseFloat(row["latitude (degree: N+, S-)"] || "");
-          const lon = parseFloat(row["longitude (degree: E+, W-)"] || "");
-          if (isNaN(lat) || isNaN(lon)) return false;
-          if (lat === -9999 || lon === -9999) return false;
-          return true;
-        });
-        setRawData(cleaned);
+  // Annual layers have no monthly variation and are shown as-is for every month
+  const rawData = useMemo(
+    () => cells
+      .map((cell) => ({
+        lat: cell.lat,
+        lon: cell.lon,
+        val: metric.monthly ? interpolatedMonthValue(metric, cell, position) : metricValue(metric, cell),
+      }))
+      .filter((row) => row.val !== null),
+    [cells, metric, position]
+  );
+
+  const cellSize = useMemo(() => inferGridSpacing(cells), [cells]);
 
-        // initial max from Jan
-        let tempMax = 0;
-        cleaned.forEach(r => {
-          const val = parseFloat(r["Jan."] || "0");
-          if (val > tempMax) tempMax = val;
-        });
-        setMaxVal(tempMax);
-      },
-    });
-  }, []);
+  // Every value of the layer across the 12 months, for a color scale that
+  // stays the same while the months play
+  const allValues = useMemo(() => {
+    if (!metric.monthly) return cells.map((cell) => metricValue(metric, cell));
+    return cells.flatMap((cell) => months.map((_, m) => metricValue(metric, cell, m)));
+  }, [cells, metric]);
 
-  // Recompute maxVal if monthIndex changes
-  useEffect(() => {
-    if (!rawData.length) return;
-    const m = months[monthIndex];
-    let tempMax = 0;
-    rawData.forEach(r => {
-      const val = parseFloat(r[m] || "0");
-      if (val > tempMax) tempMax = val;
-    });
-    setMaxVal(tempMax);
-  }, [monthIndex, rawData]);
+  const compareData = useMemo(() => {
+    if (compareMonth === null) return [];
+    return cells
+      .map((cell) => ({ lat: cell.lat, lon: cell.lon, val: metricValue(metric, cell, compareMonth) }))
+      .filter((row) => row.val !== null);
+  }, [cells, metric, compareMonth]);
 
-  const currentMonth = months[monthIndex];
+  const monthValues = useMemo(() => [...rawData, ...compareData].map(valueOf), [rawData, compareData]);
+  const { scale: colorScale, legend, domain } = useColorScale(
+    lockDomain ? allValues : monthValues,
+    colorSettings
+  );
+  // The region stays selected while the months play, so its stats follow the month
+  const selection = useMemo(
+    () => (region ? regionStats(rawData, valueOf, region, cellSize) : null),
+    [rawData, region, cellSize]
+  );
 
-  const colorScale = d3.scaleSequential()
-    .domain([0, maxVal])
-    .interpolator(interpolateYlOrRd);
+  const currentMonth = fraction > 0
+    ? `${months[monthIndex]} → ${months[(monthIndex + 1) % months.length]} (${Math.round(fraction * 100)}%)`
+    : months[monthIndex];
 
-  function startTimeLapse() {
-    if (intervalRef.current) return;
-    intervalRef.current = setInterval(() => {
-      setMonthIndex(prev => (prev + 1) % months.length);
-    }, 2000); // cycle every 2s
-  }
-  function stopTimeLapse() {
-    clearInterval(intervalRef.current);
-    intervalRef.current = null;
-  }
+  const tooltip = (monthLabel) => (row) => `
+    <div>
+      <strong>${monthLabel}:</strong> ${row.val.toPrecision(3)} ${metric.unit}<br/>
+      Lat: ${row.lat}, Lon: ${row.lon}
+    </div>
+  `;
+
+  const dataLayer = (points, monthLabel) => (
+    <DataLayer
+      display={display}
+      points={points}
+      value={valueOf}
+      colorScale={colorScale}
+      domain={domain}
+      cellSize={cellSize}
+      fillOpacity={1}
+      label={metric.label}
+      unit={metric.unit}
+      tooltip={tooltip(monthLabel)}
+    />
+  );
 
   return (
     <div className="bg-gradient-to-b from-blue-50 to-white p-6">
       <header className="mb-6 text-center">
         <h2 className="text-2xl font-bold text-blue-700 mb-4">
-          TimeLapse: Level3pm (Heatmap)
+          TimeLapse: {metric.label} (Heatmap)
         </h2>
+        <div className="max-w-md mx-auto mb-4 text-left">
+          <MetricSelect id="timelapse-metric" value={metricId} onChange={setMetricId} />
+        </div>
+        <div className="flex justify-center mb-4 text-left">
+          <DisplayModeControls value={display} onChange={setDisplay} />
+        </div>
+        <div className="max-w-3xl mx-auto mb-4 text-left">
+          <ColorScaleControls idPrefix="timelapse-color" value={colorSettings} onChange={setColorSettings} domain={domain} />
+        </div>
         <div className="flex flex-col items-center justify-center w-full mb-4">
           <p className="text-sm text-gray-600">
             Current Month: <strong>{currentMonth}</strong>
+            {!metric.monthly && ' (annual layer, no monthly variation)'}
           </p>
-          <br/>
-          <div className="flex w-full space-x-2 mb-2">
-            <button
-              onClick={startTimeLapse}
-              className="flex-1 bg-blue-500 text-white px-2 py-1 rounded"
-            >
-              Start
-            </button>
-            <button
-              onClick={stopTimeLapse}
-              className="flex-1 bg-red-500 text-white px-2 py-1 rounded"
-            >
-              Stop
-            </button>
-          </div>
+        </div>
+        <div className="max-w-3xl mx-auto mb-4 text-left">
+          <TimelineControls
+            player={player}
+            labels={months}
+            interpolate={interpolate}
+            onInterpolateChange={setInterpolate}
+            lockDomain={lockDomain}
+            onLockDomainChange={setLockDomain}
+          />
+        </div>
+        <div className="max-w-3xl mx-auto mb-4 text-left text-sm text-gray-700 flex items-center space-x-2">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={compareMonth !== null}
+              onChange={(e) => setCompareMonth(e.target.checked ? (monthIndex + 6) % months.length : null)}
+            />
+            <span>Swipe to compare with</span>
+          </label>
+          <select
+            aria-label="Month to compare with"
+            className="border border-gray-300 rounded p-1 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+            value={compareMonth ?? ''}
+            disabled={compareMonth === null}
+            onChange={(e) => setCompareMonth(parseInt(e.target.value, 10))}
+          >
+            {compareMonth === null && <option value="">a month</option>}
+            {months.map((label, m) => (
+              <option key={label} value={m}>{label}</option>
+            ))}
+          </select>
+          <span className="text-gray-500">(left of the divider; the timeline drives the right)</span>
+        </div>
+        <div className="max-w-3xl mx-auto mb-4 text-left">
+          <AnimationExport metricId={metricId} colorSettings={colorSettings} />
         </div>
       </header>
 
-      <div className="h-screen w-full rounded-lg shadow-lg overflow-hidden">
-        <MapContainer
-          center={[20, 0]}
-          zoom={3}
-          style={{ height: '100%', width: '100%' }}
-          maxBounds={[
-            [-90, -180],
-            [90, 180]
-          ]}
-          maxBoundsViscosity={1.0}
-          worldCopyJump={false}
-        >
-          <TileLayer
-            attribution='Map data © <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            noWrap={true}
+      <DatasetStatus loading={loading} progress={progress} errors={errors} />
+
+      {compareMonth !== null ? (
+        <div className="relative">
+          <SwipeMaps
+            className="h-screen"
+            left={dataLayer(compareData, months[compareMonth])}
+            right={dataLayer(rawData, currentMonth)}
+            leftLabel={months[compareMonth]}
+            rightLabel={currentMonth}
           />
-          {rawData.map((row, idx) => {
-            const lat = parseFloat(row["latitude (degree: N+, S-)"] || "");
-            const lon = parseFloat(row["longitude (degree: E+, W-)"] || "");
-            const val = parseFloat(row[currentMonth] || "0");
-            if (val === -9999) return null;
+          <MapLegend title={metric.label} unit={metric.unit} legend={legend} />
+        </div>
+      ) : (
+        <div className="relative">
+          <div className="h-screen w-full rounded-lg shadow-lg overflow-hidden">
+            <MapContainer
+              center={[20, 0]}
+              zoom={3}
+              style={{ height: '100%', width: '100%' }}
+              maxBounds={[
+                [-90, -180],
+                [90, 180]
+              ]}
+              maxBoundsViscosity={1.0}
+              worldCopyJump={false}
+            >
+              <Basemap />
+              <PointInspector />
+              <RegionSelect region={region} onChange={setRegion} />
+              {dataLayer(rawData, currentMonth)}
+            </MapContainer>
+          </div>
+          <MapLegend title={metric.label} unit={metric.unit} legend={legend} />
+        </div>
+      )}
 
-            const color = colorScale(val);
-            return (
-              <CircleMarker
-                key={idx}
-                center={[lat, lon]}
-                radius={4}
-                pathOptions={{ color, fillColor: color, fillOpacity: 1 }}
-              >
-                <Tooltip>
-                  <div>
-                    <strong>{currentMonth}:</strong> {val.toFixed(1)}<br/>
-                    Lat: {lat}, Lon: {lon}
-                  </div>
-                </Tooltip>
-              </CircleMarker>
-            );
-          })}
-        </MapContainer>
+      <div className="mt-4">
+        <RegionStats
+          region={region}
+          stats={selection}
+          label={`${metric.label}, ${currentMonth}`}
+          unit={metric.unit}
+          onClear={() => setRegion(null)}
+        />
       </div>
     </div>
   );
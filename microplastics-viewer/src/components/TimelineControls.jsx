@@ -0,0 +1,93 @@
+// src/components/TimelineControls.jsx
+import React from 'react';
+import { PLAYER_SPEEDS } from '../hooks/useTimelinePlayer';
+
+// Transport controls for useTimelinePlayer: play/pause, step, scrubber with
+// frame labels, speed and loop, plus the page's interpolation and
+// colour-domain options. With many frames, `ticks` ([{ index, label }])
+// picks the ones that get a button under the scrubber.
+function TimelineControls({
+  player, labels, ticks, interpolate, onInterpolateChange, lockDomain, onLockDomainChange,
+}) {
+  const last = labels.length - 1;
+  const shownTicks = ticks || labels.map((label, index) => ({ index, label }));
+  const current = Math.round(player.position) % labels.length;
+  const currentTick = shownTicks.reduce((found, tick) => (tick.index <= current ? tick : found), shownTicks[0]);
+  const buttonClass = 'px-3 py-1 rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-100';
+
+  return (
+    <div className="w-full bg-white rounded-lg shadow p-4 text-sm text-gray-700">
+      <div className="flex items-center space-x-2 mb-3">
+        <button type="button" onClick={() => player.step(-1)} className={buttonClass} title="Previous (←)">
+          ◀◀
+        </button>
+        <button
+          type="button"
+          onClick={player.toggle}
+          className={`px-4 py-1 rounded text-white ${player.playing ? 'bg-red-500' : 'bg-blue-500'}`}
+          title="Play/pause (space)"
+        >
+          {player.playing ? 'Pause' : 'Play'}
+        </button>
+        <button type="button" onClick={() => player.step(1)} className={buttonClass} title="Next (→)">
+          ▶▶
+        </button>
+        <input
+          type="range"
+          aria-label="Timeline position"
+          min="0"
+          max={last}
+          step={interpolate ? 0.01 : 1}
+          value={Math.min(player.position, last)}
+          onChange={(e) => player.setPosition(parseFloat(e.target.value))}
+          className="flex-1"
+        />
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-500 mb-3 px-1">
+        {shownTicks.map((tick) => (
+          <button
+            key={tick.index}
+            type="button"
+            onClick={() => player.setPosition(tick.index)}
+            className={tick === currentTick ? 'font-bold text-blue-700' : ''}
+          >
+            {tick.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center space-x-2">
+          <span>Speed:</span>
+          <select
+            value={player.speed}
+            onChange={(e) => player.setSpeed(parseFloat(e.target.value))}
+            className="border border-gray-300 rounded p-1"
+          >
+            {PLAYER_SPEEDS.map((s) => (
+              <option key={s} value={s}>{s} / s</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={player.loop} onChange={(e) => player.setLoop(e.target.checked)} />
+          <span>Loop</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={interpolate} onChange={(e) => onInterpolateChange(e.target.checked)} />
+          <span>Interpolate between months</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={lockDomain} onChange={(e) => onLockDomainChange(e.target.checked)} />
+          <span>Lock color domain across all months</span>
+        </label>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Keys: space play/pause, ←/→ step, Home/End first/last, +/- speed, L loop.
+      </p>
+    </div>
+  );
+}
+
+export default TimelineControls;
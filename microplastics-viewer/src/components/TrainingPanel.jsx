@@ -0,0 +1,114 @@
+// src/components/TrainingPanel.jsx
+import React from 'react';
+import { ClipLoader } from 'react-spinners';
+import { formatNumber } from '../utils/format';
+import LineChart from './LineChart';
+
+const METRICS = [
+  { key: 'loss', label: 'Loss (MSE)', color: '#2563eb' },
+  { key: 'val_loss', label: 'Validation loss', color: '#2563eb', dashed: true },
+  { key: 'mae', label: 'MAE', color: '#16a34a' },
+  { key: 'val_mae', label: 'Validation MAE', color: '#16a34a', dashed: true },
+];
+
+const LOSS_SERIES = ['loss', 'val_loss'];
+
+function statusText(trainer) {
+  switch (trainer.phase) {
+    case 'loading': return 'Looking for a saved model...';
+    case 'untrained': return 'No saved model yet; loading the training data...';
+    case 'training': return `Training... epoch ${trainer.epoch}/${trainer.epochs}`;
+    case 'pausing': return `Pausing after epoch ${trainer.epoch + 1}...`;
+    case 'paused': return `Paused at epoch ${trainer.checkpoint?.epoch}/${trainer.epochs}. The checkpoint is kept in this browser.`;
+    case 'cancelling': return 'Cancelling...';
+    case 'cancelled': return 'Training cancelled.';
+    case 'ready': return 'Model ready.';
+    default: return `Error: ${trainer.error}`;
+  }
+}
+
+// Progress, per-epoch metrics and controls for a model trained with
+// useModelWorker. `onTrain` and `onResume` start a run; both are disabled
+// until `canTrain` (the training data has loaded).
+function TrainingPanel({ trainer, onTrain, onResume, canTrain = true }) {
+  const { phase, history } = trainer;
+  const running = phase === 'training' || phase === 'pausing' || phase === 'cancelling';
+  const latest = history[history.length - 1];
+  const progress = (trainer.epoch / trainer.epochs) * 100;
+
+  const buttonClass = 'px-3 py-1 rounded text-sm transition duration-300 disabled:opacity-50';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm">
+      <div className="flex items-center space-x-3 mb-2">
+        {(running || phase === 'loading' || phase === 'untrained') && <ClipLoader color="#1d4ed8" size={20} />}
+        <p className={phase === 'error' ? 'text-red-700' : 'text-gray-700'}>{statusText(trainer)}</p>
+      </div>
+
+      {(running || phase === 'paused') && (
+        <div className="w-full bg-gray-200 rounded-full h-3 mb-2">
+          <div className="bg-blue-600 h-3 rounded-full" style={{ width: `${progress}%` }}></div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        {phase === 'training' && (
+          <button type="button" onClick={trainer.pause} className={`${buttonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}>
+            Pause
+          </button>
+        )}
+        {phase === 'paused' && (
+          <button
+            type="button"
+            onClick={onResume}
+            disabled={!canTrain}
+            className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}
+          >
+            Resume
+          </button>
+        )}
+        {(phase === 'training' || phase === 'paused') && (
+          <button type="button" onClick={trainer.cancel} className={`${buttonClass} bg-red-100 text-red-700 hover:bg-red-200`}>
+            {phase === 'paused' ? 'Discard checkpoint' : 'Cancel'}
+          </button>
+        )}
+        {(phase === 'ready' || phase === 'cancelled' || phase === 'error') && (
+          <button
+            type="button"
+            onClick={onTrain}
+            disabled={!canTrain}
+            className={`${buttonClass} bg-gray-200 text-gray-800 hover:bg-gray-300`}
+          >
+            {trainer.ready ? 'Retrain model' : 'Train model'}
+          </button>
+        )}
+      </div>
+
+      {latest && (
+        <>
+          <p className="text-gray-600 mb-2">
+            Epoch {latest.epoch}:{' '}
+            {METRICS.filter((m) => latest[m.key] !== undefined)
+              .map((m) => `${m.label} ${formatNumber(latest[m.key])}`)
+              .join(' · ')}
+          </p>
+          {history.length > 1 && (
+            <LineChart
+              series={METRICS.filter((m) => LOSS_SERIES.includes(m.key)).map((m) => ({
+                label: m.label,
+                color: m.color,
+                dashed: m.dashed,
+                points: history.map((h) => ({ x: h.epoch, y: h[m.key] ?? null })),
+              }))}
+              xLabel="Epoch"
+              yLabel="Loss"
+              height={180}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TrainingPanel;
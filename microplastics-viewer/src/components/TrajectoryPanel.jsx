@@ -0,0 +1,195 @@
+// src/components/TrajectoryPanel.jsx
+import React, { useMemo, useState } from 'react';
+import { DEFAULT_PORTFOLIO } from '../mitigation/portfolio';
+import { BASINS, geographyAt } from '../mitigation/geography';
+import { tacticSeries, trajectoryTotals, targetYear } from '../mitigation/trajectories';
+import { cellAreaKm2, regionContains } from '../utils/regions';
+import { SERIES_COLORS } from '../utils/colorScales';
+import LineChart from './LineChart';
+
+const HORIZONS = [5, 10, 20, 30];
+
+const SCOPES = [
+  { value: 'global', label: 'Whole grid' },
+  { value: 'region', label: 'Selected region' },
+  { value: 'basins', label: 'Each ocean basin' },
+];
+
+const BASELINE = { id: 'baseline', label: 'No Mitigation', tactics: [], portfolio: DEFAULT_PORTFOLIO };
+
+// Yearly area-weighted totals of the predicted load from the base year to
+// the horizon, for No Mitigation, the portfolio and each tactic on its own,
+// with the year each reaches a reduction target. `frames` are the
+// unmitigated predictions per year ([{ year, points }]); hovering a year
+// calls onHoverYear(year | null) so the page can show that year's map.
+function TrajectoryPanel({
+  frames, baseYear, tactics, selectedTactics, portfolio, cellSize, region, horizon, onHorizonChange, status, onHoverYear,
+}) {
+  const [scope, setScope] = useState('global');
+  const [onlyPortfolio, setOnlyPortfolio] = useState(false);
+  const [target, setTarget] = useState(50);
+
+  const activeScope = scope === 'region' && !region ? 'global' : scope;
+
+  const series = useMemo(() => {
+    const list = [BASELINE];
+    if (selectedTactics.length) {
+      list.push({
+        id: 'portfolio',
+        label: `Portfolio (${selectedTactics.map((t) => t.label).join(' + ')})`,
+        tactics: selectedTactics,
+        portfolio,
+      });
+    }
+    return [...list, ...tacticSeries(onlyPortfolio ? selectedTactics : tactics)];
+  }, [tactics, selectedTactics, portfolio, onlyPortfolio]);
+
+  const { years, totals } = useMemo(() => {
+    const basinKeys = activeScope === 'basins';
+    return trajectoryTotals(
+      frames,
+      series,
+      (point) => cellAreaKm2(point.lat, cellSize),
+      (point) => {
+        if (activeScope === 'region') return regionContains(region, point.lat, point.lon) ? ['region'] : [];
+        if (basinKeys) {
+          const { basin } = geographyAt(point.lat, point.lon);
+          return basin ? [basin] : [];
+        }
+        return ['global'];
+      }
+    );
+  }, [frames, series, cellSize, activeScope, region]);
+
+  const colorOf = (s, i) => {
+    if (s.id === 'baseline') return { color: '#6b7280', dashed: true };
+    if (s.id === 'portfolio') return { color: '#111827', dashed: false };
+    const k = i - (selectedTactics.length ? 2 : 1);
+    return { color: SERIES_COLORS[k % SERIES_COLORS.length], dashed: k >= SERIES_COLORS.length };
+  };
+
+  // Target years per series in one group; the target is a cut below the
+  // No Mitigation load of the base year
+  const reached = (groupTotals) => {
+    const threshold = (1 - target / 100) * groupTotals.baseline[0];
+    return Object.fromEntries(series.map((s) => [s.id, targetYear(years, groupTotals[s.id], threshold)]));
+  };
+
+  const chartSeries = (groupTotals) => series.map((s, i) => ({
+    label: s.label,
+    ...colorOf(s, i),
+    points: years.map((x, k) => ({ x, y: groupTotals[s.id][k] })),
+  }));
+
+  const step = years.length > 12 ? 5 : 1;
+  const xTicks = years.filter((y) => (y - baseYear) % step === 0).map((value) => ({ value, label: String(value) }));
+
+  const chart = (groupTotals, height, reachedYears) => (
+    <LineChart
+      series={chartSeries(groupTotals)}
+      xTicks={xTicks}
+      marker={reachedYears.portfolio ?? null}
+      xLabel="Year"
+      yLabel="Total load (pieces)"
+      height={height}
+      onHover={onHoverYear}
+    />
+  );
+
+  const lastYear = years[years.length - 1];
+  const describeReached = (year) => (year === null ? `not by ${lastYear}` : `in ${year}`);
+
+  const inputClass = 'border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const mainTotals = totals[activeScope];
+  const mainReached = mainTotals ? reached(mainTotals) : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-1">Trajectories</h3>
+      <p className="text-gray-500 mb-3">
+        Predicted total load each year under each tactic on its own and under the portfolio. Hover a year to show its map.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4 mb-3">
+        <div>
+          <label htmlFor="trajectory-horizon" className="block font-medium text-gray-700 mb-1">Horizon:</label>
+          <select
+            id="trajectory-horizon"
+            className={inputClass}
+            value={horizon}
+            onChange={(e) => onHorizonChange(parseInt(e.target.value, 10))}
+          >
+            {HORIZONS.map((h) => (
+              <option key={h} value={h}>{h} years (to {baseYear + h})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="trajectory-scope" className="block font-medium text-gray-700 mb-1">Totals for:</label>
+          <select id="trajectory-scope" className={inputClass} value={activeScope} onChange={(e) => setScope(e.target.value)}>
+            {SCOPES.map((s) => (
+              <option key={s.value} value={s.value} disabled={s.value === 'region' && !region}>
+                {s.label}{s.value === 'region' && !region ? ' (draw one on the map)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="trajectory-target" className="block font-medium text-gray-700 mb-1">
+            Target: cut the {baseYear} load by
+          </label>
+          <span className="flex items-center space-x-1">
+            <input
+              id="trajectory-target"
+              type="number"
+              min="1"
+              max="99"
+              className={`${inputClass} w-20`}
+              value={target}
+              onChange={(e) => setTarget(Math.min(99, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            />
+            <span>%</span>
+          </span>
+        </div>
+        <label className="inline-flex items-center space-x-2 pb-2">
+          <input type="checkbox" checked={onlyPortfolio} onChange={(e) => setOnlyPortfolio(e.target.checked)} />
+          <span>Only tactics in the portfolio</span>
+        </label>
+      </div>
+
+      {status && <p className="text-gray-500 mb-3">{status}</p>}
+
+      {frames.length > 0 && activeScope !== 'basins' && mainTotals && (
+        <>
+          {chart(mainTotals, 300, mainReached)}
+          <ul className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-x-6 text-gray-700">
+            {series.filter((s) => s.id !== 'baseline').map((s) => (
+              <li key={s.id} className={s.id === 'portfolio' ? 'font-semibold' : ''}>
+                {s.label}: {target}% cut {describeReached(mainReached[s.id])}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {frames.length > 0 && activeScope === 'basins' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {BASINS.filter((basin) => totals[basin.id]).map((basin) => {
+            const basinReached = reached(totals[basin.id]);
+            return (
+              <div key={basin.id}>
+                <h4 className="font-medium text-gray-700">{basin.label}</h4>
+                {chart(totals[basin.id], 220, basinReached)}
+                {selectedTactics.length > 0 && (
+                  <p className="text-gray-500">Portfolio: {target}% cut {describeReached(basinReached.portfolio)}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrajectoryPanel;
@@ -0,0 +1,387 @@
+// src/components/TransportSim.jsx
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MONTHS } from '../utils/datasets';
+import { DEFAULT_COLOR_SETTINGS } from '../utils/colorScales';
+import { formatNumber } from '../utils/format';
+import { DEFAULT_DISPLAY } from '../utils/displayModes';
+import { useDataset } from '../hooks/useDatasets';
+import { useColorScale } from '../hooks/useColorScale';
+import { useTactics } from '../hooks/useTactics';
+import { useTimelinePlayer } from '../hooks/useTimelinePlayer';
+import { BASE_YEAR } from '../mitigation/engine';
+import { DEFAULT_PORTFOLIO, portfolioTactics } from '../mitigation/portfolio';
+import { CURRENT_FIELDS, LEVEL3_GRID, loadCurrentField } from '../transport/currents';
+import {
+  DEFAULT_TRANSPORT, INITIAL_CONDITIONS, MAX_YEARS, createTransport, framePoints, runTransport, transportMitigation,
+} from '../transport/simulation';
+import DatasetStatus from './DatasetStatus';
+import DataLayer from './DataLayer';
+import DisplayModeControls from './DisplayModeControls';
+import ColorScaleControls from './ColorScaleControls';
+import MapLegend from './MapLegend';
+import Basemap from './Basemap';
+import CurrentArrows from './CurrentArrows';
+import PortfolioBuilder from './PortfolioBuilder';
+import TimelineControls from './TimelineControls';
+import LineChart from './LineChart';
+
+const CELL_SIZE = { dLat: LEVEL3_GRID.dLat, dLon: LEVEL3_GRID.dLon };
+const valueOf = (point) => point.val;
+
+const frameLabel = (month) => `${MONTHS[month % 12]} ${BASE_YEAR + Math.floor(month / 12)}`;
+
+// Numeric settings: [key, label, min, max, step]
+const SOURCE_FIELDS = [
+  ['riverInput', 'River mouths (% of today\'s load per year)', 0, 20, 0.5],
+  ['coastInput', 'Coasts (% of today\'s load per year)', 0, 20, 0.5],
+];
+const SINK_FIELDS = [
+  ['beaching', 'Beaching (% chance per landfall)', 0, 100, 1],
+  ['sinking', 'Sinking (% of floating plastic per year)', 0, 50, 0.5],
+];
+
+function TransportSim() {
+  const { data, loading, progress: loadProgress, errors } = useDataset('level3');
+  const tactics = useTactics();
+  const [settings, setSettings] = useState(DEFAULT_TRANSPORT);
+  const [portfolio, setPortfolio] = useState(DEFAULT_PORTFOLIO);
+  const [field, setField] = useState(null);
+  const [showCurrents, setShowCurrents] = useState(true);
+  const [frames, setFrames] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [runProgress, setRunProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY);
+  const [colorSettings, setColorSettings] = useState({ ...DEFAULT_COLOR_SETTINGS, type: 'log', palette: 'Viridis' });
+  const [interpolate, setInterpolate] = useState(false);
+  const [lockDomain, setLockDomain] = useState(true);
+  // Bumped to abandon a run in progress
+  const runId = useRef(0);
+
+  const update = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+
+  const rows = useMemo(() => (data || []).filter((row) => row.level3p !== null), [data]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    loadCurrentField(settings.currents)
+      .then((loaded) => {
+        if (!cancelled) setField(loaded);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setField(null);
+        setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [settings.currents]);
+
+  // Stop a run when leaving the page
+  useEffect(() => () => {
+    runId.current += 1;
+  }, []);
+
+  const run = async () => {
+    runId.current += 1;
+    const id = runId.current;
+    setRunning(true);
+    setRunProgress(0);
+    setError(null);
+    const mitigation = transportMitigation(portfolioTactics(portfolio, tactics), portfolio);
+    const state = createTransport(rows, field, settings, mitigation);
+    try {
+      const result = await runTransport(state, settings.years * 12, {
+        onProgress: setRunProgress,
+        shouldStop: () => runId.current !== id,
+      });
+      if (result) setFrames(result);
+    } catch (err) {
+      setError(`The simulation failed: ${err.message}`);
+    }
+    if (runId.current === id) setRunning(false);
+  };
+
+  const cancel = () => {
+    runId.current += 1;
+    setRunning(false);
+  };
+
+  const labels = useMemo(() => frames.map((frame) => frameLabel(frame.month)), [frames]);
+  const ticks = useMemo(
+    () => frames.filter((frame) => frame.month % 12 === 0)
+      .map((frame) => ({ index: frame.month, label: String(BASE_YEAR + frame.month / 12) })),
+    [frames]
+  );
+  const player = useTimelinePlayer(Math.max(frames.length, 1), { interpolate });
+  const { position } = player;
+  const index = Math.min(Math.floor(position), Math.max(frames.length - 1, 0));
+  const frame = frames[index] || null;
+
+  // Blends towards the next frame between months when interpolating; a run
+  // does not repeat, so the last month is never blended into the first
+  const points = useMemo(() => {
+    if (!frame) return [];
+    const next = frames[index + 1];
+    const fraction = position - Math.floor(position);
+    if (!fraction || !next) return framePoints(frame.values);
+    return framePoints(frame.values.map((v, c) => v * (1 - fraction) + next.values[c] * fraction));
+  }, [frames, frame, index, position]);
+
+  const allValues = useMemo(
+    () => frames.flatMap((f) => Array.from(f.values).filter((v) => v > 0)),
+    [frames]
+  );
+  const frameValues = useMemo(() => points.map(valueOf), [points]);
+  const { scale: colorScale, legend, domain } = useColorScale(lockDomain ? allValues : frameValues, colorSettings);
+
+  const budgetSeries = useMemo(() => {
+    const line = (label, color, y) => ({
+      label,
+      color,
+      points: frames.map((f) => ({ x: BASE_YEAR + f.month / 12, y: y(f) })),
+    });
+    return [
+      line('Floating', '#2563eb', (f) => f.afloat),
+      line('Beached', '#a16207', (f) => f.budget.beached),
+      line('Sunk', '#6b7280', (f) => f.budget.sunk),
+      line('Cleaned up', '#16a34a', (f) => f.budget.removed),
+      line('Released by sources', '#dc2626', (f) => f.budget.added),
+    ];
+  }, [frames]);
+
+  const gyreSeries = useMemo(() => [{
+    label: 'In the subtropical gyres',
+    color: '#7c3aed',
+    points: frames.map((f) => ({ x: BASE_YEAR + f.month / 12, y: f.gyreShare * 100 })),
+  }], [frames]);
+
+  const currentInfo = CURRENT_FIELDS.find((c) => c.id === settings.currents);
+  const inputClass = 'w-full border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const numberField = ([key, label, min, max, step]) => (
+    <label key={key} htmlFor={`transport-${key}`} className="block text-sm text-gray-700">
+      {label}
+      <input
+        id={`transport-${key}`}
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        className={inputClass}
+        value={settings[key]}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (!Number.isNaN(value)) update({ [key]: Math.min(Math.max(value, min), max) });
+        }}
+      />
+    </label>
+  );
+
+  const tooltip = (point) => `
+    <div class="text-sm text-gray-800">
+      <strong>Latitude:</strong> ${point.lat.toFixed(2)} <br />
+      <strong>Longitude:</strong> ${point.lon.toFixed(2)} <br />
+      <strong>${frame ? frameLabel(frame.month) : ''}:</strong> ${formatNumber(point.val)} pieces/km²
+    </div>
+  `;
+
+  return (
+    <div className="bg-gradient-to-b from-blue-50 to-white p-6 rounded-lg shadow-lg mt-6">
+      <header className="mb-6">
+        <h1 className="text-3xl font-bold text-blue-700 text-center">Transport Simulator</h1>
+        <p className="text-center text-gray-600 text-lg mt-2">
+          Follow floating plastic as ocean currents carry it between cells, gather it in the gyres and wash it ashore.
+        </p>
+      </header>
+
+      <DatasetStatus loading={loading} progress={loadProgress} errors={errors} />
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <section className="space-y-3">
+          <h2 className="font-semibold text-gray-700">Currents and start</h2>
+          <div>
+            <label htmlFor="transport-currents" className="block text-sm text-gray-700">Surface currents</label>
+            <select
+              id="transport-currents"
+              className={inputClass}
+              value={settings.currents}
+              onChange={(e) => update({ currents: e.target.value })}
+            >
+              {CURRENT_FIELDS.map((c) => (
+                <option key={c.id} value={c.id}>{c.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">{currentInfo.description}</p>
+          </div>
+          <div>
+            <label htmlFor="transport-initial" className="block text-sm text-gray-700">Initial condition</label>
+            <select
+              id="transport-initial"
+              className={inputClass}
+              value={settings.initial}
+              onChange={(e) => update({ initial: e.target.value })}
+            >
+              {INITIAL_CONDITIONS.map((c) => (
+                <option key={c.value} value={c.value}>{c.label}</option>
+              ))}
+            </select>
+          </div>
+          <label htmlFor="transport-years" className="block text-sm text-gray-700">
+            Years to simulate: {settings.years}
+            <input
+              id="transport-years"
+              type="range"
+              min="1"
+              max={MAX_YEARS}
+              value={settings.years}
+              onChange={(e) => update({ years: parseInt(e.target.value, 10) })}
+              className="w-full"
+            />
+          </label>
+          <label htmlFor="transport-particles" className="block text-sm text-gray-700">
+            Particles per Level 3 cell: {settings.particlesPerCell}
+            <input
+              id="transport-particles"
+              type="range"
+              min="1"
+              max="10"
+              value={settings.particlesPerCell}
+              onChange={(e) => update({ particlesPerCell: parseInt(e.target.value, 10) })}
+              className="w-full"
+            />
+          </label>
+        </section>
+
+        <section className="space-y-3">
+          <h2 className="font-semibold text-gray-700">Sources</h2>
+          {SOURCE_FIELDS.map(numberField)}
+          <h2 className="font-semibold text-gray-700 pt-2">Sinks</h2>
+          {SINK_FIELDS.map(numberField)}
+        </section>
+
+        <section>
+          <h2 className="font-semibold text-gray-700 mb-1">Mitigation</h2>
+          <p className="text-xs text-gray-500 mb-2">
+            Per-year tactics clean up their rate of the plastic where they apply every year; one-time tactics cut what
+            the sources there release.
+          </p>
+          <PortfolioBuilder idPrefix="transport-portfolio" tactics={tactics} value={portfolio} onChange={setPortfolio} />
+        </section>
+      </div>
+
+      <div className="flex items-center space-x-4 mb-4">
+        <button
+          type="button"
+          onClick={run}
+          disabled={running || !field || !rows.length}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-300 disabled:opacity-50"
+        >
+          Run simulation
+        </button>
+        {running && (
+          <>
+            <div className="flex-1 bg-gray-200 rounded-full h-4">
+              <div className="bg-blue-600 h-4 rounded-full" style={{ width: `${Math.round(runProgress * 100)}%` }}></div>
+            </div>
+            <button type="button" onClick={cancel} className="text-red-600 hover:underline text-sm">Cancel</button>
+          </>
+        )}
+      </div>
+      {error && <p className="bg-red-100 text-red-700 p-2 rounded text-sm mb-4">{error}</p>}
+
+      <div className="mb-4 space-y-4">
+        <DisplayModeControls value={display} onChange={setDisplay} />
+        <ColorScaleControls idPrefix="transport-color" value={colorSettings} onChange={setColorSettings} domain={domain} />
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input type="checkbox" checked={showCurrents} onChange={(e) => setShowCurrents(e.target.checked)} />
+          <span>Show current arrows</span>
+        </label>
+      </div>
+
+      {frames.length > 0 && (
+        <div className="mb-4">
+          <TimelineControls
+            player={player}
+            labels={labels}
+            ticks={ticks}
+            interpolate={interpolate}
+            onInterpolateChange={setInterpolate}
+            lockDomain={lockDomain}
+            onLockDomainChange={setLockDomain}
+          />
+        </div>
+      )}
+
+      <div className="relative h-[600px] w-full rounded-lg shadow-lg overflow-hidden">
+        <MapContainer
+          center={[20, 0]}
+          zoom={2}
+          style={{ height: '100%', width: '100%' }}
+          maxBounds={[
+            [-90, -180],
+            [90, 180],
+          ]}
+          maxBoundsViscosity={1.0}
+        >
+          <Basemap />
+          {showCurrents && field && <CurrentArrows field={field} />}
+          <DataLayer
+            display={display}
+            points={points}
+            value={valueOf}
+            colorScale={colorScale}
+            domain={domain}
+            cellSize={CELL_SIZE}
+            label="Simulated"
+            unit="pieces/km²"
+            tooltip={tooltip}
+          />
+        </MapContainer>
+        <MapLegend title={frame ? `Simulated, ${frameLabel(frame.month)}` : 'Simulated'} unit="pieces/km²" legend={legend} />
+      </div>
+
+      {frame && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+          <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-800">
+            <h3 className="font-semibold text-gray-700 mb-2">Where the plastic went (pieces)</h3>
+            <LineChart series={budgetSeries} xLabel="Year" yLabel="Pieces" marker={BASE_YEAR + frame.month / 12} xFormat={(x) => x.toFixed(0)} />
+            <dl className="grid grid-cols-2 gap-y-1 mt-2">
+              <dt className="font-semibold">Floating</dt>
+              <dd>{formatNumber(frame.afloat)} ({frame.particles} particles)</dd>
+              <dt className="font-semibold">Beached</dt>
+              <dd>{formatNumber(frame.budget.beached)}</dd>
+              <dt className="font-semibold">Sunk</dt>
+              <dd>{formatNumber(frame.budget.sunk)}</dd>
+              <dt className="font-semibold">Cleaned up</dt>
+              <dd>{formatNumber(frame.budget.removed)}</dd>
+              <dt className="font-semibold">Released by sources</dt>
+              <dd>{formatNumber(frame.budget.added)}</dd>
+            </dl>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-800">
+            <h3 className="font-semibold text-gray-700 mb-2">Accumulation in the subtropical gyres</h3>
+            <LineChart
+              series={gyreSeries}
+              xLabel="Year"
+              yLabel="% of floating plastic"
+              marker={BASE_YEAR + frame.month / 12}
+              xFormat={(x) => x.toFixed(0)}
+              yFormat={(y) => `${y.toFixed(0)}%`}
+            />
+            <p className="mt-2">
+              {(frame.gyreShare * 100).toFixed(1)}% of the floating plastic is inside the five subtropical gyres in{' '}
+              {frameLabel(frame.month)}.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TransportSim;
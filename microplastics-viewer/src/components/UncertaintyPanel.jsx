@@ -0,0 +1,208 @@
+// src/components/UncertaintyPanel.jsx
+import React, { useMemo, useState } from 'react';
+import { useMonteCarlo } from '../hooks/useMonteCarlo';
+import { useColorScale } from '../hooks/useColorScale';
+import { viewPoints } from '../utils/difference';
+import { regionContains, cellAreaKm2 } from '../utils/regions';
+import {
+  MONTE_CARLO_DRAWS, monteCarloJob, describeRate, formatBand, hasRateDistribution,
+} from '../mitigation/uncertainty';
+import DataLayer from './DataLayer';
+import MapLegend from './MapLegend';
+import SyncedMaps from './SyncedMaps';
+
+const PERCENTILE_MAPS = [
+  { key: 'low', label: 'Optimistic (5th percentile)' },
+  { key: 'mid', label: 'Median' },
+  { key: 'high', label: 'Pessimistic (95th percentile)' },
+];
+
+const SEED = 1;
+
+const shownOf = (point) => point.shown;
+
+// Monte Carlo run of the portfolio: every tactic's rate is drawn from its
+// rateDistribution (see mitigation/uncertainty.js) many times, in a web
+// worker, and the median map is shown next to the 5th and 95th percentile
+// maps with the reduction of the total load as a 90% interval. The maps use
+// the simulator's `view`, `display` and `colorSettings`.
+function UncertaintyPanel({
+  rows, tactics, portfolio, years, region, cellSize, view, display, colorSettings, label, unit,
+}) {
+  const [draws, setDraws] = useState(MONTE_CARLO_DRAWS[1]);
+  // The job and inputs of the last run, to draw its maps and tell when the
+  // inputs have changed since
+  const [ran, setRan] = useState(null);
+  const { running, done, result, error, run, cancel } = useMonteCarlo();
+
+  const inputs = [rows, tactics, portfolio, years, region];
+  const stale = ran && inputs.some((input, i) => input !== ran.inputs[i]);
+
+  const handleRun = () => {
+    const job = monteCarloJob({
+      rows,
+      value: (row) => row.level3p,
+      weight: (row) => cellAreaKm2(row.lat, cellSize),
+      tactics,
+      portfolio,
+      years,
+      draws,
+      seed: SEED,
+      inRegion: region ? (row) => regionContains(region, row.lat, row.lon) : null,
+    });
+    setRan({ job, inputs });
+    run(job);
+  };
+
+  const percentilePoints = useMemo(() => {
+    if (!result || !ran) return null;
+    const { job } = ran;
+    return Object.fromEntries(PERCENTILE_MAPS.map(({ key }) => [
+      key,
+      viewPoints(Array.from(job.value, (base, i) => ({
+        lat: job.lat[i],
+        lon: job.lon[i],
+        val: result[key][i],
+        base,
+      })), view),
+    ]));
+  }, [result, ran, view]);
+
+  // The three maps share one colour scale so they can be compared
+  const values = useMemo(
+    () => (percentilePoints ? PERCENTILE_MAPS.flatMap(({ key }) => percentilePoints[key].map(shownOf)) : []),
+    [percentilePoints]
+  );
+  const { scale: colorScale, legend, domain } = useColorScale(values, colorSettings);
+
+  const tooltip = (mapLabel) => (point) => `
+    <div class="text-sm text-gray-800">
+      <strong>${mapLabel}</strong><br />
+      <strong>Latitude:</strong> ${point.lat.toFixed(2)} <br />
+      <strong>Longitude:</strong> ${point.lon.toFixed(2)} <br />
+      <strong>Concentration:</strong> ${point.val.toFixed(1)} pieces/km²
+    </div>
+  `;
+
+  const uncertain = tactics.filter(hasRateDistribution);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-1">Uncertainty (Monte Carlo)</h3>
+      <p className="text-gray-500 mb-3">
+        Draws each tactic&apos;s reduction from its range and reruns the portfolio, to show how sure the result is.
+      </p>
+
+      {tactics.length === 0 ? (
+        <p className="text-gray-500">Add tactics to the portfolio to run.</p>
+      ) : (
+        <>
+          <ul className="mb-3 text-gray-700">
+            {tactics.map((t) => (
+              <li key={t.id}>
+                {t.label}: <span className="text-gray-500">{describeRate(t)}</span>
+              </li>
+            ))}
+          </ul>
+          {uncertain.length === 0 && (
+            <p className="text-gray-500 mb-3">None of these tactics has a range, so every draw gives the same result.</p>
+          )}
+
+          <div className="flex flex-wrap items-end gap-3 mb-3">
+            <div>
+              <label htmlFor="monte-carlo-draws" className="block font-medium text-gray-700 mb-1">Draws:</label>
+              <select
+                id="monte-carlo-draws"
+                className="border border-gray-300 rounded p-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={draws}
+                onChange={(e) => setDraws(parseInt(e.target.value, 10))}
+                disabled={running}
+              >
+                {MONTE_CARLO_DRAWS.map((n) => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </div>
+            {running ? (
+              <button
+                type="button"
+                onClick={cancel}
+                className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition duration-300"
+              >
+                Cancel
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleRun}
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-300"
+              >
+                {result ? 'Run again' : 'Run Monte Carlo'}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {running && (
+        <div className="mb-3">
+          <div className="w-full bg-gray-200 rounded h-2">
+            <div className="bg-blue-600 h-2 rounded" style={{ width: `${(done / draws) * 100}%` }}></div>
+          </div>
+          <p className="text-gray-500 mt-1">{done} of {ran?.job.draws ?? draws} draws</p>
+        </div>
+      )}
+      {error && <p className="bg-red-100 text-red-700 p-2 rounded mb-3">{error}</p>}
+
+      {result && percentilePoints && (
+        <>
+          {stale && (
+            <p className="bg-yellow-100 text-yellow-800 p-2 rounded mb-3">
+              The portfolio, years or region changed since this run; run again to update it.
+            </p>
+          )}
+          <div className="mb-3 text-gray-800">
+            {result.reduction && (
+              <p>
+                Global load reduced by <strong>{formatBand(result.reduction)}</strong> after {ran.job.years}{' '}
+                year{ran.job.years === 1 ? '' : 's'}.
+              </p>
+            )}
+            {result.regionReduction && (
+              <p>
+                Selected region reduced by <strong>{formatBand(result.regionReduction)}</strong>.
+              </p>
+            )}
+            <p className="text-gray-500">
+              Median and 5th–95th percentile range over {ran.job.draws} draws (seed {ran.job.seed}).
+            </p>
+          </div>
+          <div className="relative">
+            <SyncedMaps
+              panels={PERCENTILE_MAPS.map(({ key, label: mapLabel }) => ({
+                key,
+                label: mapLabel,
+                layer: (
+                  <DataLayer
+                    display={display}
+                    points={percentilePoints[key]}
+                    value={shownOf}
+                    colorScale={colorScale}
+                    domain={domain}
+                    cellSize={cellSize}
+                    label={label}
+                    unit={unit}
+                    tooltip={tooltip(mapLabel)}
+                  />
+                ),
+              }))}
+            />
+            <MapLegend title={label} unit={unit} legend={legend} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default UncertaintyPanel;
@@ -0,0 +1,9 @@
+// src/hooks/useBasemap.js
+import { useSyncExternalStore } from 'react';
+import { getBasemap, setBasemap, subscribeBasemap } from '../utils/basemap';
+
+// The basemap chosen for all maps, and a setter that updates every map at once.
+export function useBasemap() {
+  const basemap = useSyncExternalStore(subscribeBasemap, getBasemap);
+  return [basemap, setBasemap];
+}
@@ -0,0 +1,8 @@
+// src/hooks/useColorScale.js
+import { useMemo } from 'react';
+import { buildColorScale } from '../utils/colorScales';
+
+// Memoised buildColorScale. `values` should be memoised by the caller.
+export function useColorScale(values, settings) {
+  return useMemo(() => buildColorScale(values, settings), [values, settings]);
+}
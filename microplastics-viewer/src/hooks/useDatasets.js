@@ -0,0 +1,50 @@
+// src/hooks/useDatasets.js
+import { useEffect, useMemo, useState } from 'react';
+import { loadDataset, getDatasetState, subscribeDataset, datasetProgress } from '../utils/datasets';
+
+// Loads one or more shared datasets and re-renders as they progress.
+// Returns { data: { [name]: records }, loading, progress, error, errors }.
+export function useDatasets(names) {
+  const key = names.join(',');
+  const [snapshot, setSnapshot] = useState(() => ({ key, states: names.map(getDatasetState) }));
+
+  useEffect(() => {
+    const list = key.split(',');
+    const update = () => setSnapshot({ key, states: list.map(getDatasetState) });
+    const unsubscribers = list.map((name) => subscribeDataset(name, update));
+    update();
+    // Failures are reported through the dataset state.
+    list.forEach((name) => loadDataset(name).catch(() => {}));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [key]);
+
+  return useMemo(() => {
+    const list = key.split(',');
+    const data = {};
+    const errors = [];
+    let progressSum = 0;
+    let progressKnown = true;
+    list.forEach((name, i) => {
+      // The snapshot lags one render behind when the list of names changes
+      const state = snapshot.key === key ? snapshot.states[i] : getDatasetState(name);
+      data[name] = state.data;
+      if (state.error) errors.push({ name, message: state.error });
+      const progress = datasetProgress(state);
+      if (progress === null) progressKnown = false;
+      progressSum += progress || 0;
+    });
+
+    return {
+      data,
+      loading: list.some((name) => !data[name]) && errors.length === 0,
+      progress: progressKnown ? progressSum / list.length : null,
+      error: errors.length ? errors.map((e) => e.message).join('; ') : null,
+      errors,
+    };
+  }, [key, snapshot]);
+}
+
+export function useDataset(name) {
+  const { data, ...rest } = useDatasets([name]);
+  return { data: data[name], ...rest };
+}
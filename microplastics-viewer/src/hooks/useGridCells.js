@@ -0,0 +1,14 @@
+// src/hooks/useGridCells.js
+import { useMemo } from 'react';
+import { useDatasets } from './useDatasets';
+import { joinCells } from '../utils/grid';
+
+// Loads the given gridded datasets and joins them cell by cell.
+export function useGridCells(datasetNames) {
+  const { data, ...status } = useDatasets(datasetNames);
+  const ready = !status.loading && !status.error;
+
+  const cells = useMemo(() => (ready ? joinCells(data) : []), [ready, data]);
+
+  return { cells, ...status };
+}
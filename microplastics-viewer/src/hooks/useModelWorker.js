@@ -0,0 +1,156 @@
+// src/hooks/useModelWorker.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { seededRandom } from '../utils/random';
+
+// The model described by `spec` (MODEL_SPEC or YEAR_MODEL_SPEC in
+// utils/aiModel.js), trained and run in workers/modelTraining.worker.js:
+//   phase       'loading' (looking for a saved model), 'untrained',
+//               'training', 'pausing', 'paused', 'cancelling', 'cancelled',
+//               'ready' or 'error'
+//   ready       whether a trained model can predict (also while retraining)
+//   version     goes up whenever a newly trained model becomes ready
+//   trained     runs trained to the end (and saved) since the page opened
+//   epoch, epochs, history ([{ epoch, loss, mae, val_loss, val_mae }])
+//   checkpoint  { epoch, history } of a paused run, or null
+//   error
+//   train(data), resume(data), pause(), cancel(), predict(inputs)
+// `data` is { inputs: [[...features]], labels: [...] }; predict takes rows
+// of inputs and resolves to one value per row. `spec` must be a constant.
+// Unmounting terminates the worker; a run cut off that way resumes from its
+// last checkpoint.
+export function useModelWorker(spec) {
+  const workerRef = useRef(null);
+  // Pending predictions by id: { resolve, reject }
+  const pendingRef = useRef(new Map());
+  const nextIdRef = useRef(0);
+  const [state, setState] = useState({
+    phase: 'loading',
+    ready: false,
+    version: 0,
+    trained: 0,
+    epoch: 0,
+    history: [],
+    checkpoint: null,
+    error: null,
+  });
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/modelTraining.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    const pending = pendingRef.current;
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      switch (message.type) {
+        case 'loaded':
+          setState((prev) => ({
+            ...prev,
+            phase: message.checkpoint ? 'paused' : message.ready ? 'ready' : 'untrained',
+            ready: message.ready,
+            version: prev.version + (message.ready ? 1 : 0),
+            epoch: message.checkpoint ? message.checkpoint.epoch : 0,
+            history: message.checkpoint ? message.checkpoint.history : [],
+            checkpoint: message.checkpoint,
+          }));
+          break;
+        case 'epoch':
+          setState((prev) => ({
+            ...prev,
+            epoch: message.epoch,
+            history: [...prev.history, { epoch: message.epoch, ...message.logs }],
+          }));
+          break;
+        case 'paused':
+          setState((prev) => ({ ...prev, phase: 'paused', checkpoint: message.checkpoint }));
+          break;
+        case 'cancelled':
+          setState((prev) => ({ ...prev, phase: prev.ready ? 'ready' : 'cancelled', epoch: 0, history: [], checkpoint: null }));
+          break;
+        case 'trained':
+          setState((prev) => ({
+            ...prev,
+            phase: 'ready',
+            ready: true,
+            version: prev.version + 1,
+            trained: prev.trained + 1,
+            history: message.history,
+            checkpoint: null,
+          }));
+          break;
+        case 'prediction':
+          pending.get(message.id)?.resolve(message.values);
+          pending.delete(message.id);
+          break;
+        case 'error':
+          if (pending.has(message.id)) {
+            pending.get(message.id).reject(new Error(message.message));
+            pending.delete(message.id);
+          } else {
+            setState((prev) => ({ ...prev, phase: 'error', error: message.message }));
+          }
+          break;
+        default:
+      }
+    };
+    worker.onerror = (e) => {
+      setState((prev) => ({ ...prev, phase: 'error', error: e.message || 'The model worker failed' }));
+    };
+    worker.postMessage({ type: 'load', spec });
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      pending.forEach(({ reject }) => reject(new Error('The model worker was stopped')));
+      pending.clear();
+    };
+  }, [spec]);
+
+  const startTraining = useCallback((data, resume) => {
+    // Shuffled so the rows held back for validation are spread over the map
+    const random = seededRandom(1);
+    const order = data.labels.map((_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const inputs = new Float32Array(order.length * spec.features);
+    const labels = new Float32Array(order.length);
+    order.forEach((row, i) => {
+      inputs.set(data.inputs[row], i * spec.features);
+      labels[i] = data.labels[row];
+    });
+    setState((prev) => ({
+      ...prev,
+      phase: 'training',
+      error: null,
+      ...(!resume && { epoch: 0, history: [], checkpoint: null }),
+    }));
+    workerRef.current?.postMessage({ type: 'train', spec, inputs, labels, resume }, [inputs.buffer, labels.buffer]);
+  }, [spec]);
+
+  const train = useCallback((data) => startTraining(data, false), [startTraining]);
+  const resume = useCallback((data) => startTraining(data, true), [startTraining]);
+
+  const pause = useCallback(() => {
+    setState((prev) => ({ ...prev, phase: 'pausing' }));
+    workerRef.current?.postMessage({ type: 'pause' });
+  }, []);
+
+  const cancel = useCallback(() => {
+    setState((prev) => ({ ...prev, phase: prev.phase === 'paused' ? prev.phase : 'cancelling' }));
+    workerRef.current?.postMessage({ type: 'cancel' });
+  }, []);
+
+  const predict = useCallback((rows) => new Promise((resolve, reject) => {
+    if (!workerRef.current) {
+      reject(new Error('The model worker is not running'));
+      return;
+    }
+    const id = nextIdRef.current++;
+    pendingRef.current.set(id, { resolve, reject });
+    const inputs = Float32Array.from(rows.flat());
+    workerRef.current.postMessage({ type: 'predict', id, inputs }, [inputs.buffer]);
+  }), []);
+
+  return { ...state, epochs: spec.epochs, train, resume, pause, cancel, predict };
+}
@@ -0,0 +1,52 @@
+// src/hooks/useMonteCarlo.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const IDLE = { running: false, done: 0, draws: 0, result: null, error: null };
+
+// Runs Monte Carlo jobs (see mitigation/uncertainty.js) in a web worker:
+// { running, done, draws, result, error, run(job), cancel() }. Starting a new
+// run, cancelling or unmounting stops the worker of the previous one.
+export function useMonteCarlo() {
+  const workerRef = useRef(null);
+  const [state, setState] = useState(IDLE);
+
+  const stop = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  useEffect(() => stop, [stop]);
+
+  const run = useCallback((job) => {
+    stop();
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setState({ ...IDLE, running: true, draws: job.draws });
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        setState((prev) => ({ ...prev, done: message.done }));
+        return;
+      }
+      stop();
+      setState((prev) => ({
+        ...prev,
+        running: false,
+        result: message.type === 'result' ? message.result : null,
+        error: message.type === 'error' ? message.message : null,
+      }));
+    };
+    worker.onerror = (e) => {
+      stop();
+      setState((prev) => ({ ...prev, running: false, error: e.message || 'The Monte Carlo worker failed' }));
+    };
+    worker.postMessage(job);
+  }, [stop]);
+
+  const cancel = useCallback(() => {
+    stop();
+    setState(IDLE);
+  }, [stop]);
+
+  return { ...state, run, cancel };
+}
@@ -0,0 +1,30 @@
+// src/hooks/useScenarios.js
+import { useEffect, useState } from 'react';
+import { listScenarios, subscribeScenarios } from '../utils/scenarioStore';
+
+// Saved scenarios from IndexedDB: { scenarios, loading, error }. Reloads
+// whenever one is saved or deleted.
+export function useScenarios() {
+  const [state, setState] = useState({ scenarios: [], loading: true, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      listScenarios()
+        .then((scenarios) => {
+          if (!cancelled) setState({ scenarios, loading: false, error: null });
+        })
+        .catch((err) => {
+          if (!cancelled) setState({ scenarios: [], loading: false, error: err.message });
+        });
+    };
+    load();
+    const unsubscribe = subscribeScenarios(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return state;
+}
@@ -0,0 +1,15 @@
+// src/hooks/useTactics.js
+import { useSyncExternalStore } from 'react';
+import { getTactics, subscribeTactics } from '../mitigation/registry';
+import { getCustomTactics, subscribeCustomTactics } from '../mitigation/customTactics';
+
+// The registered tactics, including the user's custom ones; re-renders when
+// one is added or removed.
+export function useTactics() {
+  return useSyncExternalStore(subscribeTactics, getTactics);
+}
+
+// The stored definitions of the user's custom tactics.
+export function useCustomTactics() {
+  return useSyncExternalStore(subscribeCustomTactics, getCustomTactics);
+}
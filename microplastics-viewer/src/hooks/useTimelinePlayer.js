@@ -0,0 +1,136 @@
+// src/hooks/useTimelinePlayer.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Playback speeds, in frames per second
+export const PLAYER_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// How often the position advances while playing in interpolated mode
+const SMOOTH_TICK_MS = 100;
+
+// Keys typed into form fields, used by Leaflet to pan a focused map, or moving
+// a focused slider (e.g. the SwipeMaps divider) are left alone
+const ignoreKeysFrom = (target) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)
+  || Boolean(target.closest && target.closest('.leaflet-container, [role="slider"]'));
+
+// Playback state for `frameCount` frames (e.g. the 12 months).
+// `position` is a frame index; with `interpolate` it also takes fractional
+// values between frames, and when looping it blends from the last frame back
+// into the first. Keyboard shortcuts: space play/pause, ←/→ step,
+// Home/End first/last frame, +/- speed, L loop.
+export function useTimelinePlayer(frameCount, { interpolate = false, keyboard = true } = {}) {
+  const [position, setPositionState] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(0.5);
+  const [loop, setLoop] = useState(true);
+  const positionRef = useRef(0);
+
+  const setPosition = useCallback((value) => {
+    positionRef.current = value;
+    setPositionState(value);
+  }, []);
+
+  // Leaving interpolated mode snaps back onto a frame
+  useEffect(() => {
+    if (!interpolate) setPosition(Math.floor(positionRef.current));
+  }, [interpolate, setPosition]);
+
+  const step = useCallback((delta) => {
+    setPlaying(false);
+    const current = delta > 0 ? Math.floor(positionRef.current) : Math.ceil(positionRef.current);
+    const next = current + delta;
+    setPosition(loop ? (next + frameCount) % frameCount : Math.max(0, Math.min(next, frameCount - 1)));
+  }, [frameCount, loop, setPosition]);
+
+  const changeSpeed = useCallback((direction) => {
+    setSpeed((current) => {
+      const index = PLAYER_SPEEDS.indexOf(current) + direction;
+      return PLAYER_SPEEDS[Math.max(0, Math.min(index, PLAYER_SPEEDS.length - 1))];
+    });
+  }, []);
+
+  const play = useCallback(() => {
+    // Playing from the last frame without looping starts over
+    if (!loop && positionRef.current >= frameCount - 1) setPosition(0);
+    setPlaying(true);
+  }, [frameCount, loop, setPosition]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const toggle = useCallback(() => (playing ? pause() : play()), [playing, pause, play]);
+
+  useEffect(() => {
+    if (!playing || frameCount < 2) return undefined;
+    const tickMs = interpolate ? SMOOTH_TICK_MS : 1000 / speed;
+    const increment = interpolate ? (speed * SMOOTH_TICK_MS) / 1000 : 1;
+    const timer = setInterval(() => {
+      let next = positionRef.current + increment;
+      if (loop) {
+        next %= frameCount;
+      } else if (next >= frameCount - 1) {
+        next = frameCount - 1;
+        setPlaying(false);
+      }
+      setPosition(interpolate ? next : Math.round(next));
+    }, tickMs);
+    return () => clearInterval(timer);
+  }, [playing, speed, loop, interpolate, frameCount, setPosition]);
+
+  useEffect(() => {
+    if (!keyboard) return undefined;
+    const onKeyDown = (e) => {
+      if (ignoreKeysFrom(e.target) || e.altKey || e.ctrlKey || e.metaKey) return;
+      switch (e.key) {
+        case ' ':
+          toggle();
+          break;
+        case 'ArrowRight':
+          step(1);
+          break;
+        case 'ArrowLeft':
+          step(-1);
+          break;
+        case 'Home':
+          setPlaying(false);
+          setPosition(0);
+          break;
+        case 'End':
+          setPlaying(false);
+          setPosition(frameCount - 1);
+          break;
+        case '+':
+        case '=':
+          changeSpeed(1);
+          break;
+        case '-':
+          changeSpeed(-1);
+          break;
+        case 'l':
+        case 'L':
+          setLoop((value) => !value);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [keyboard, toggle, step, changeSpeed, frameCount, setPosition]);
+
+  return {
+    position,
+    setPosition: (value) => {
+      setPlaying(false);
+      setPosition(value);
+    },
+    playing,
+    play,
+    pause,
+    toggle,
+    step,
+    speed,
+    setSpeed,
+    loop,
+    setLoop,
+  };
+}
@@ -0,0 +1,247 @@
+// src/layers/CanvasGridLayer.js
+import L from 'leaflet';
+import { cellBoxes, inferGridSpacing, normalizeLon } from '../utils/grid';
+
+// Draws thousands of grid points on a single <canvas> instead of one SVG
+// node per row. Hover tooltips and clicks are resolved by hit-testing a
+// screen-space bucket index that is rebuilt on every draw.
+//
+// With shape 'cell' every point is drawn as the rectangle of its grid cell
+// (a true raster) and hit-testing snaps the cursor to the grid instead.
+//
+// points:  [{ lat, lon, ... }]
+// options: color(point) -> css color, radius (px), fillOpacity,
+//          shape ('circle' | 'cell'), cellSize ({ dLat, dLon }, inferred if omitted),
+//          tooltip(point) -> html string, onClick(point, latlng)
+
+const PADDING = 0.5; // extra canvas area around the viewport, like L.Renderer
+
+export const CanvasGridLayer = L.Layer.extend({
+  options: {
+    pane: 'overlayPane',
+    radius: 4,
+    fillOpacity: 0.85,
+    shape: 'circle',
+    cellSize: null,
+    color: () => '#f03',
+    tooltip: null,
+    onClick: null,
+  },
+
+  initialize(options) {
+    L.setOptions(this, options);
+    this._points = [];
+    this._buckets = new Map();
+    this._hovered = null;
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide');
+    this._canvas.style.pointerEvents = 'none';
+    this.getPane().appendChild(this._canvas);
+    this._ctx = this._canvas.getContext('2d');
+    this._tooltip = L.tooltip({ direction: 'top', opacity: 1 });
+
+    map.on('moveend zoomend viewreset resize', this._reset, this);
+    map.on('mousemove', this._onMouseMove, this);
+    map.on('mouseout', this._clearHover, this);
+    map.on('click', this._onClick, this);
+    this._reset();
+  },
+
+  onRemove(map) {
+    map.off('moveend zoomend viewreset resize', this._reset, this);
+    map.off('mousemove', this._onMouseMove, this);
+    map.off('mouseout', this._clearHover, this);
+    map.off('click', this._onClick, this);
+    this._clearHover();
+    if (this._frame) L.Util.cancelAnimFrame(this._frame);
+    L.DomUtil.remove(this._canvas);
+    this._canvas = null;
+    this._ctx = null;
+  },
+
+  setData(points) {
+    this._points = points || [];
+    this._hovered = null;
+    this._buildCellIndex();
+    return this.redraw();
+  },
+
+  setStyle(options) {
+    L.setOptions(this, options);
+    this._buildCellIndex();
+    return this.redraw();
+  },
+
+  // Cell mode: lookup from grid indices to points, so the cell under the
+  // cursor is found by snapping instead of searching.
+  _buildCellIndex() {
+    this._cells = null;
+    if (this.options.shape !== 'cell' || !this._points.length) return;
+
+    const spacing = this.options.cellSize || inferGridSpacing(this._points);
+    const origin = this._points[0];
+    this._spacing = spacing;
+    this._gridOrigin = { lat: origin.lat, lon: normalizeLon(origin.lon) };
+    this._cells = new Map();
+    this._points.forEach((point) => {
+      this._cells.set(this._cellKey(point.lat, point.lon), point);
+    });
+  },
+
+  _cellKey(lat, lon) {
+    const { dLat, dLon } = this._spacing;
+    const columns = Math.round(360 / dLon);
+    const row = Math.round((lat - this._gridOrigin.lat) / dLat);
+    const column = Math.round((normalizeLon(lon) - this._gridOrigin.lon) / dLon);
+    return `${row},${((column % columns) + columns) % columns}`;
+  },
+
+  // Batches draws into the next animation frame.
+  redraw() {
+    if (this._map && !this._frame) {
+      this._frame = L.Util.requestAnimFrame(() => {
+        this._frame = null;
+        this._draw();
+      });
+    }
+    return this;
+  },
+
+  _reset() {
+    const map = this._map;
+    const size = map.getSize();
+    const padding = size.multiplyBy(PADDING).round();
+    // Canvas pixels are measured from this layer point
+    this._topLeft = map.containerPointToLayerPoint(padding.multiplyBy(-1));
+    const width = size.x + padding.x * 2;
+    const height = size.y + padding.y * 2;
+    const dpr = window.devicePixelRatio || 1;
+
+    L.DomUtil.setPosition(this._canvas, this._topLeft);
+    this._canvas.width = width * dpr;
+    this._canvas.height = height * dpr;
+    this._canvas.style.width = `${width}px`;
+    this._canvas.style.height = `${height}px`;
+    this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this._width = width;
+    this._height = height;
+    this._draw();
+  },
+
+  _draw() {
+    const ctx = this._ctx;
+    if (!ctx) return;
+    const map = this._map;
+    const { radius, fillOpacity, color } = this.options;
+    const bucketSize = Math.max(radius * 2, 8);
+
+    ctx.clearRect(0, 0, this._width, this._height);
+    ctx.globalAlpha = fillOpacity;
+    this._buckets = new Map();
+    this._bucketSize = bucketSize;
+
+    if (this._cells) {
+      this._drawCells(ctx);
+      ctx.globalAlpha = 1;
+      return;
+    }
+
+    this._points.forEach((point) => {
+      const layerPoint = map.latLngToLayerPoint([point.lat, point.lon]);
+      const p = layerPoint.subtract(this._topLeft);
+      if (p.x < -radius || p.y < -radius || p.x > this._width + radius || p.y > this._height + radius) {
+        return;
+      }
+      ctx.fillStyle = color(point);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      this._index(point, layerPoint);
+    });
+    ctx.globalAlpha = 1;
+  },
+
+  _drawCells(ctx) {
+    const map = this._map;
+    const { color } = this.options;
+    this._points.forEach((point) => {
+      ctx.fillStyle = color(point);
+      cellBoxes(point.lat, point.lon, this._spacing).forEach((box) => {
+        const nw = map.latLngToLayerPoint([box.north, box.west]).subtract(this._topLeft);
+        const se = map.latLngToLayerPoint([box.south, box.east]).subtract(this._topLeft);
+        if (se.x < 0 || se.y < 0 || nw.x > this._width || nw.y > this._height) return;
+        // Round outwards so neighbouring cells meet without hairline gaps
+        const x = Math.floor(nw.x);
+        const y = Math.floor(nw.y);
+        ctx.fillRect(x, y, Math.ceil(se.x) - x, Math.ceil(se.y) - y);
+      });
+    });
+  },
+
+  _index(point, layerPoint) {
+    const key = `${Math.floor(layerPoint.x / this._bucketSize)},${Math.floor(layerPoint.y / this._bucketSize)}`;
+    if (!this._buckets.has(key)) this._buckets.set(key, []);
+    this._buckets.get(key).push({ point, x: layerPoint.x, y: layerPoint.y });
+  },
+
+  // Topmost point under a layer pixel, or null.
+  _hitTest(layerPoint) {
+    const size = this._bucketSize;
+    const bx = Math.floor(layerPoint.x / size);
+    const by = Math.floor(layerPoint.y / size);
+    const maxDist = this.options.radius + 1;
+    let best = null;
+    let bestDist = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (this._buckets.get(`${bx + dx},${by + dy}`) || []).forEach((entry) => {
+          const dist = Math.hypot(entry.x - layerPoint.x, entry.y - layerPoint.y);
+          // later entries are drawn on top, so ties go to them
+          if (dist <= maxDist && dist <= bestDist) {
+            best = entry.point;
+            bestDist = dist;
+          }
+        });
+      }
+    }
+    return best;
+  },
+
+  _pointAt(e) {
+    if (this._cells) {
+      return this._cells.get(this._cellKey(e.latlng.lat, e.latlng.lng)) || null;
+    }
+    return this._hitTest(e.layerPoint);
+  },
+
+  _onMouseMove(e) {
+    const point = this._pointAt(e);
+    if (point === this._hovered) return;
+    this._hovered = point;
+    this._map.getContainer().style.cursor = point ? 'pointer' : '';
+
+    const html = point && this.options.tooltip ? this.options.tooltip(point) : null;
+    if (html) {
+      this._tooltip.options.offset = [0, this._cells ? 0 : -this.options.radius];
+      this._tooltip.setLatLng([point.lat, point.lon]).setContent(html);
+      this._map.openTooltip(this._tooltip);
+    } else {
+      this._map.closeTooltip(this._tooltip);
+    }
+  },
+
+  _clearHover() {
+    if (!this._map) return;
+    this._hovered = null;
+    this._map.getContainer().style.cursor = '';
+    this._map.closeTooltip(this._tooltip);
+  },
+
+  _onClick(e) {
+    if (!this.options.onClick) return;
+    const point = this._pointAt(e);
+    if (point) this.options.onClick(point, e.latlng);
+  },
+});
@@ -0,0 +1,125 @@
+// src/mitigation/builtinTactics.js
+
+// Tactics that ship with the app. See registry.js for the schema.
+// Costs and rate distributions are rough, illustrative figures for comparing
+// tactics with each other, not estimates for any real programme.
+export const BUILTIN_TACTICS = [
+  {
+    id: 'none',
+    label: 'No Mitigation',
+    description: 'No actions taken to reduce microplastics.',
+    type: 'none',
+    rate: 0,
+    applies: () => true,
+  },
+  {
+    id: 'coastal',
+    label: 'Coastal Cleanup (-20% within 300 km of shore)',
+    description: 'Reduces microplastics by 20% per year in waters within 300 km of the coast.',
+    type: 'perYear',
+    rate: 0.2,
+    rateDistribution: { type: 'triangular', min: 0.1, max: 0.3 },
+    target: { maxCoastKm: 300 },
+    cost: { fixed: 50, perKm2Year: 20 },
+  },
+  {
+    id: 'openocean',
+    label: 'Open Ocean Skimming (-30% beyond 300 km offshore)',
+    description: 'Reduces microplastics by 30% per year in open ocean more than 300 km from the coast.',
+    type: 'perYear',
+    rate: 0.3,
+    rateDistribution: { type: 'triangular', min: 0.1, max: 0.4 },
+    target: { minCoastKm: 300 },
+    cost: { fixed: 200, perKm2Year: 15 },
+  },
+  {
+    id: 'globalban',
+    label: 'Global Single-Use Ban (-50% overall)',
+    description: 'Reduces microplastics by 50% globally.',
+    type: 'oneTime',
+    rate: 0.5,
+    rateDistribution: { type: 'uniform', min: 0.3, max: 0.7 },
+    applies: () => true,
+    cost: { fixed: 2000, perYear: 500 },
+  },
+  {
+    id: 'river',
+    label: 'River Interceptors (-40% near major river mouths)',
+    description: 'Reduces microplastics by 40% per year within 500 km of the mouths of the rivers carrying the most plastic.',
+    type: 'perYear',
+    rate: 0.4,
+    rateDistribution: { type: 'triangular', min: 0.2, max: 0.6 },
+    target: { maxRiverKm: 500 },
+    cost: { fixed: 100, perKm2Year: 100 },
+  },
+  {
+    id: 'biodegradable',
+    label: 'Biodegradable Plastics Promotion (-25% overall)',
+    description: 'Reduces microplastics by 25% globally by replacing conventional plastics.',
+    type: 'oneTime',
+    rate: 0.25,
+    rateDistribution: { type: 'uniform', min: 0.05, max: 0.4 },
+    applies: () => true,
+    cost: { fixed: 1000, perYear: 800 },
+  },
+  {
+    id: 'industrial',
+    label: 'Industrial Filtration Systems (-35% off industrial coasts)',
+    description: 'Reduces microplastics by 35% per year within 500 km of the coasts of the North Atlantic, North Pacific and Mediterranean.',
+    type: 'perYear',
+    rate: 0.35,
+    rateDistribution: { type: 'normal', sd: 0.08 },
+    target: { maxCoastKm: 500, basins: ['northAtlantic', 'northPacific', 'mediterranean'] },
+    cost: { fixed: 300, perKm2Year: 30 },
+  },
+  {
+    id: 'awareness',
+    label: 'Public Awareness Campaigns (-15% overall)',
+    description: 'Reduces microplastics by 15% globally through behaviour change.',
+    type: 'oneTime',
+    rate: 0.15,
+    rateDistribution: { type: 'uniform', min: 0, max: 0.3 },
+    applies: () => true,
+    cost: { fixed: 50, perYear: 100 },
+  },
+  {
+    id: 'wastemanagement',
+    label: 'Advanced Waste Management (-40% off urbanised coasts)',
+    description: 'Reduces microplastics by 40% per year in coastal waters (200 km) within 1,500 km of a major river mouth, where urban waste reaches the sea.',
+    type: 'perYear',
+    rate: 0.4,
+    rateDistribution: { type: 'normal', sd: 0.1 },
+    target: { maxCoastKm: 200, maxRiverKm: 1500 },
+    cost: { fixed: 500, perKm2Year: 200 },
+  },
+  {
+    id: 'legislation',
+    label: 'Legislation on Plastic Production (-30% globally)',
+    description: 'Reduces microplastics by 30% globally by limiting production.',
+    type: 'oneTime',
+    rate: 0.3,
+    rateDistribution: { type: 'triangular', min: 0.1, max: 0.45 },
+    applies: () => true,
+    cost: { fixed: 300, perYear: 50 },
+  },
+  {
+    id: 'oceanrestoration',
+    label: 'Ocean Restoration Projects (-20% globally)',
+    description: 'Reduces microplastics by 20% globally.',
+    type: 'oneTime',
+    rate: 0.2,
+    rateDistribution: { type: 'uniform', min: 0.05, max: 0.35 },
+    applies: () => true,
+    cost: { fixed: 1000, perYear: 1500 },
+  },
+  {
+    id: 'erosioncontrol',
+    label: 'Erosion Control Measures (-25% on tropical coasts)',
+    description: 'Reduces microplastics by 25% per year within 300 km of tropical coasts (20°S to 20°N).',
+    type: 'perYear',
+    rate: 0.25,
+    rateDistribution: { type: 'normal', sd: 0.07 },
+    target: { maxCoastKm: 300, minLat: -20, maxLat: 20 },
+    cost: { fixed: 100, perKm2Year: 50 },
+  },
+];
@@ -0,0 +1,47 @@
+// src/mitigation/costs.js
+import { deployedYears } from './engine';
+
+// Cost model for tactics. A tactic's optional `cost` (see registry.js):
+//   fixed        US$ millions, paid once when it is deployed
+//   perYear      US$ millions per year of deployment
+//   perKm2Year   US$ per km² of covered ocean per year of deployment
+// Tactics without a cost are left out of the optimizer.
+
+export const COST_UNIT = 'US$ M';
+
+const COST_KEYS = ['fixed', 'perYear', 'perKm2Year'];
+
+// Throws an Error describing the first problem with a cost definition.
+export function validateCost(cost) {
+  if (!cost || typeof cost !== 'object') throw new Error('cost must be an object');
+  Object.entries(cost).forEach(([key, value]) => {
+    if (!COST_KEYS.includes(key)) throw new Error(`unknown cost "${key}"`);
+    if (typeof value !== 'number' || !(value >= 0)) throw new Error(`cost.${key} must be a number >= 0`);
+  });
+}
+
+export function hasCost(tactic) {
+  return Boolean(tactic.cost) && Object.keys(tactic.cost).length > 0;
+}
+
+// Whether the cost depends on where the tactic is deployed
+export function isAreaCosted(tactic) {
+  return hasCost(tactic) && (tactic.cost.perKm2Year || 0) > 0;
+}
+
+// Cost in US$ millions of deploying `tactic` over `areaKm2` of ocean until
+// `years` after the data year; null if the tactic has no cost. Nothing is
+// spent before the start year.
+export function tacticCost(tactic, areaKm2, years) {
+  if (!hasCost(tactic)) return null;
+  const deployed = deployedYears(tactic, years);
+  if (deployed < 0) return 0;
+  const { fixed = 0, perYear = 0, perKm2Year = 0 } = tactic.cost;
+  return fixed + (perYear + (perKm2Year * areaKm2) / 1e6) * Math.ceil(deployed);
+}
+
+export function formatCost(value) {
+  if (value === null || value === undefined) return '—';
+  if (value >= 1000) return `$${(value / 1000).toFixed(value >= 10000 ? 0 : 1)}B`;
+  return `$${value.toFixed(value >= 100 ? 0 : 1)}M`;
+}
@@ -0,0 +1,121 @@
+// src/mitigation/customTactics.js
+import { regionContains } from '../utils/regions';
+import { registerTactic, unregisterTactic } from './registry';
+import { BASE_YEAR } from './engine';
+import { describeTarget } from './geography';
+
+// Tactics created in the tactic editor. They are stored in localStorage as
+// plain definitions and registered like any other tactic:
+//   { id, label, description, type, rate, rateDistribution, startYear,
+//     rampYears, decay, regions, target, cost }
+// where `regions` are drawn areas (see utils/regions.js) and `target` a
+// geographic target (see geography.js). The tactic applies inside any of the
+// regions, if there are any, and where the target matches. `cost` (see
+// costs.js) and `rateDistribution` (see uncertainty.js, null for an exact
+// rate) are optional.
+
+const STORAGE_KEY = 'customTactics';
+export const CUSTOM_ID_PREFIX = 'custom-';
+
+export const NEW_CUSTOM_TACTIC = {
+  id: '',
+  label: '',
+  description: '',
+  type: 'perYear',
+  rate: 0.2,
+  rateDistribution: null,
+  startYear: BASE_YEAR,
+  rampYears: 0,
+  decay: 0,
+  regions: [],
+  target: {},
+  cost: {},
+};
+
+const hasTarget = (def) => Object.keys(def.target || {}).length > 0;
+
+let definitions = [];
+const listeners = new Set();
+
+function readStored() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+function persist() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(definitions));
+  } catch {
+    // storage unavailable (private mode); keep the tactics for this session
+  }
+  listeners.forEach((listener) => listener(definitions));
+}
+
+export function describeCustomTactic(def) {
+  const percent = Math.round(def.rate * 100);
+  const timing = def.type === 'perYear' ? `${percent}% per year` : `${percent}% once`;
+  const where = [];
+  if (def.regions.length) where.push(def.regions.length === 1 ? 'in 1 drawn area' : `in ${def.regions.length} drawn areas`);
+  if (hasTarget(def)) where.push(describeTarget(def.target));
+  const phasing = [];
+  if (def.rampYears) phasing.push(`phased in over ${def.rampYears} year${def.rampYears === 1 ? '' : 's'}`);
+  if (def.decay) phasing.push(`weakening ${Math.round(def.decay * 100)}% a year`);
+  const schedule = phasing.length ? ` (${phasing.join(', ')})` : '';
+  return `Removes ${timing} from ${def.startYear}${schedule} ${where.join(', ')}.`;
+}
+
+export function toTactic(def) {
+  const { regions } = def;
+  const { target, rateDistribution, ...rest } = def;
+  return {
+    ...rest,
+    ...(rateDistribution && { rateDistribution }),
+    description: def.description || describeCustomTactic(def),
+    custom: true,
+    ...(hasTarget(def) && { target }),
+    ...(regions.length && { applies: (lat, lon) => regions.some((region) => regionContains(region, lat, lon)) }),
+  };
+}
+
+// Throws an Error if the definition cannot be saved.
+export function saveCustomTactic(def) {
+  if (!def.regions.length && !hasTarget(def)) {
+    throw new Error('Draw at least one deployment area on the map or limit the tactic by geography');
+  }
+  const saved = { ...def, id: def.id || `${CUSTOM_ID_PREFIX}${Date.now().toString(36)}` };
+  registerTactic(toTactic(saved));
+  const index = definitions.findIndex((d) => d.id === saved.id);
+  definitions = index === -1
+    ? [...definitions, saved]
+    : definitions.map((d, i) => (i === index ? saved : d));
+  persist();
+  return saved;
+}
+
+export function deleteCustomTactic(id) {
+  unregisterTactic(id);
+  definitions = definitions.filter((d) => d.id !== id);
+  persist();
+}
+
+export function getCustomTactics() {
+  return definitions;
+}
+
+export function subscribeCustomTactics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+readStored().forEach((def) => {
+  try {
+    registerTactic(toTactic(def));
+    definitions = [...definitions, def];
+  } catch (err) {
+    console.error('Skipping stored custom tactic:', err);
+  }
+});
@@ -0,0 +1,86 @@
+// src/mitigation/emissions.js
+import { BASE_YEAR } from './engine';
+
+// Baseline emissions: how the unmitigated load changes after the data year
+// (engine.BASE_YEAR) without any tactic, as a factor on the data:
+//   { type: 'constant' }
+//   { type: 'growth', percentPerYear: 3 }          compounding every year
+//   { type: 'table', points: [{ year: 2030, factor: 1.2 }, ...] }
+// A table is interpolated linearly between calendar years, starts from 1 in
+// the data year unless it says otherwise, and stays at its last factor.
+// Tactics then act on the grown load.
+
+export const EMISSIONS_TYPES = [
+  { value: 'constant', label: 'Constant (the data year)' },
+  { value: 'growth', label: 'Growing by a fixed rate' },
+  { value: 'table', label: 'From a table of years' },
+];
+
+export const DEFAULT_EMISSIONS = { type: 'constant' };
+
+// Throws an Error describing the first problem with an emissions trajectory.
+export function validateEmissions(emissions) {
+  if (!emissions || !EMISSIONS_TYPES.some((t) => t.value === emissions.type)) {
+    throw new Error(`emissions type must be one of ${EMISSIONS_TYPES.map((t) => t.value).join(', ')}`);
+  }
+  if (emissions.type === 'growth' && !(Number.isFinite(emissions.percentPerYear) && emissions.percentPerYear > -100)) {
+    throw new Error('emissions percentPerYear must be a number above -100');
+  }
+  if (emissions.type === 'table') {
+    if (!Array.isArray(emissions.points) || !emissions.points.length) throw new Error('an emissions table needs at least one year');
+    emissions.points.forEach((point, i) => {
+      if (!Number.isFinite(point.year) || !Number.isFinite(point.factor) || point.factor < 0) {
+        throw new Error(`emissions table row ${i + 1} needs a year and a factor >= 0`);
+      }
+      if (i > 0 && point.year <= emissions.points[i - 1].year) throw new Error('emissions table years must increase');
+    });
+  }
+}
+
+// Factor on the data-year load `years` after BASE_YEAR.
+export function emissionsFactor(emissions, years) {
+  if (!emissions || emissions.type === 'constant') return 1;
+  if (emissions.type === 'growth') return (1 + emissions.percentPerYear / 100) ** years;
+  const year = BASE_YEAR + years;
+  const points = emissions.points[0].year > BASE_YEAR
+    ? [{ year: BASE_YEAR, factor: 1 }, ...emissions.points]
+    : emissions.points;
+  if (year <= points[0].year) return points[0].factor;
+  const next = points.findIndex((point) => point.year >= year);
+  if (next === -1) return points[points.length - 1].factor;
+  const a = points[next - 1];
+  const b = points[next];
+  return a.factor + ((b.factor - a.factor) * (year - a.year)) / (b.year - a.year);
+}
+
+export function describeEmissions(emissions) {
+  if (!emissions || emissions.type === 'constant') return 'Constant';
+  if (emissions.type === 'growth') {
+    return `${emissions.percentPerYear >= 0 ? '+' : ''}${emissions.percentPerYear}% per year`;
+  }
+  return emissions.points.map((point) => `${point.year}: ×${point.factor}`).join(', ');
+}
+
+// Table rows as text, one "year factor" per line
+export function formatEmissionsTable(points) {
+  return points.map((point) => `${point.year} ${point.factor}`).join('\n');
+}
+
+// Parses "year factor" lines (commas, colons or spaces between); throws an
+// Error naming the first bad line.
+export function parseEmissionsTable(text) {
+  const points = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      const [year, factor] = line.split(/[\s,:;]+/).map(Number);
+      if (!Number.isInteger(year) || !Number.isFinite(factor)) {
+        throw new Error(`Line ${i + 1}: expected a year and a factor, e.g. "2030 1.2"`);
+      }
+      return { year, factor };
+    });
+  const table = { type: 'table', points };
+  validateEmissions(table);
+  return points;
+}
@@ -0,0 +1,57 @@
+// src/mitigation/engine.js
+import { matchesTarget } from './geography';
+
+// Applies tactics (see registry.js) to concentration values. Every page goes
+// through these functions so a tactic behaves the same everywhere. Growth of
+// the unmitigated load itself is in emissions.js.
+
+// Calendar year of the Level 3 data; `years` below count from here.
+export const BASE_YEAR = 2025;
+
+// Whether a tactic acts at (lat, lon): inside its geographic `target` and
+// accepted by its `applies` function, whichever it defines.
+export function tacticApplies(tactic, lat, lon) {
+  if (tactic.target && !matchesTarget(tactic.target, lat, lon)) return false;
+  return tactic.applies ? tactic.applies(lat, lon) : true;
+}
+
+// Years a tactic has been deployed by `years` after BASE_YEAR; negative
+// before its start year.
+export function deployedYears(tactic, years) {
+  return years - ((tactic.startYear ?? BASE_YEAR) - BASE_YEAR);
+}
+
+// Strength of a tactic, as a fraction of its rate, in the year `deployed`
+// years after its start (0 in the start year). It ramps up linearly over
+// `rampYears`, reaching full strength in the last year of the ramp, and then
+// loses `decay` of its strength every year.
+export function effectiveness(tactic, deployed) {
+  const ramp = tactic.rampYears || 0;
+  const rising = ramp > 0 ? Math.min(1, (deployed + 1) / ramp) : 1;
+  const fullFrom = Math.max(ramp, 1) - 1;
+  return rising * (1 - (tactic.decay || 0)) ** Math.max(0, deployed - fullFrom);
+}
+
+// Fraction of the concentration left at (lat, lon) `years` after BASE_YEAR.
+// 'perYear' tactics remove their rate once per full year since their start
+// year, compounding; 'oneTime' tactics remove it once, from their start year
+// on. Either is scaled by the tactic's effectiveness that year.
+export function remainingFraction(tactic, lat, lon, years = 1) {
+  if (!tactic || tactic.type === 'none' || !tacticApplies(tactic, lat, lon)) return 1;
+  const deployed = Math.floor(deployedYears(tactic, years));
+  if (deployed < 0) return 1;
+  const scheduled = tactic.rampYears || tactic.decay;
+  if (tactic.type === 'perYear') {
+    if (!scheduled) return (1 - tactic.rate) ** deployed;
+    let left = 1;
+    for (let year = 0; year < deployed; year++) left *= 1 - tactic.rate * effectiveness(tactic, year);
+    return left;
+  }
+  return 1 - tactic.rate * (scheduled ? effectiveness(tactic, deployed) : 1);
+}
+
+export function applyTactic(value, tactic, lat, lon, years = 1) {
+  if (value === null) return null;
+  if (value <= 0) return 0;
+  return Math.max(value * remainingFraction(tactic, lat, lon, years), 0);
+}
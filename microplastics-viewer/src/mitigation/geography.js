@@ -0,0 +1,88 @@
+// src/mitigation/geography.js
+import geography from './geography.json';
+
+// Coarse geography on the Level 3 grid (5° lon x 2° lat), precomputed by
+// scripts/buildGeography.js: land share, distance to the nearest coast,
+// ocean basin and distance to the nearest major river mouth of every cell.
+// Tactics target cells with a `target` (see registry.js):
+//   { minCoastKm, maxCoastKm, basins: ['northPacific', ...], maxRiverKm, minLat, maxLat }
+// Every condition given must hold; land cells count as 0 km from the coast.
+
+const { grid } = geography;
+
+export const BASINS = geography.basins;
+export const RIVER_MOUTHS = geography.rivers;
+
+const TARGET_KEYS = ['minCoastKm', 'maxCoastKm', 'basins', 'maxRiverKm', 'minLat', 'maxLat'];
+
+function cellIndex(lat, lon) {
+  const row = Math.min(Math.max(Math.floor((lat - grid.latMin) / grid.dLat), 0), grid.rows - 1);
+  const wrapped = ((((lon - grid.lonMin) % 360) + 360) % 360);
+  return row * grid.cols + Math.min(Math.floor(wrapped / grid.dLon), grid.cols - 1);
+}
+
+// Whether the grid cell containing (lat, lon) is mostly land. Cheaper than
+// geographyAt for code that asks many times (the transport simulation).
+export function isLand(lat, lon) {
+  return geography.landPercent[cellIndex(lat, lon)] >= 50;
+}
+
+// { land, landPercent, coastKm, basin, riverMouth, riverKm } for the grid
+// cell containing (lat, lon). `basin` is null on land.
+export function geographyAt(lat, lon) {
+  const index = cellIndex(lat, lon);
+  const basin = BASINS[geography.basin[index]];
+  return {
+    land: isLand(lat, lon),
+    landPercent: geography.landPercent[index],
+    coastKm: geography.coastKm[index],
+    basin: basin ? basin.id : null,
+    riverMouth: RIVER_MOUTHS[geography.river[index]].name,
+    riverKm: geography.riverKm[index],
+  };
+}
+
+export function basinLabel(id) {
+  const basin = BASINS.find((b) => b.id === id);
+  return basin ? basin.label : 'Land';
+}
+
+// Throws an Error describing the first problem with a target.
+export function validateTarget(target) {
+  if (!target || typeof target !== 'object') throw new Error('target must be an object');
+  Object.entries(target).forEach(([key, value]) => {
+    if (!TARGET_KEYS.includes(key)) throw new Error(`unknown target condition "${key}"`);
+    if (key === 'basins') {
+      if (!Array.isArray(value) || !value.every((id) => BASINS.some((b) => b.id === id))) {
+        throw new Error(`target.basins must list basin ids: ${BASINS.map((b) => b.id).join(', ')}`);
+      }
+    } else if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error(`target.${key} must be a number`);
+    }
+  });
+}
+
+// Plain-language summary of a target, e.g. "within 300 km of shore, in the
+// North Pacific".
+export function describeTarget(target) {
+  const parts = [];
+  if (target.minCoastKm !== undefined) parts.push(`more than ${target.minCoastKm} km from shore`);
+  if (target.maxCoastKm !== undefined) parts.push(`within ${target.maxCoastKm} km of shore`);
+  if (target.maxRiverKm !== undefined) parts.push(`within ${target.maxRiverKm} km of a major river mouth`);
+  if (target.basins && target.basins.length) parts.push(`in the ${target.basins.map(basinLabel).join(', ')}`);
+  if (target.minLat !== undefined || target.maxLat !== undefined) {
+    parts.push(`between ${target.minLat ?? -90}° and ${target.maxLat ?? 90}° latitude`);
+  }
+  return parts.join(', ');
+}
+
+export function matchesTarget(target, lat, lon) {
+  if (target.minLat !== undefined && lat < target.minLat) return false;
+  if (target.maxLat !== undefined && lat > target.maxLat) return false;
+  const cell = geographyAt(lat, lon);
+  if (target.minCoastKm !== undefined && cell.coastKm <= target.minCoastKm) return false;
+  if (target.maxCoastKm !== undefined && cell.coastKm > target.maxCoastKm) return false;
+  if (target.maxRiverKm !== undefined && cell.riverKm > target.maxRiverKm) return false;
+  if (target.basins && !target.basins.includes(cell.basin)) return false;
+  return true;
+}
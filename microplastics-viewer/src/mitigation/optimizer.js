@@ -0,0 +1,177 @@
+// src/mitigation/optimizer.js
+import { BASINS } from './geography';
+import { remainingFraction, tacticApplies } from './engine';
+import { combineReductions } from './portfolio';
+import { hasCost, isAreaCosted, tacticCost } from './costs';
+
+// Chooses which tactics to deploy, and where, to get the most reduction in
+// area-weighted global load for the money. Tactics whose cost depends on the
+// area covered can be bought one ocean basin at a time; the others are all
+// or nothing. Because overlapping tactics combine non-additively (see
+// portfolio.js) the choice is greedy: repeatedly add the option with the
+// best extra reduction per dollar.
+
+function restrictToBasin(tactic, basin) {
+  const basins = tactic.target && tactic.target.basins
+    ? tactic.target.basins.filter((id) => id === basin.id)
+    : [basin.id];
+  if (!basins.length) return null;
+  return {
+    ...tactic,
+    id: `${tactic.id}@${basin.id}`,
+    label: `${tactic.label}, ${basin.label}`,
+    target: { ...tactic.target, basins },
+  };
+}
+
+// Everything the optimizer needs, computed once per set of inputs.
+//   rows: grid cells ({ lat, lon, ... })
+//   load(row): area-weighted load of a cell (e.g. pieces); area(row): km²
+//   years: horizon, counted from the data year
+//   rule, cap: how overlapping tactics combine (see portfolio.js)
+// Returns { options, loads, total, rule, cap, skipped } where `skipped`
+// counts tactics left out for lack of cost parameters.
+export function buildProblem(tactics, rows, { load, area, years, rule, cap }) {
+  const loads = rows.map((row) => Math.max(load(row) || 0, 0));
+  const candidates = tactics.filter((t) => t.type !== 'none');
+  const costed = candidates.filter(hasCost);
+  const variants = costed.flatMap((t) => (
+    isAreaCosted(t) ? BASINS.map((basin) => restrictToBasin(t, basin)).filter(Boolean) : [t]
+  ));
+
+  const options = variants.map((tactic) => {
+    const cells = [];
+    const reductions = [];
+    let areaKm2 = 0;
+    rows.forEach((row, j) => {
+      if (!tacticApplies(tactic, row.lat, row.lon)) return;
+      areaKm2 += area(row);
+      const r = 1 - remainingFraction(tactic, row.lat, row.lon, years);
+      if (r > 0 && loads[j] > 0) {
+        cells.push(j);
+        reductions.push(r);
+      }
+    });
+    return { tactic, cost: tacticCost(tactic, areaKm2, years), areaKm2, cells, reductions };
+  }).filter((option) => option.cells.length > 0);
+
+  return {
+    options,
+    loads,
+    total: loads.reduce((sum, v) => sum + v, 0),
+    rule,
+    cap,
+    skipped: candidates.length - costed.length,
+  };
+}
+
+// Load removed by a set of options together
+export function evaluate(problem, options) {
+  const perCell = new Map();
+  options.forEach((option) => {
+    option.cells.forEach((j, k) => {
+      if (!perCell.has(j)) perCell.set(j, []);
+      perCell.get(j).push(option.reductions[k]);
+    });
+  });
+  let removed = 0;
+  perCell.forEach((reductions, j) => {
+    removed += problem.loads[j] * combineReductions(reductions, problem.rule, problem.cap);
+  });
+  return removed;
+}
+
+// Greedy additions in order, as [{ option, cost, removed }] with running
+// totals. Stops when nothing affordable adds anything, or once `stopAt`
+// load has been removed.
+function greedy(problem, { budget = Infinity, stopAt = Infinity } = {}) {
+  const { options, loads, rule, cap } = problem;
+  const chosen = loads.map(() => []);
+  const combined = new Float64Array(loads.length);
+  const steps = [];
+  let cost = 0;
+  let removed = 0;
+  let left = options;
+
+  const gainOf = (option) => {
+    let gain = 0;
+    option.cells.forEach((j, k) => {
+      const next = combineReductions([...chosen[j], option.reductions[k]], rule, cap);
+      gain += loads[j] * (next - combined[j]);
+    });
+    return gain;
+  };
+
+  while (left.length && removed < stopAt) {
+    let best = null;
+    left.forEach((option) => {
+      if (cost + option.cost > budget) return;
+      const gain = gainOf(option);
+      if (gain <= 0) return;
+      const ratio = option.cost > 0 ? gain / option.cost : Infinity;
+      if (!best || ratio > best.ratio) best = { option, gain, ratio };
+    });
+    if (!best) break;
+
+    const { option } = best;
+    option.cells.forEach((j, k) => {
+      chosen[j].push(option.reductions[k]);
+      combined[j] = combineReductions(chosen[j], rule, cap);
+    });
+    cost += option.cost;
+    removed += best.gain;
+    steps.push({ option, cost, removed });
+    left = left.filter((other) => other !== option);
+  }
+  return steps;
+}
+
+function toPlan(problem, options) {
+  const removed = evaluate(problem, options);
+  return {
+    options,
+    cost: options.reduce((sum, o) => sum + o.cost, 0),
+    removed,
+    fraction: problem.total > 0 ? removed / problem.total : 0,
+  };
+}
+
+// Cost/benefit frontier: the greedy sequence without a budget, as
+// [{ cost, fraction }] starting from nothing deployed.
+export function costFrontier(problem) {
+  return [
+    { cost: 0, fraction: 0 },
+    ...greedy(problem).map((step) => ({
+      cost: step.cost,
+      fraction: problem.total > 0 ? step.removed / problem.total : 0,
+    })),
+  ];
+}
+
+// The largest reduction for at most `budget` (US$ M). The best single option
+// is checked too, since greedy-by-ratio can miss one large, efficient buy.
+export function optimizeForBudget(problem, budget) {
+  const greedyPlan = toPlan(problem, greedy(problem, { budget }).map((step) => step.option));
+  const single = problem.options
+    .filter((option) => option.cost <= budget)
+    .map((option) => toPlan(problem, [option]))
+    .reduce((best, plan) => (!best || plan.removed > best.removed ? plan : best), null);
+  return single && single.removed > greedyPlan.removed ? single : greedyPlan;
+}
+
+// The cheapest mix found that removes at least `fraction` of the global load.
+// `feasible` is false when even everything together falls short; the plan is
+// then the largest reduction available.
+export function optimizeForTarget(problem, fraction) {
+  const goal = fraction * problem.total;
+  let options = greedy(problem, { stopAt: goal }).map((step) => step.option);
+  const feasible = evaluate(problem, options) >= goal;
+  if (feasible) {
+    // Drop options the target no longer needs, most expensive first
+    [...options].sort((a, b) => b.cost - a.cost).forEach((option) => {
+      const without = options.filter((other) => other !== option);
+      if (evaluate(problem, without) >= goal) options = without;
+    });
+  }
+  return { ...toPlan(problem, options), feasible };
+}
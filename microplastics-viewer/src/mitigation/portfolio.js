@@ -0,0 +1,99 @@
+// src/mitigation/portfolio.js
+import { remainingFraction } from './engine';
+
+// A portfolio is a set of tactics deployed together, plus the rule that says
+// how their reductions combine where they overlap:
+//   { ids: ['globalban', 'river'], rule: 'multiplicative', cap: 0.9 }
+// An empty portfolio is the "No Mitigation" baseline.
+
+export const STACKING_RULES = [
+  {
+    value: 'multiplicative',
+    label: 'Multiplicative',
+    description: 'Each tactic removes its share of what the others leave behind.',
+  },
+  {
+    value: 'additive',
+    label: 'Additive with cap',
+    description: 'Reductions add up, but never beyond the cap.',
+  },
+  {
+    value: 'diminishing',
+    label: 'Diminishing returns',
+    description: 'Strongest tactic first; each further tactic in the same place works at half the strength of the one before.',
+  },
+];
+
+export const DEFAULT_PORTFOLIO = { ids: [], rule: 'multiplicative', cap: 0.9 };
+
+const DIMINISHING_FACTOR = 0.5;
+
+// The registered tactics selected in a portfolio, in registry order.
+export function portfolioTactics(portfolio, tactics) {
+  return tactics.filter((t) => t.type !== 'none' && portfolio.ids.includes(t.id));
+}
+
+// Combined fraction removed by tactics that on their own would remove
+// `reductions` at the same place.
+export function combineReductions(reductions, rule, cap) {
+  const active = reductions.filter((r) => r > 0);
+  if (!active.length) return 0;
+  if (rule === 'additive') {
+    return Math.min(active.reduce((sum, r) => sum + r, 0), cap, 1);
+  }
+  if (rule === 'diminishing') {
+    const sorted = [...active].sort((a, b) => b - a);
+    return 1 - sorted.reduce((left, r, k) => left * (1 - r * DIMINISHING_FACTOR ** k), 1);
+  }
+  return 1 - active.reduce((left, r) => left * (1 - r), 1);
+}
+
+// Effect of the portfolio's tactics at one location after `years`:
+// { reduction, reductions } where `reduction` is the combined fraction removed
+// and `reductions[i]` what tactic i would remove on its own.
+export function portfolioEffect(tactics, portfolio, lat, lon, years = 1) {
+  const reductions = tactics.map((t) => 1 - remainingFraction(t, lat, lon, years));
+  return { reduction: combineReductions(reductions, portfolio.rule, portfolio.cap), reductions };
+}
+
+export function applyPortfolio(value, tactics, portfolio, lat, lon, years = 1) {
+  if (value === null) return null;
+  if (value <= 0) return 0;
+  return value * (1 - portfolioEffect(tactics, portfolio, lat, lon, years).reduction);
+}
+
+// Splits the reduction over `rows` between the tactics. In every cell the
+// combined reduction is shared in proportion to what each tactic would
+// remove on its own. `value(row)` is the unmitigated value and `weight(row)`
+// e.g. the cell area, so totals come out in absolute units.
+// Returns { before, after, byTactic: [{ id, label, reduction, share }] }.
+export function attributeReduction(rows, value, weight, tactics, portfolio, years = 1) {
+  let before = 0;
+  let after = 0;
+  const byTactic = tactics.map(() => 0);
+  rows.forEach((row) => {
+    const v = value(row);
+    if (v === null || v <= 0) return;
+    const amount = v * weight(row);
+    const { reduction, reductions } = portfolioEffect(tactics, portfolio, row.lat, row.lon, years);
+    before += amount;
+    after += amount * (1 - reduction);
+    const sum = reductions.reduce((s, r) => s + r, 0);
+    if (sum > 0) {
+      reductions.forEach((r, i) => {
+        byTactic[i] += (amount * reduction * r) / sum;
+      });
+    }
+  });
+  const removed = before - after;
+  return {
+    before,
+    after,
+    byTactic: tactics.map((t, i) => ({
+      id: t.id,
+      label: t.label,
+      reduction: byTactic[i],
+      share: removed > 0 ? byTactic[i] / removed : 0,
+    })),
+  };
+}
@@ -0,0 +1,145 @@
+// src/mitigation/registry.js
+import { BUILTIN_TACTICS } from './builtinTactics';
+import { validateTarget } from './geography';
+import { validateCost } from './costs';
+import { validateRateDistribution } from './uncertainty';
+
+// The one list of mitigation tactics used by every page.
+//
+// A tactic is a plain object:
+//   id           unique string, used in URLs, saved scenarios and selects
+//   label        short name shown in menus
+//   description  one or two sentences shown next to the menu
+//   type         time behaviour: 'none' (no effect), 'oneTime' (the rate is
+//                removed once) or 'perYear' (the rate is removed again every
+//                full year, compounding)
+//   rate         fraction removed, 0..1 (per year for 'perYear')
+//   rateDistribution
+//                optional spread of the rate for Monte Carlo runs, e.g.
+//                { type: 'triangular', min: 0.1, max: 0.3 } (see
+//                uncertainty.js); without one the rate is taken as exact
+//   target       where the tactic has an effect, by distance from shore, ocean
+//                basin or distance to major river mouths (see geography.js),
+//                e.g. { maxCoastKm: 300 } or { basins: ['mediterranean'] }
+//   applies      (lat, lon) -> boolean, for areas a target cannot describe;
+//                a tactic needs a target, applies, or both (then both must hold)
+//   cost         optional { fixed, perYear, perKm2Year } used by the budget
+//                optimizer (see costs.js)
+//   startYear    optional calendar year the tactic is deployed (default: the
+//                data year, engine.BASE_YEAR); it has no effect before then
+//   rampYears    optional years it takes to reach full strength, rising
+//                linearly from the start year (default 0: at once)
+//   decay        optional fraction of its strength lost every year after
+//                that, 0..1 (default 0); see engine.effectiveness
+//
+// Organisation-specific tactics can be added without touching the pages:
+// drop a module into src/mitigation/plugins/ whose default export is a
+// tactic or an array of tactics, or call registerTactic() at runtime.
+// Tactics drawn by users in the editor live in customTactics.js.
+
+export const TACTIC_TYPES = ['none', 'oneTime', 'perYear'];
+
+let tactics = [];
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach((listener) => listener(tactics));
+}
+
+// Throws an Error describing the first problem with a tactic definition.
+export function validateTactic(tactic) {
+  if (!tactic || typeof tactic !== 'object') throw new Error('A tactic must be an object');
+  const name = tactic.id ? `Tactic "${tactic.id}"` : 'Tactic';
+  if (typeof tactic.id !== 'string' || !tactic.id) throw new Error(`${name}: id must be a non-empty string`);
+  if (typeof tactic.label !== 'string' || !tactic.label) throw new Error(`${name}: label must be a non-empty string`);
+  if (!TACTIC_TYPES.includes(tactic.type)) {
+    throw new Error(`${name}: type must be one of ${TACTIC_TYPES.join(', ')}`);
+  }
+  if (typeof tactic.rate !== 'number' || tactic.rate < 0 || tactic.rate > 1) {
+    throw new Error(`${name}: rate must be a number between 0 and 1`);
+  }
+  if (tactic.applies === undefined && tactic.target === undefined) {
+    throw new Error(`${name}: a target or an applies function is required`);
+  }
+  if (tactic.applies !== undefined && typeof tactic.applies !== 'function') {
+    throw new Error(`${name}: applies must be a function (lat, lon) -> boolean`);
+  }
+  if (tactic.target !== undefined) {
+    try {
+      validateTarget(tactic.target);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  if (tactic.cost !== undefined) {
+    try {
+      validateCost(tactic.cost);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  if (tactic.rateDistribution !== undefined) {
+    try {
+      validateRateDistribution(tactic.rateDistribution, tactic.rate);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  if (tactic.startYear !== undefined && !Number.isInteger(tactic.startYear)) {
+    throw new Error(`${name}: startYear must be a whole year`);
+  }
+  if (tactic.rampYears !== undefined && !(typeof tactic.rampYears === 'number' && tactic.rampYears >= 0)) {
+    throw new Error(`${name}: rampYears must be a number >= 0`);
+  }
+  if (tactic.decay !== undefined && !(typeof tactic.decay === 'number' && tactic.decay >= 0 && tactic.decay <= 1)) {
+    throw new Error(`${name}: decay must be a number between 0 and 1`);
+  }
+}
+
+// Adds a tactic, or replaces the one with the same id.
+export function registerTactic(tactic) {
+  validateTactic(tactic);
+  const entry = { description: '', ...tactic };
+  const index = tactics.findIndex((t) => t.id === tactic.id);
+  tactics = index === -1
+    ? [...tactics, entry]
+    : tactics.map((t, i) => (i === index ? entry : t));
+  notify();
+  return entry;
+}
+
+export function unregisterTactic(id) {
+  if (id === 'none') throw new Error('The "No Mitigation" baseline cannot be removed');
+  tactics = tactics.filter((t) => t.id !== id);
+  notify();
+}
+
+// All registered tactics, in registration order. The array is replaced (not
+// mutated) on every change.
+export function getTactics() {
+  return tactics;
+}
+
+export function getTactic(id) {
+  return tactics.find((t) => t.id === id) || null;
+}
+
+export function subscribeTactics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+BUILTIN_TACTICS.forEach(registerTactic);
+
+const plugins = import.meta.glob('./plugins/*.js', { eager: true });
+Object.entries(plugins).forEach(([path, module]) => {
+  const exported = module.default;
+  if (!exported) return;
+  (Array.isArray(exported) ? exported : [exported]).forEach((tactic) => {
+    try {
+      registerTactic(tactic);
+    } catch (err) {
+      console.error(`Skipping tactic from ${path}:`, err);
+    }
+  });
+});
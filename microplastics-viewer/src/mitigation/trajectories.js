@@ -0,0 +1,48 @@
+// src/mitigation/trajectories.js
+import { DEFAULT_PORTFOLIO, applyPortfolio } from './portfolio';
+import { BASE_YEAR } from './engine';
+
+// Year-by-year totals of a predicted load under different tactics, for the
+// trajectory charts.
+
+// A series per tactic on its own, for tactics that act (not 'none').
+export function tacticSeries(tactics) {
+  return tactics
+    .filter((t) => t.type !== 'none')
+    .map((t) => ({ id: t.id, label: t.label, tactics: [t], portfolio: DEFAULT_PORTFOLIO }));
+}
+
+// Area-weighted totals for every series in every frame.
+//   frames    [{ year, points: [{ lat, lon, basePred }] }], one per
+//             calendar year, unmitigated; tactics act on each as the
+//             engine has them act that year (counted from BASE_YEAR)
+//   series    [{ id, tactics, portfolio }]; no tactics is "No Mitigation"
+//   weight    (point) -> e.g. the cell area in km²
+//   groupsOf  (point) -> the keys of the totals the point counts towards,
+//             e.g. ['global', 'northPacific']
+// Returns { years, totals: { [group]: { [seriesId]: [total per year] } } }.
+export function trajectoryTotals(frames, series, weight, groupsOf) {
+  const totals = {};
+  frames.forEach((frame, f) => {
+    const years = frame.year - BASE_YEAR;
+    frame.points.forEach((point) => {
+      const amount = weight(point);
+      const groups = groupsOf(point);
+      series.forEach((s) => {
+        const value = applyPortfolio(point.basePred, s.tactics, s.portfolio, point.lat, point.lon, years) * amount;
+        groups.forEach((group) => {
+          totals[group] = totals[group] || {};
+          totals[group][s.id] = totals[group][s.id] || frames.map(() => 0);
+          totals[group][s.id][f] += value;
+        });
+      });
+    });
+  });
+  return { years: frames.map((frame) => frame.year), totals };
+}
+
+// First year whose total is at or below `threshold`, or null if none is.
+export function targetYear(years, totals, threshold) {
+  const index = totals.findIndex((total) => total <= threshold);
+  return index === -1 ? null : years[index];
+}
@@ -0,0 +1,200 @@
+// src/mitigation/uncertainty.js
+import { remainingFraction, tacticApplies } from './engine';
+import { combineReductions } from './portfolio';
+import { seededRandom, gaussian } from '../utils/random';
+
+// Uncertainty in how well tactics work. A tactic's optional
+// `rateDistribution` (see registry.js) describes the range its `rate` could
+// really take; `rate` stays the central estimate:
+//   { type: 'uniform', min, max }            any value in min..max
+//   { type: 'normal', sd, mean }             mean defaults to the rate
+//   { type: 'triangular', min, max, mode }   mode defaults to the rate
+// All values are fractions 0..1. Draws are clamped to 0..1. Tactics without
+// a distribution keep their rate in every draw.
+
+export const DISTRIBUTION_TYPES = [
+  { value: 'uniform', label: 'Uniform', params: ['min', 'max'] },
+  { value: 'normal', label: 'Normal', params: ['sd'] },
+  { value: 'triangular', label: 'Triangular', params: ['min', 'max'] },
+];
+
+export const MONTE_CARLO_DRAWS = [100, 250, 500, 1000];
+
+// Percentiles reported for every Monte Carlo output
+export const BAND = { low: 0.05, mid: 0.5, high: 0.95 };
+
+const PARAM_KEYS = ['min', 'max', 'mode', 'mean', 'sd'];
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Throws an Error describing the first problem with a rate distribution
+// for a tactic whose central rate is `rate`.
+export function validateRateDistribution(distribution, rate) {
+  if (!distribution || typeof distribution !== 'object') throw new Error('rateDistribution must be an object');
+  const type = DISTRIBUTION_TYPES.find((t) => t.value === distribution.type);
+  if (!type) {
+    throw new Error(`rateDistribution.type must be one of ${DISTRIBUTION_TYPES.map((t) => t.value).join(', ')}`);
+  }
+  Object.entries(distribution).forEach(([key, value]) => {
+    if (key === 'type') return;
+    if (!PARAM_KEYS.includes(key)) throw new Error(`unknown rateDistribution parameter "${key}"`);
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+      throw new Error(`rateDistribution.${key} must be a number between 0 and 1`);
+    }
+  });
+  type.params.forEach((key) => {
+    if (distribution[key] === undefined) throw new Error(`rateDistribution.${key} is required for a ${type.value} distribution`);
+  });
+  if (type.value !== 'normal') {
+    const { min, max, mode = rate } = distribution;
+    if (min > max) throw new Error('rateDistribution.min must not be above max');
+    if (rate < min || rate > max) throw new Error('the rate must lie between rateDistribution.min and max');
+    if (mode < min || mode > max) throw new Error('rateDistribution.mode must lie between min and max');
+  }
+}
+
+export function hasRateDistribution(tactic) {
+  return Boolean(tactic.rateDistribution);
+}
+
+// One random rate for `tactic`, using `random` (uniform numbers in [0, 1)).
+export function sampleRate(tactic, random) {
+  const d = tactic.rateDistribution;
+  if (!d) return tactic.rate;
+  if (d.type === 'uniform') return clamp(d.min + (d.max - d.min) * random());
+  if (d.type === 'normal') return clamp((d.mean ?? tactic.rate) + d.sd * gaussian(random));
+  // Triangular, by inverting its cumulative distribution
+  const mode = d.mode ?? tactic.rate;
+  const width = d.max - d.min;
+  if (width === 0) return d.min;
+  const u = random();
+  return u < (mode - d.min) / width
+    ? d.min + Math.sqrt(u * width * (mode - d.min))
+    : d.max - Math.sqrt((1 - u) * width * (d.max - mode));
+}
+
+// Short description of a tactic's rate and its spread, e.g. "20% (10–30%,
+// triangular)".
+export function describeRate(tactic) {
+  const d = tactic.rateDistribution;
+  if (!d) return `${percent(tactic.rate)} (fixed)`;
+  if (d.type === 'normal') return `${percent(d.mean ?? tactic.rate)} ± ${percent(d.sd)} (normal)`;
+  return `${percent(tactic.rate)} (${percent(d.min)}–${percent(d.max)}, ${d.type})`;
+}
+
+// Interpolated quantile of sorted numbers
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+const band = (sorted) => ({
+  low: quantile(sorted, BAND.low),
+  mid: quantile(sorted, BAND.mid),
+  high: quantile(sorted, BAND.high),
+});
+
+// Everything a Monte Carlo run needs, as plain data that can be posted to a
+// worker: tactic `applies` functions cannot be, so where each tactic acts is
+// worked out here, one flag per row. `value(row)` is the unmitigated value,
+// `weight(row)` e.g. the cell area and `inRegion(row)` optionally picks rows
+// for a second, regional total.
+export function monteCarloJob({ rows, value, weight, tactics, portfolio, years, draws, seed = 1, inRegion = null }) {
+  const kept = rows.filter((row) => value(row) !== null && value(row) > 0);
+  return {
+    lat: Float64Array.from(kept, (row) => row.lat),
+    lon: Float64Array.from(kept, (row) => row.lon),
+    value: Float64Array.from(kept, value),
+    weight: Float64Array.from(kept, weight),
+    inRegion: inRegion ? Uint8Array.from(kept, (row) => (inRegion(row) ? 1 : 0)) : null,
+    tactics: tactics.map((t) => ({
+      id: t.id,
+      type: t.type,
+      rate: t.rate,
+      startYear: t.startYear,
+      rampYears: t.rampYears,
+      decay: t.decay,
+      rateDistribution: t.rateDistribution,
+      mask: Uint8Array.from(kept, (row) => (tacticApplies(t, row.lat, row.lon) ? 1 : 0)),
+    })),
+    rule: portfolio.rule,
+    cap: portfolio.cap,
+    years,
+    draws,
+    seed,
+  };
+}
+
+// Runs `job.draws` draws of every tactic's rate and returns, per row, the
+// 5th, 50th and 95th percentile of the mitigated value, and the same
+// percentiles of the total reduction:
+//   { low, mid, high, reduction: { low, mid, high }, regionReduction }
+// The reductions are fractions of the unmitigated total; `regionReduction`
+// is null without a region. `onProgress(done)` is called after each draw.
+export function runMonteCarlo(job, onProgress = () => {}) {
+  const cells = job.value.length;
+  const random = seededRandom(job.seed);
+  // Tactics deployed everywhere they act, so only the rate varies per draw
+  const deployed = job.tactics.map((t) => ({
+    type: t.type,
+    rate: t.rate,
+    startYear: t.startYear,
+    rampYears: t.rampYears,
+    decay: t.decay,
+    rateDistribution: t.rateDistribution,
+    applies: () => true,
+  }));
+  const samples = new Float32Array(cells * job.draws);
+  const totals = new Float64Array(job.draws);
+  const regionTotals = new Float64Array(job.draws);
+  let before = 0;
+  let regionBefore = 0;
+  for (let i = 0; i < cells; i++) {
+    before += job.value[i] * job.weight[i];
+    if (job.inRegion?.[i]) regionBefore += job.value[i] * job.weight[i];
+  }
+
+  for (let d = 0; d < job.draws; d++) {
+    const drawn = deployed.map((t) => ({ ...t, rate: sampleRate(t, random) }));
+    for (let i = 0; i < cells; i++) {
+      const reductions = drawn.map((t, k) => (
+        job.tactics[k].mask[i] ? 1 - remainingFraction(t, job.lat[i], job.lon[i], job.years) : 0
+      ));
+      const after = job.value[i] * (1 - combineReductions(reductions, job.rule, job.cap));
+      samples[i * job.draws + d] = after;
+      totals[d] += after * job.weight[i];
+      if (job.inRegion?.[i]) regionTotals[d] += after * job.weight[i];
+    }
+    onProgress(d + 1);
+  }
+
+  const low = new Float32Array(cells);
+  const mid = new Float32Array(cells);
+  const high = new Float32Array(cells);
+  for (let i = 0; i < cells; i++) {
+    const sorted = samples.subarray(i * job.draws, (i + 1) * job.draws).sort();
+    low[i] = quantile(sorted, BAND.low);
+    mid[i] = quantile(sorted, BAND.mid);
+    high[i] = quantile(sorted, BAND.high);
+  }
+  const reductionBand = (after, total) => {
+    if (!(total > 0)) return null;
+    return band(Float64Array.from(after, (t) => 1 - t / total).sort());
+  };
+  return {
+    low,
+    mid,
+    high,
+    reduction: reductionBand(totals, before),
+    regionReduction: job.inRegion ? reductionBand(regionTotals, regionBefore) : null,
+  };
+}
+
+// e.g. "31% (18–44%)"
+export function formatBand({ low, mid, high }) {
+  return `${percent(mid)} (${percent(low)}–${percent(high)})`;
+}
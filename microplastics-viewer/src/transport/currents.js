@@ -0,0 +1,190 @@
+// src/transport/currents.js
+import { isLand } from '../mitigation/geography';
+
+// Surface-current fields for the transport simulation. A field is a regular
+// lon/lat grid of velocities at cell centres, stored row by row from the
+// south-west corner:
+//   { lonMin, latMin, dLon, dLat, cols, rows, u, v }
+// `u` is eastward and `v` northward, in m/s; land cells are 0.
+
+export const CURRENT_FIELDS = [
+  {
+    id: 'gyres',
+    label: 'Idealised gyres (built in)',
+    description: 'Wind-driven subtropical and subpolar gyres with western boundary currents, plus the Antarctic Circumpolar Current. A schematic stand-in, not observed currents.',
+  },
+  {
+    id: 'climatology',
+    label: 'Climatology file (/currents.json)',
+    description: 'A mean surface-current field in the format described in transport/currents.js, placed in the public folder.',
+  },
+];
+
+export const CLIMATOLOGY_URL = '/currents.json';
+export const CLIMATOLOGY_FORMAT = 'surface-currents';
+
+// Same grid as the Level 3 files and mitigation/geography.json
+export const LEVEL3_GRID = { lonMin: -180, latMin: -90, dLon: 5, dLat: 2, cols: 72, rows: 90 };
+
+const METRES_PER_DEGREE = 111320;
+
+// Rectangular gyres: `sense` 1 turns clockwise (northern subtropical
+// gyres), -1 anticlockwise. `speed` is the interior speed in m/s; the
+// western boundary current is several times faster. The gyre flow itself
+// neither gathers nor spreads plastic; `convergence` (m/s) adds the Ekman
+// drift towards the middle of the subtropical gyres that gathers floating
+// plastic into garbage patches.
+const GYRES = [
+  { name: 'North Atlantic subtropical', west: -80, east: -10, south: 10, north: 45, sense: 1, speed: 0.1, convergence: 0.03 },
+  { name: 'North Atlantic subpolar', west: -65, east: -5, south: 45, north: 65, sense: -1, speed: 0.08, convergence: 0 },
+  { name: 'South Atlantic subtropical', west: -50, east: 15, south: -40, north: -5, sense: -1, speed: 0.08, convergence: 0.03 },
+  { name: 'North Pacific subtropical', west: 125, east: 245, south: 10, north: 45, sense: 1, speed: 0.1, convergence: 0.03 },
+  { name: 'North Pacific subpolar', west: 140, east: 235, south: 45, north: 60, sense: -1, speed: 0.08, convergence: 0 },
+  { name: 'South Pacific subtropical', west: 150, east: 285, south: -45, north: -5, sense: -1, speed: 0.08, convergence: 0.03 },
+  { name: 'Indian Ocean subtropical', west: 40, east: 115, south: -40, north: -5, sense: -1, speed: 0.08, convergence: 0.03 },
+];
+
+// The five subtropical gyres, where floating plastic is known to collect
+export const SUBTROPICAL_GYRES = GYRES.filter((g) => g.name.endsWith('subtropical'));
+
+// Width of the western boundary layer, as a fraction of the gyre width
+const BOUNDARY_WIDTH = 0.05;
+// Where the convergence gathers plastic, as a fraction of the gyre width:
+// east of centre, like the observed garbage patches
+const PATCH_X = 0.65;
+const ACC = { south: -65, north: -40, speed: 0.15 };
+
+// Zonal shape of the stream function: zero at both edges, steep in the west
+const shapeX = (x) => (1 - x) * (1 - Math.exp(-x / BOUNDARY_WIDTH));
+const slopeX = (x) => -(1 - Math.exp(-x / BOUNDARY_WIDTH)) + ((1 - x) * Math.exp(-x / BOUNDARY_WIDTH)) / BOUNDARY_WIDTH;
+const SHAPE_MAX = Math.max(...Array.from({ length: 101 }, (_, i) => shapeX(i / 100)));
+
+// Position of (lat, lon) inside a gyre's box as x, y in 0..1, or null.
+export function gyreCoordinates(gyre, lat, lon) {
+  const width = gyre.east - gyre.west;
+  const x = ((((lon - gyre.west) % 360) + 360) % 360) / width;
+  const y = (lat - gyre.south) / (gyre.north - gyre.south);
+  return x <= 1 && y >= 0 && y <= 1 ? { x, y } : null;
+}
+
+// Velocity of the idealised field at a point: the sum of every gyre's
+// stream function psi = sense * A * shapeX(x) * sin(pi y), with
+// u = -dpsi/dy and v = dpsi/dx, their convergence, and the eastward
+// circumpolar current.
+function gyreVelocity(lat, lon) {
+  let u = 0;
+  let v = 0;
+  GYRES.forEach((gyre) => {
+    const at = gyreCoordinates(gyre, lat, lon);
+    if (!at) return;
+    const lengthY = (gyre.north - gyre.south) * METRES_PER_DEGREE;
+    const lengthX = (gyre.east - gyre.west) * METRES_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+    // Scaled so the interior zonal flow peaks at `speed`
+    const amplitude = (gyre.sense * gyre.speed * lengthY) / (Math.PI * SHAPE_MAX);
+    u -= (amplitude * shapeX(at.x) * Math.PI * Math.cos(Math.PI * at.y)) / lengthY;
+    v += (amplitude * slopeX(at.x) * Math.sin(Math.PI * at.y)) / lengthX;
+    u -= gyre.convergence * Math.sin(Math.PI * (at.x - PATCH_X)) * Math.sin(Math.PI * at.y);
+    v -= gyre.convergence * Math.sin(Math.PI * (at.y - 0.5)) * Math.sin(Math.PI * at.x);
+  });
+  if (lat > ACC.south && lat < ACC.north) {
+    u += ACC.speed * Math.sin((Math.PI * (lat - ACC.south)) / (ACC.north - ACC.south));
+  }
+  return [u, v];
+}
+
+let gyreField = null;
+
+// The idealised field on the Level 3 grid.
+export function idealisedGyres() {
+  if (!gyreField) {
+    const size = LEVEL3_GRID.cols * LEVEL3_GRID.rows;
+    const u = new Float32Array(size);
+    const v = new Float32Array(size);
+    for (let row = 0; row < LEVEL3_GRID.rows; row++) {
+      const lat = LEVEL3_GRID.latMin + (row + 0.5) * LEVEL3_GRID.dLat;
+      for (let col = 0; col < LEVEL3_GRID.cols; col++) {
+        const lon = LEVEL3_GRID.lonMin + (col + 0.5) * LEVEL3_GRID.dLon;
+        if (!isLand(lat, lon)) {
+          [u[row * LEVEL3_GRID.cols + col], v[row * LEVEL3_GRID.cols + col]] = gyreVelocity(lat, lon);
+        }
+      }
+    }
+    gyreField = { ...LEVEL3_GRID, u, v };
+  }
+  return gyreField;
+}
+
+// Throws an Error describing the first problem with a climatology file.
+export function validateCurrentField(field) {
+  if (!field || field.format !== CLIMATOLOGY_FORMAT) {
+    throw new Error(`the file is not a "${CLIMATOLOGY_FORMAT}" field`);
+  }
+  ['lonMin', 'latMin', 'dLon', 'dLat', 'cols', 'rows'].forEach((key) => {
+    if (!Number.isFinite(field[key])) throw new Error(`${key} must be a number`);
+  });
+  const size = field.cols * field.rows;
+  ['u', 'v'].forEach((key) => {
+    if (!Array.isArray(field[key]) || field[key].length !== size) {
+      throw new Error(`${key} must list cols x rows = ${size} values`);
+    }
+  });
+}
+
+// Fetches a climatological field from the public folder. Values may be
+// null over land.
+export async function loadCurrentClimatology(url = CLIMATOLOGY_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`No current climatology at ${url} (HTTP ${response.status})`);
+  }
+  let field;
+  try {
+    field = await response.json();
+  } catch {
+    throw new Error(`${url} is not valid JSON`);
+  }
+  try {
+    validateCurrentField(field);
+  } catch (err) {
+    throw new Error(`${url}: ${err.message}`);
+  }
+  return {
+    lonMin: field.lonMin,
+    latMin: field.latMin,
+    dLon: field.dLon,
+    dLat: field.dLat,
+    cols: field.cols,
+    rows: field.rows,
+    u: Float32Array.from(field.u, (value) => value ?? 0),
+    v: Float32Array.from(field.v, (value) => value ?? 0),
+  };
+}
+
+export function loadCurrentField(id) {
+  return id === 'climatology' ? loadCurrentClimatology() : Promise.resolve(idealisedGyres());
+}
+
+// Bilinear interpolation between cell centres; longitudes wrap around.
+// Returns [u, v] in m/s.
+export function velocityAt(field, lat, lon) {
+  const fx = (lon - field.lonMin) / field.dLon - 0.5;
+  const fy = Math.min(Math.max((lat - field.latMin) / field.dLat - 0.5, 0), field.rows - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.min(Math.floor(fy), field.rows - 2);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const c0 = ((x0 % field.cols) + field.cols) % field.cols;
+  const c1 = (c0 + 1) % field.cols;
+  const i00 = y0 * field.cols + c0;
+  const i01 = y0 * field.cols + c1;
+  const i10 = i00 + field.cols;
+  const i11 = i01 + field.cols;
+  const w00 = (1 - tx) * (1 - ty);
+  const w01 = tx * (1 - ty);
+  const w10 = (1 - tx) * ty;
+  const w11 = tx * ty;
+  return [
+    field.u[i00] * w00 + field.u[i01] * w01 + field.u[i10] * w10 + field.u[i11] * w11,
+    field.v[i00] * w00 + field.v[i01] * w01 + field.v[i10] * w10 + field.v[i11] * w11,
+  ];
+}
@@ -0,0 +1,338 @@
+// src/transport/simulation.js
+import { LEVEL3_GRID, SUBTROPICAL_GYRES, gyreCoordinates, velocityAt } from './currents';
+import { RIVER_MOUTHS, geographyAt, isLand } from '../mitigation/geography';
+import { portfolioEffect } from '../mitigation/portfolio';
+import { cellAreaKm2 } from '../utils/regions';
+import { haversineKm } from '../utils/geo';
+import { gaussian, seededRandom } from '../utils/random';
+
+// Lagrangian transport of floating plastic. Particles, each standing for a
+// number of pieces, drift with a surface-current field (see currents.js)
+// plus random eddy diffusion. Sources release new particles at river
+// mouths and along coasts; sinks remove plastic by beaching, sinking and
+// cleanup. The concentration field (pieces/km² on the Level 3 grid) is
+// recorded once per simulated month.
+//
+// Mitigation tactics act through the sources and sinks instead of a
+// per-cell multiplier: per-year tactics clean up their rate of the plastic
+// where they apply every year, and one-time tactics (bans, legislation)
+// cut what the sources there release by their rate. Both follow the
+// engine's schedule (start year, ramp-up and decay), worked out again at
+// the start of every simulated year.
+
+export const INITIAL_CONDITIONS = [
+  { value: 'level3', label: 'Level 3 field (today)' },
+  { value: 'empty', label: 'Empty ocean (sources only)' },
+];
+
+// Source rates are a share of today's Level 3 load per year, so they keep
+// their meaning whichever initial condition is used.
+export const DEFAULT_TRANSPORT = {
+  currents: 'gyres',
+  initial: 'level3',
+  years: 10,
+  particlesPerCell: 4,
+  riverInput: 2, // % of the Level 3 load per year, split over the river mouths
+  coastInput: 1, // % of the Level 3 load per year, spread along the coasts
+  beaching: 10, // % chance that a particle reaching land stays there
+  sinking: 5, // % of floating plastic per year
+  seed: 1,
+};
+
+export const MAX_YEARS = 20;
+
+const DIFFUSIVITY = 1000; // horizontal eddy diffusivity, m²/s
+const DAYS_PER_MONTH = 365.25 / 12;
+const STEPS_PER_MONTH = 15;
+const RIVER_PARTICLES_PER_MONTH = 2;
+const COAST_PARTICLES_PER_MONTH = 40;
+const COAST_SOURCE_KM = 200;
+const METRES_PER_DEGREE = 111320;
+const SECONDS_PER_DAY = 86400;
+// Keeps the longitude step finite next to the poles
+const MIN_COS_LAT = 0.05;
+
+const GRID = LEVEL3_GRID;
+const CELL_SIZE = { dLat: GRID.dLat, dLon: GRID.dLon };
+
+const wrapLon = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+function cellIndex(lat, lon) {
+  const row = Math.min(Math.max(Math.floor((lat - GRID.latMin) / GRID.dLat), 0), GRID.rows - 1);
+  const col = Math.min(Math.floor((wrapLon(lon) - GRID.lonMin) / GRID.dLon), GRID.cols - 1);
+  return row * GRID.cols + col;
+}
+
+function cellCentre(index) {
+  return {
+    lat: GRID.latMin + (Math.floor(index / GRID.cols) + 0.5) * GRID.dLat,
+    lon: GRID.lonMin + ((index % GRID.cols) + 0.5) * GRID.dLon,
+  };
+}
+
+const CELL_COUNT = GRID.cols * GRID.rows;
+const CELL_AREAS = Float64Array.from({ length: CELL_COUNT }, (_, i) => cellAreaKm2(cellCentre(i).lat, CELL_SIZE));
+const OCEAN_CELLS = Array.from({ length: CELL_COUNT }, (_, i) => i).filter((i) => {
+  const { lat, lon } = cellCentre(i);
+  return !isLand(lat, lon);
+});
+
+// Centre of the ocean cell nearest to a point (river mouths often fall in
+// cells that are mostly land at this resolution)
+function nearestOcean(lat, lon) {
+  let best = null;
+  let bestKm = Infinity;
+  OCEAN_CELLS.forEach((i) => {
+    const centre = cellCentre(i);
+    const km = haversineKm(lat, lon, centre.lat, centre.lon);
+    if (km < bestKm) {
+      best = centre;
+      bestKm = km;
+    }
+  });
+  return best;
+}
+
+const COAST_CELLS = OCEAN_CELLS.filter((i) => {
+  const { lat, lon } = cellCentre(i);
+  return geographyAt(lat, lon).coastKm <= COAST_SOURCE_KM;
+});
+
+// A random point in the cell centred on (lat, lon), or the centre if the
+// point drawn is on land
+function jitter(random, lat, lon) {
+  const pLat = lat + (random() - 0.5) * GRID.dLat;
+  const pLon = wrapLon(lon + (random() - 0.5) * GRID.dLon);
+  return isLand(pLat, pLon) ? { lat, lon } : { lat: pLat, lon: pLon };
+}
+
+// Fraction of the floating mass that lies inside the subtropical gyre boxes
+function gyreShare(state) {
+  let inside = 0;
+  let total = 0;
+  for (let i = 0; i < state.lat.length; i++) {
+    const w = state.weight[i];
+    total += w;
+    if (SUBTROPICAL_GYRES.some((gyre) => gyreCoordinates(gyre, state.lat[i], state.lon[i]))) inside += w;
+  }
+  return total > 0 ? inside / total : 0;
+}
+
+// { cleanup(lat, lon, year), sourceFactor(lat, lon, year) } for a
+// mitigation portfolio (see mitigation/portfolio.js): the fraction removed
+// there during the simulated year `year` (0 is BASE_YEAR), and the share of
+// the sources there still released that year. The cleanup is what takes the
+// engine's remaining fraction from `year` to `year + 1`.
+export function transportMitigation(tactics, portfolio) {
+  const perYear = tactics.filter((t) => t.type === 'perYear');
+  const oneTime = tactics.filter((t) => t.type === 'oneTime');
+  return {
+    cleanup: (lat, lon, year) => {
+      const left = 1 - portfolioEffect(perYear, portfolio, lat, lon, year).reduction;
+      const next = 1 - portfolioEffect(perYear, portfolio, lat, lon, year + 1).reduction;
+      return left > 0 ? 1 - next / left : 1;
+    },
+    sourceFactor: (lat, lon, year) => 1 - portfolioEffect(oneTime, portfolio, lat, lon, year).reduction,
+  };
+}
+
+// Sets the cleanup rate and source factor of every grid cell for the
+// simulated year `year`
+function scheduleMitigation(state, year) {
+  const { mitigation } = state;
+  for (let i = 0; i < CELL_COUNT; i++) {
+    const { lat, lon } = cellCentre(i);
+    const fraction = Math.min(Math.max(mitigation.cleanup(lat, lon, year), 0), 0.999999);
+    state.cleanupRate[i] = -Math.log(1 - fraction) / 365.25;
+    state.sourceFactor[i] = mitigation.sourceFactor(lat, lon, year);
+  }
+}
+
+function addParticle(state, lat, lon, weight) {
+  state.lat.push(lat);
+  state.lon.push(lon);
+  state.weight.push(weight);
+}
+
+// A new simulation at month 0.
+//   rows: Level 3 records ({ lat, lon, level3p }), the initial condition and
+//     the reference load for the source rates
+//   field: surface currents (currents.js)
+//   settings: see DEFAULT_TRANSPORT
+//   mitigation: see transportMitigation; none by default
+export function createTransport(rows, field, settings, mitigation = null) {
+  const random = seededRandom(settings.seed);
+  const state = {
+    field,
+    settings,
+    random,
+    month: 0,
+    lat: [],
+    lon: [],
+    weight: [],
+    budget: { initial: 0, added: 0, beached: 0, sunk: 0, removed: 0 },
+    mitigation: mitigation || { cleanup: () => 0, sourceFactor: () => 1 },
+    // Removal rate per day and share of the sources released, per grid
+    // cell, in the current simulated year
+    cleanupRate: new Float64Array(CELL_COUNT),
+    sourceFactor: new Float64Array(CELL_COUNT),
+    sinkingRate: -Math.log(1 - Math.min(settings.sinking / 100, 0.999999)) / 365.25,
+    rivers: RIVER_MOUTHS.map((river) => nearestOcean(river.lat, river.lon)),
+  };
+
+  let load = 0;
+  rows.forEach((row) => {
+    if (!(row.level3p > 0)) return;
+    const pieces = row.level3p * cellAreaKm2(row.lat, CELL_SIZE);
+    load += pieces;
+    if (settings.initial !== 'level3') return;
+    for (let k = 0; k < settings.particlesPerCell; k++) {
+      const at = jitter(random, row.lat, row.lon);
+      addParticle(state, at.lat, at.lon, pieces / settings.particlesPerCell);
+    }
+  });
+  state.referenceLoad = load;
+  state.budget.initial = settings.initial === 'level3' ? load : 0;
+  scheduleMitigation(state, 0);
+  return state;
+}
+
+// Releases a source particle near (lat, lon), less what mitigation cuts there
+function releaseAt(state, lat, lon, weight) {
+  const at = jitter(state.random, lat, lon);
+  const released = weight * state.sourceFactor[cellIndex(lat, lon)];
+  if (released <= 0) return;
+  addParticle(state, at.lat, at.lon, released);
+  state.budget.added += released;
+}
+
+function release(state) {
+  const { settings, random, referenceLoad } = state;
+  const riverMonthly = (referenceLoad * settings.riverInput) / 100 / 12;
+  const coastMonthly = (referenceLoad * settings.coastInput) / 100 / 12;
+  if (riverMonthly > 0) {
+    const weight = riverMonthly / (state.rivers.length * RIVER_PARTICLES_PER_MONTH);
+    state.rivers.forEach((mouth) => {
+      for (let k = 0; k < RIVER_PARTICLES_PER_MONTH; k++) releaseAt(state, mouth.lat, mouth.lon, weight);
+    });
+  }
+  if (coastMonthly > 0 && COAST_CELLS.length) {
+    const weight = coastMonthly / COAST_PARTICLES_PER_MONTH;
+    for (let k = 0; k < COAST_PARTICLES_PER_MONTH; k++) {
+      const centre = cellCentre(COAST_CELLS[Math.floor(random() * COAST_CELLS.length)]);
+      releaseAt(state, centre.lat, centre.lon, weight);
+    }
+  }
+}
+
+// Moves every particle by one time step: midpoint (RK2) advection plus a
+// random walk for diffusion, then applies the sinks.
+function step(state, days) {
+  const { field, random, budget, cleanupRate, sinkingRate } = state;
+  const seconds = days * SECONDS_PER_DAY;
+  const spread = Math.sqrt(2 * DIFFUSIVITY * seconds);
+  const beachChance = state.settings.beaching / 100;
+  const { lat, lon, weight } = state;
+
+  for (let i = 0; i < lat.length; i++) {
+    if (weight[i] === 0) continue;
+    const lat0 = lat[i];
+    const lon0 = lon[i];
+    const [u1, v1] = velocityAt(field, lat0, lon0);
+    const cos0 = Math.max(Math.cos((lat0 * Math.PI) / 180), MIN_COS_LAT);
+    const midLat = lat0 + (0.5 * v1 * seconds) / METRES_PER_DEGREE;
+    const midLon = lon0 + (0.5 * u1 * seconds) / (METRES_PER_DEGREE * cos0);
+    const [u2, v2] = velocityAt(field, midLat, midLon);
+    const cosMid = Math.max(Math.cos((midLat * Math.PI) / 180), MIN_COS_LAT);
+    const nextLat = Math.min(Math.max(
+      lat0 + (v2 * seconds + spread * gaussian(random)) / METRES_PER_DEGREE,
+      -89.9
+    ), 89.9);
+    const nextLon = wrapLon(lon0 + (u2 * seconds + spread * gaussian(random)) / (METRES_PER_DEGREE * cosMid));
+
+    if (isLand(nextLat, nextLon)) {
+      // Washed ashore, or held back at the coast until the flow turns
+      if (random() < beachChance) {
+        budget.beached += weight[i];
+        weight[i] = 0;
+        continue;
+      }
+    } else {
+      lat[i] = nextLat;
+      lon[i] = nextLon;
+    }
+
+    const cleanup = cleanupRate[cellIndex(lat[i], lon[i])];
+    const lost = weight[i] * (1 - Math.exp(-(sinkingRate + cleanup) * days));
+    if (lost > 0) {
+      budget.sunk += (lost * sinkingRate) / (sinkingRate + cleanup);
+      budget.removed += (lost * cleanup) / (sinkingRate + cleanup);
+      weight[i] -= lost;
+    }
+  }
+}
+
+// Drops particles that have left the ocean
+function compact(state) {
+  const keep = state.weight.map((w, i) => (w > 0 ? i : -1)).filter((i) => i >= 0);
+  state.lat = keep.map((i) => state.lat[i]);
+  state.lon = keep.map((i) => state.lon[i]);
+  state.weight = keep.map((i) => state.weight[i]);
+}
+
+// The state as a frame: { month, values, afloat, budget, gyreShare, particles }
+// `values` holds pieces/km² for every Level 3 grid cell (see cellCentre).
+export function snapshot(state) {
+  const values = new Float32Array(CELL_COUNT);
+  let afloat = 0;
+  for (let i = 0; i < state.lat.length; i++) {
+    values[cellIndex(state.lat[i], state.lon[i])] += state.weight[i];
+    afloat += state.weight[i];
+  }
+  for (let c = 0; c < CELL_COUNT; c++) values[c] /= CELL_AREAS[c];
+  return {
+    month: state.month,
+    values,
+    afloat,
+    budget: { ...state.budget },
+    gyreShare: gyreShare(state),
+    particles: state.lat.length,
+  };
+}
+
+// Advances the simulation by one month: releases the month's sources, then
+// steps the particles. Mitigation moves on to the next year's schedule at
+// every year boundary.
+export function advanceMonth(state) {
+  release(state);
+  for (let s = 0; s < STEPS_PER_MONTH; s++) step(state, DAYS_PER_MONTH / STEPS_PER_MONTH);
+  compact(state);
+  state.month += 1;
+  if (state.month % 12 === 0) scheduleMitigation(state, Math.floor(state.month / 12));
+}
+
+// Runs `months` months and returns every frame, the initial one included.
+// Yields to the browser between months; `onProgress(fraction)` reports
+// progress and `shouldStop()` returning true abandons the run (the promise
+// then resolves to null).
+export async function runTransport(state, months, { onProgress, shouldStop } = {}) {
+  const frames = [snapshot(state)];
+  for (let m = 0; m < months; m++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (shouldStop && shouldStop()) return null;
+    advanceMonth(state);
+    frames.push(snapshot(state));
+    if (onProgress) onProgress((m + 1) / months);
+  }
+  return frames;
+}
+
+// Cell centres of the frame values, as { lat, lon, val } points for
+// DataLayer. Empty cells are left out.
+export function framePoints(values) {
+  const points = [];
+  for (let c = 0; c < CELL_COUNT; c++) {
+    if (values[c] > 0) points.push({ ...cellCentre(c), val: values[c] });
+  }
+  return points;
+}
@@ -0,0 +1,100 @@
+// src/utils/aiModel.js
+import * as tf from "@tensorflow/tfjs";
+
+// Both AI pages train their model in workers/modelTraining.worker.js and
+// keep it in IndexedDB, which (unlike localStorage) workers can reach.
+
+// Model trained on the AI Predictions page: [lat, lon] -> Level 3p (pieces/km²).
+export const MODEL_URL = "indexeddb://microplastics-model";
+
+let modelPromise = null;
+const listeners = new Set();
+
+// The saved model, or null if none has been trained in this browser yet.
+// A missing model is not cached, so one trained later is picked up; a
+// retrained one after forgetSavedModel.
+export function loadSavedModel() {
+  if (!modelPromise) {
+    modelPromise = tf.io
+      .listModels()
+      .then((models) => (models[MODEL_URL] ? tf.loadLayersModel(MODEL_URL) : null))
+      .catch((err) => {
+        console.error("Error loading saved model:", err);
+        return null;
+      })
+      .then((model) => {
+        if (!model) modelPromise = null;
+        return model;
+      });
+  }
+  return modelPromise;
+}
+
+// Drops the cached saved model once it has been retrained, and tells the
+// subscribers to load it again.
+export function forgetSavedModel() {
+  const stale = modelPromise;
+  modelPromise = null;
+  listeners.forEach((listener) => listener());
+  if (stale) {
+    stale.then((model) => {
+      if (model) model.dispose();
+    });
+  }
+}
+
+export function subscribeSavedModel(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function predictAt(model, lat, lon) {
+  return tf.tidy(() => model.predict(tf.tensor2d([[lat, lon]])).dataSync()[0]);
+}
+
+// Model trained on the Yearly Heatmap page: [lat, lon, year] -> Level 3p.
+// Bump the version when its inputs or architecture change so an old saved
+// model is not reused.
+export const YEAR_MODEL_VERSION = "v3";
+export const YEAR_MODEL_URL = `indexeddb://microplastics-model-${YEAR_MODEL_VERSION}`;
+
+// How each model is trained: `features` inputs per row, and the fit options.
+// Plain data, so it can be posted to the training worker.
+export const MODEL_SPEC = { url: MODEL_URL, features: 2, epochs: 50, batchSize: 32 };
+export const YEAR_MODEL_SPEC = { url: YEAR_MODEL_URL, features: 3, epochs: 30, batchSize: 64 };
+
+// Untrained model with `features` inputs, compiled for training.
+export function createModel(features) {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ units: 32, activation: "relu", inputShape: [features] }));
+  model.add(tf.layers.dense({ units: 16, activation: "relu" }));
+  model.add(tf.layers.dense({ units: 1 }));
+  compileModel(model);
+  return model;
+}
+
+export function compileModel(model) {
+  model.compile({
+    optimizer: tf.train.adam(),
+    loss: "meanSquaredError",
+    metrics: ["mae"],
+  });
+}
+
+// Spacing (degrees) of the grid the year model is evaluated on
+export const PREDICTION_STEP = 10;
+
+// Predictions of the year model for `targetYear` on a PREDICTION_STEP grid
+// covering `box` ({ minLat, maxLat, minLon, maxLon }), as
+// [{ lat, lon, basePred }] before any mitigation. `predict(inputs)` runs the
+// model on rows of inputs, e.g. useModelWorker's predict.
+export async function predictYearGrid(predict, box, targetYear) {
+  const inputs = [];
+  for (let lon = Math.floor(box.minLon); lon <= Math.ceil(box.maxLon); lon += PREDICTION_STEP) {
+    for (let lat = Math.floor(box.minLat); lat <= Math.ceil(box.maxLat); lat += PREDICTION_STEP) {
+      inputs.push([lat, lon, targetYear]);
+    }
+  }
+  const output = await predict(inputs);
+  return inputs.map(([lat, lon], idx) => ({ lat, lon, basePred: output[idx] }));
+}
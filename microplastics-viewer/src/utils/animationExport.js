@@ -0,0 +1,96 @@
+// src/utils/animationExport.js
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { zipSync } from 'fflate';
+
+// Encoders for a list of rendered frames (canvases of the same size).
+
+export const EXPORT_FORMATS = [
+  { value: 'gif', label: 'Animated GIF', extension: 'gif' },
+  { value: 'webm', label: 'WebM video', extension: 'webm' },
+  { value: 'png', label: 'PNG frames (zip)', extension: 'zip' },
+];
+
+export function encodeGif(frames, delayMs) {
+  const gif = GIFEncoder();
+  frames.forEach((canvas) => {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    const palette = quantize(data, 256);
+    gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay: delayMs });
+  });
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
+
+function webmMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) => MediaRecorder.isTypeSupported(type))
+    || null;
+}
+
+export function webmSupported() {
+  return webmMimeType() !== null;
+}
+
+// Plays the frames onto a canvas stream and records it, so this takes
+// frames × delay in real time.
+export function encodeWebm(frames, delayMs) {
+  const mimeType = webmMimeType();
+  if (!mimeType) {
+    return Promise.reject(new Error('This browser cannot record WebM video.'));
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = frames[0].width;
+  canvas.height = frames[0].height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(frames[0], 0, 0);
+
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+
+  return new Promise((resolve, reject) => {
+    recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+    recorder.onerror = (e) => reject(e.error || new Error('WebM recording failed.'));
+    recorder.start();
+
+    let index = 0;
+    const next = () => {
+      if (index === frames.length) {
+        recorder.stop();
+        return;
+      }
+      ctx.drawImage(frames[index], 0, 0);
+      if (track.requestFrame) track.requestFrame();
+      index += 1;
+      setTimeout(next, delayMs);
+    };
+    next();
+  });
+}
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Could not encode PNG frame.'));
+        return;
+      }
+      blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/png');
+  });
+}
+
+// `names` gives the file name of each frame inside the zip.
+export async function zipPngFrames(frames, names) {
+  const files = {};
+  for (let i = 0; i < frames.length; i++) {
+    // PNGs are already compressed; store them as-is
+    files[names[i]] = [await canvasToPng(frames[i]), { level: 0 }];
+  }
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
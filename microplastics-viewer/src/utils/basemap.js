@@ -0,0 +1,136 @@
+// src/utils/basemap.js
+import { feature, mesh } from 'topojson-client';
+import land110m from 'world-atlas/land-110m.json';
+
+// Basemaps offered on every map. 'auto' shows online tiles and falls back to
+// the bundled vector basemap when they cannot be loaded.
+export const BASEMAPS = [
+  { value: 'auto', label: 'Auto (tiles, offline fallback)' },
+  { value: 'tiles', label: 'OpenStreetMap tiles (online)' },
+  { value: 'offline', label: 'Offline vector basemap' },
+];
+
+export const DEFAULT_BASEMAP = 'auto';
+
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const TILE_ATTRIBUTION = 'Map data © <a href="https://openstreetmap.org">OpenStreetMap</a> contributors';
+
+// Failed tiles tolerated in 'auto' mode before switching to the offline basemap
+export const TILE_ERROR_LIMIT = 3;
+
+// world-atlas coordinates are spherical: lines jump from +180 to -180 where
+// they cross the antimeridian, which draws as a streak across a flat map.
+// Make every line continuous instead (longitudes may run past ±180), and add
+// a copy shifted by 360° so the overhanging part shows on the other side.
+function unwrap(line) {
+  const out = [line[0]];
+  for (let i = 1; i < line.length; i++) {
+    const prev = out[i - 1][0];
+    let lon = line[i][0];
+    while (lon - prev > 180) lon -= 360;
+    while (lon - prev < -180) lon += 360;
+    out.push([lon, line[i][1]]);
+  }
+  return out;
+}
+
+const shiftLine = (line, dLon) => line.map(([lon, lat]) => [lon + dLon, lat]);
+
+function wrapShifts(line) {
+  const lons = line.map(([lon]) => lon);
+  const shifts = [0];
+  if (Math.max(...lons) > 180) shifts.push(-360);
+  if (Math.min(...lons) < -180) shifts.push(360);
+  return shifts;
+}
+
+// An unwrapped ring around a pole (Antarctica) ends 360° from where it
+// started; close it along the pole so it encloses the right side.
+function closeAroundPole(ring) {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (Math.abs(last[0] - first[0]) < 180) return ring;
+  const poleLat = first[1] < 0 ? -90 : 90;
+  return [...ring, [last[0], poleLat], [first[0], poleLat], first];
+}
+
+function planarPolygons(multiPolygon) {
+  return multiPolygon.flatMap((rings) => {
+    const [outer, ...holes] = rings.map((ring) => closeAroundPole(unwrap(ring)));
+    return wrapShifts(outer).map((dLon) => [outer, ...holes].map((ring) => shiftLine(ring, dLon)));
+  });
+}
+
+function planarLines(multiLine) {
+  return multiLine.flatMap((line) => {
+    const continuous = unwrap(line);
+    return wrapShifts(continuous).map((dLon) => shiftLine(continuous, dLon));
+  });
+}
+
+// Land polygons and coastlines from Natural Earth 1:110m (world-atlas), as
+// GeoJSON geometries in plain lon/lat that can be drawn on a flat map.
+let geometry = null;
+
+export function worldGeometry() {
+  if (!geometry) {
+    const land = feature(land110m, land110m.objects.land);
+    const polygons = land.features.flatMap((f) => (
+      f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates
+    ));
+    geometry = {
+      land: { type: 'MultiPolygon', coordinates: planarPolygons(polygons) },
+      coastlines: { type: 'MultiLineString', coordinates: planarLines(mesh(land110m, land110m.objects.land).coordinates) },
+    };
+  }
+  return geometry;
+}
+
+// Lines of latitude and longitude every `step` degrees, as a GeoJSON MultiLineString.
+// Latitudes stop at ±85 where Web Mercator ends.
+export function graticule(step = 30) {
+  const lines = [];
+  for (let lon = -180; lon <= 180; lon += step) {
+    lines.push([[lon, -85], [lon, 85]]);
+  }
+  for (let lat = -90 + step; lat < 90; lat += step) {
+    const line = [];
+    for (let lon = -180; lon <= 180; lon += 10) line.push([lon, lat]);
+    lines.push(line);
+  }
+  return { type: 'MultiLineString', coordinates: lines };
+}
+
+// The chosen basemap is shared by every map and remembered between visits.
+const STORAGE_KEY = 'basemap';
+const listeners = new Set();
+
+function readPreference() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return BASEMAPS.some((b) => b.value === stored) ? stored : DEFAULT_BASEMAP;
+  } catch {
+    return DEFAULT_BASEMAP;
+  }
+}
+
+let preference = readPreference();
+
+export function getBasemap() {
+  return preference;
+}
+
+export function setBasemap(value) {
+  preference = value;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, value);
+  } catch {
+    // storage unavailable (private mode); keep the choice for this session
+  }
+  listeners.forEach((listener) => listener(value));
+}
+
+export function subscribeBasemap(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,188 @@
+// src/utils/colorScales.js
+import * as d3 from 'd3-scale';
+import {
+  interpolateYlOrRd,
+  interpolateViridis,
+  interpolateCividis,
+  interpolateInferno,
+  interpolateBlues,
+  interpolateRdBu,
+  interpolatePuOr,
+  interpolateBrBG,
+  schemeTableau10,
+} from 'd3-scale-chromatic';
+
+// Colour scales shared by every map, and the legend description that
+// MapLegend renders for them.
+
+export const PALETTES = [
+  { id: 'YlOrRd', label: 'Yellow–Orange–Red', kind: 'sequential', interpolator: interpolateYlOrRd },
+  { id: 'Viridis', label: 'Viridis (colorblind-safe)', kind: 'sequential', interpolator: interpolateViridis },
+  { id: 'Cividis', label: 'Cividis (colorblind-safe)', kind: 'sequential', interpolator: interpolateCividis },
+  { id: 'Inferno', label: 'Inferno (colorblind-safe)', kind: 'sequential', interpolator: interpolateInferno },
+  { id: 'Blues', label: 'Blues', kind: 'sequential', interpolator: interpolateBlues },
+  // Diverging palettes run low -> high, so RdBu is flipped to put red on the high side
+  { id: 'BuRd', label: 'Blue–Red (diverging)', kind: 'diverging', interpolator: (t) => interpolateRdBu(1 - t) },
+  { id: 'PuOr', label: 'Purple–Orange (diverging, colorblind-safe)', kind: 'diverging', interpolator: (t) => interpolatePuOr(1 - t) },
+  { id: 'BrBG', label: 'Brown–Teal (diverging, colorblind-safe)', kind: 'diverging', interpolator: interpolateBrBG },
+];
+
+export const SCALE_TYPES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'log', label: 'Logarithmic' },
+  { value: 'quantile', label: 'Quantile classes' },
+  { value: 'threshold', label: 'Threshold classes' },
+];
+
+export const DEFAULT_COLOR_SETTINGS = {
+  type: 'linear',
+  palette: 'YlOrRd',
+  classes: 5,
+  pinned: false,
+  domain: [0, 1],
+};
+
+// For differences: a diverging palette on a domain centred on zero, so
+// increases and decreases of the same size get equally strong colours
+export const DIFFERENCE_COLOR_SETTINGS = {
+  ...DEFAULT_COLOR_SETTINGS,
+  palette: 'BuRd',
+  centered: true,
+};
+
+// Line colours for charts with many series; reuse them in order, dashing
+// the second round
+export const SERIES_COLORS = schemeTableau10;
+
+export function getPalette(id) {
+  return PALETTES.find((p) => p.id === id) || PALETTES[0];
+}
+
+// Domain used when nothing is pinned: [0, max] for non-negative data (so
+// colours stay anchored at zero, as the maps always did), otherwise [min, max].
+// Log scales start at the smallest positive value instead, and `centered`
+// domains run from -m to m, where m is the largest absolute value.
+export function autoDomain(values, type = 'linear', centered = false) {
+  let min = Infinity;
+  let max = -Infinity;
+  let minPositive = Infinity;
+  values.forEach((v) => {
+    if (v === null || Number.isNaN(v)) return;
+    if (v < min) min = v;
+    if (v > max) max = v;
+    if (v > 0 && v < minPositive) minPositive = v;
+  });
+  if (!Number.isFinite(max)) return [0, 1];
+  if (type === 'log') {
+    return Number.isFinite(minPositive) ? [minPositive, Math.max(max, minPositive)] : [1, 10];
+  }
+  if (centered) {
+    const extent = Math.max(Math.abs(min), Math.abs(max));
+    return extent > 0 ? [-extent, extent] : [-1, 1];
+  }
+  return [Math.min(min, 0), max];
+}
+
+// Legend description for a continuous scale. `toOffset` / `fromOffset` map
+// between data values and positions (0..1) along the colour bar.
+function continuousLegend(color, domain, { toOffset, fromOffset, ticks }) {
+  const inside = ticks.filter((t) => t > domain[0] && t < domain[1]);
+  return {
+    kind: 'continuous',
+    domain,
+    stops: Array.from({ length: 11 }, (_, i) => ({
+      offset: i / 10,
+      color: color(fromOffset(i / 10)),
+    })),
+    ticks: [domain[0], ...inside, domain[1]].map((value) => ({ value, offset: toOffset(value) })),
+  };
+}
+
+function classColors(interpolator, count) {
+  return Array.from({ length: count }, (_, i) => interpolator(count === 1 ? 1 : i / (count - 1)));
+}
+
+function classLegend(colors, edges) {
+  return {
+    kind: 'classes',
+    bins: colors.map((color, i) => ({ color, from: edges[i], to: edges[i + 1] })),
+  };
+}
+
+function powersOfTen(lo, hi) {
+  const result = [];
+  for (let e = Math.ceil(Math.log10(lo)); e <= Math.floor(Math.log10(hi)); e++) {
+    result.push(10 ** e);
+  }
+  return result;
+}
+
+// Builds { scale, legend, domain } for the given settings.
+//   values: the data being drawn (used for quantiles and the automatic domain)
+//   settings: { type, palette, classes, pinned, domain, centered }
+// `scale(value)` always returns a colour; values outside the domain are clamped.
+export function buildColorScale(values, settings = DEFAULT_COLOR_SETTINGS) {
+  const palette = getPalette(settings.palette);
+  const { interpolator } = palette;
+  const classes = Math.max(2, Math.min(settings.classes || 5, 9));
+  const [min, max] = settings.pinned ? settings.domain : autoDomain(values, settings.type, settings.centered);
+  const domain = [min, max > min ? max : min + 1];
+
+  if (settings.type === 'log') {
+    const lo = domain[0] > 0 ? domain[0] : 1e-6;
+    const hi = Math.max(domain[1], lo * 10);
+    const log = d3.scaleSequentialLog(interpolator).domain([lo, hi]).clamp(true);
+    // zero and negative values take the lowest colour
+    const scale = (v) => log(v > 0 ? v : lo);
+    const span = Math.log(hi / lo);
+    const legend = continuousLegend(scale, [lo, hi], {
+      toOffset: (v) => Math.log(v / lo) / span,
+      fromOffset: (t) => lo * Math.exp(t * span),
+      ticks: powersOfTen(lo, hi),
+    });
+    return { scale, legend, domain: [lo, hi] };
+  }
+
+  if (settings.type === 'quantile') {
+    const finite = values.filter((v) => v !== null && !Number.isNaN(v));
+    const sample = finite.length ? finite : domain;
+    const colors = classColors(interpolator, classes);
+    const scale = d3.scaleQuantile().domain(sample).range(colors);
+    const edges = [Math.min(...sample), ...scale.quantiles(), Math.max(...sample)];
+    return { scale, legend: classLegend(colors, edges), domain };
+  }
+
+  if (settings.type === 'threshold') {
+    const breaks = d3.scaleLinear().domain(domain).ticks(classes)
+      .filter((t) => t > domain[0] && t < domain[1]);
+    const colors = classColors(interpolator, breaks.length + 1);
+    const scale = d3.scaleThreshold().domain(breaks).range(colors);
+    return { scale, legend: classLegend(colors, [domain[0], ...breaks, domain[1]]), domain };
+  }
+
+  const ticks = d3.scaleLinear().domain(domain).ticks(4);
+
+  // Diverging palettes centre on zero when the domain spans it
+  if (palette.kind === 'diverging') {
+    const mid = domain[0] < 0 && domain[1] > 0 ? 0 : (domain[0] + domain[1]) / 2;
+    const scale = d3.scaleDiverging(interpolator).domain([domain[0], mid, domain[1]]).clamp(true);
+    const legend = continuousLegend(scale, domain, {
+      toOffset: (v) => (v <= mid
+        ? (0.5 * (v - domain[0])) / (mid - domain[0])
+        : 0.5 + (0.5 * (v - mid)) / (domain[1] - mid)),
+      fromOffset: (t) => (t <= 0.5
+        ? domain[0] + (t / 0.5) * (mid - domain[0])
+        : mid + ((t - 0.5) / 0.5) * (domain[1] - mid)),
+      ticks,
+    });
+    return { scale, legend, domain };
+  }
+
+  const scale = d3.scaleSequential(interpolator).domain(domain).clamp(true);
+  const legend = continuousLegend(scale, domain, {
+    toOffset: (v) => (v - domain[0]) / (domain[1] - domain[0]),
+    fromOffset: (t) => domain[0] + t * (domain[1] - domain[0]),
+    ticks,
+  });
+  return { scale, legend, domain };
+}
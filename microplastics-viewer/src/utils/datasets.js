@@ -0,0 +1,184 @@
+// src/utils/datasets.js
+import Papa from 'papaparse';
+
+// Shared access to the CSV datasets shipped in /public.
+// Every file is downloaded and parsed at most once per session, and every
+// page reads the same cleaned, typed records.
+
+// Sentinels used by the source files for "no data"
+// (-9999 in the Level 3 grids, -999 in the Level 0/1/2 observations).
+export const NO_DATA_VALUES = [-9999, -999];
+
+export const MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+const LAT_COLUMN = 'latitude (degree: N+, S-)';
+const LON_COLUMN = 'longitude (degree: E+, W-)';
+
+// Returns a number, or null for blanks, garbage and no-data sentinels.
+export function parseValue(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  if (Number.isNaN(num) || NO_DATA_VALUES.includes(num)) return null;
+  return num;
+}
+
+function monthlyRecord(row) {
+  return {
+    lat: parseValue(row[LAT_COLUMN]),
+    lon: parseValue(row[LON_COLUMN]),
+    months: MONTHS.map((m) => parseValue(row[m])),
+  };
+}
+
+// Dataset definitions: where each file lives and how a CSV row becomes a record.
+// Rows without a valid position are dropped; missing values become null.
+export const DATASETS = {
+  level3: {
+    url: '/Level3R1.csv',
+    label: 'Level 3 grid',
+    toRecord: (row) => ({
+      lat: parseValue(row[LAT_COLUMN]),
+      lon: parseValue(row[LON_COLUMN]),
+      level3p: parseValue(row['Level 3p (pieces/km2)']),
+      level3w1: parseValue(row['Level 3w1 (g/km2)']),
+      level3w2: parseValue(row['Level 3w2 (g/km2)']),
+    }),
+  },
+  level3pm: {
+    url: '/Level3pmR1.csv',
+    label: 'Level 3pm monthly grid',
+    toRecord: monthlyRecord,
+  },
+  level3wm: {
+    url: '/Level3wmR1.csv',
+    label: 'Level 3wm monthly grid',
+    toRecord: monthlyRecord,
+  },
+  level012: {
+    url: '/Level012R1.csv',
+    label: 'Level 0/1/2 in-situ observations',
+    toRecord: (row) => ({
+      year: parseValue(row.year),
+      month: parseValue(row.month),
+      day: parseValue(row.date),
+      lat: parseValue(row[LAT_COLUMN]),
+      lon: parseValue(row[LON_COLUMN]),
+      level0: parseValue(row['Level 0 (pieces/m3)']),
+      fragmentRatio: parseValue(row['ratio (fragment<5 mm)']),
+      level1: parseValue(row['Level 1 (pieces/m3)']),
+      windSpeed: parseValue(row['windspeed (m/s)']),
+      waveHeight: parseValue(row['significant wave height (m)']),
+      level2p: parseValue(row['Level 2p (pieces/km2)']),
+      level2w1: parseValue(row['Level 2w1 (g/km2)']),
+      level2w2: parseValue(row['Level 2w2 (g/km2)']),
+      sourceId: parseValue(row['No. in Table 1']),
+    }),
+  },
+};
+
+const IDLE_STATE = { status: 'idle', loaded: 0, total: null, data: null, error: null };
+
+// name -> { state, listeners, promise }
+const entries = new Map();
+
+function getEntry(name) {
+  if (!DATASETS[name]) {
+    throw new Error(`Unknown dataset "${name}"`);
+  }
+  if (!entries.has(name)) {
+    entries.set(name, { state: IDLE_STATE, listeners: new Set(), promise: null });
+  }
+  return entries.get(name);
+}
+
+function setState(name, patch) {
+  const entry = getEntry(name);
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach((listener) => listener(entry.state));
+}
+
+// The files carry a "-9999: No data" / "-999: No data" legend line (and, for the
+// monthly grids, a title line) around the real header. Drop those before parsing.
+function stripNoteLines(text) {
+  return text
+    .split(/\r\n|\n|\r/)
+    .filter((line) => !line.includes(': No data'))
+    .join('\n');
+}
+
+async function downloadText(name, url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url} (HTTP ${response.status})`);
+  }
+
+  const total = parseInt(response.headers.get('content-length') || '', 10) || null;
+  setState(name, { total });
+  if (!response.body || !response.body.getReader) {
+    return response.text();
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let loaded = 0;
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.length;
+    text += decoder.decode(value, { stream: true });
+    setState(name, { loaded });
+  }
+  return text + decoder.decode();
+}
+
+function parseRecords(name, text) {
+  const { toRecord } = DATASETS[name];
+  const results = Papa.parse(stripNoteLines(text), {
+    header: true,
+    skipEmptyLines: true,
+  });
+  return results.data
+    .map(toRecord)
+    .filter((record) => record.lat !== null && record.lon !== null);
+}
+
+// Loads (or returns the cached) records of a dataset.
+export function loadDataset(name) {
+  const entry = getEntry(name);
+  if (entry.promise) return entry.promise;
+
+  const { url } = DATASETS[name];
+  setState(name, { ...IDLE_STATE, status: 'loading' });
+  entry.promise = downloadText(name, url)
+    .then((text) => {
+      const data = parseRecords(name, text);
+      setState(name, { status: 'ready', data });
+      return data;
+    })
+    .catch((err) => {
+      console.error(`Error loading dataset ${name}:`, err);
+      // Forget the failed attempt so the next caller can retry.
+      entry.promise = null;
+      setState(name, { status: 'error', error: err.message || String(err) });
+      throw err;
+    });
+  return entry.promise;
+}
+
+export function getDatasetState(name) {
+  return getEntry(name).state;
+}
+
+export function subscribeDataset(name, listener) {
+  const entry = getEntry(name);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+}
+
+// Fraction of the download completed (0..1), or null when the size is unknown.
+export function datasetProgress(state) {
+  if (state.status === 'ready') return 1;
+  if (!state.total) return null;
+  return Math.min(state.loaded / state.total, 1);
+}
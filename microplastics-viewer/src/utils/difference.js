@@ -0,0 +1,29 @@
+// src/utils/difference.js
+
+// What a scenario map shows: the values themselves, or how they differ from
+// a baseline run (for mitigation, "No Mitigation").
+export const MAP_VIEWS = [
+  { value: 'value', label: 'Values' },
+  { value: 'absolute', label: 'Change' },
+  { value: 'percent', label: 'Change (%)' },
+];
+
+// `value` as drawn in `view`; null where a percentage has no baseline.
+export function viewValue(value, baseline, view) {
+  if (view === 'absolute') return value - baseline;
+  if (view === 'percent') return baseline > 0 ? ((value - baseline) / baseline) * 100 : null;
+  return value;
+}
+
+// Sets `shown` on points of { lat, lon, val, base } to what the view draws.
+// The value view leaves out cells at zero, as the maps always have; the
+// change views keep unchanged cells so they show the palette's neutral colour.
+export function viewPoints(points, view) {
+  return points
+    .map((point) => ({ ...point, shown: viewValue(point.val, point.base, view) }))
+    .filter((point) => (view === 'value' ? point.shown > 0 : point.shown !== null));
+}
+
+export function viewUnit(view, unit) {
+  return view === 'percent' ? '%' : unit;
+}
@@ -0,0 +1,11 @@
+// src/utils/displayModes.js
+
+// Ways DataLayer can draw a set of valued points.
+export const DISPLAY_MODES = [
+  { value: 'cells', label: 'Grid cells' },
+  { value: 'points', label: 'Points' },
+  { value: 'heatmap', label: 'Heatmap' },
+  { value: 'clusters', label: 'Clusters' },
+];
+
+export const DEFAULT_DISPLAY = { mode: 'cells', radius: 25, blur: 15 };
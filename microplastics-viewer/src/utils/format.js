@@ -0,0 +1,19 @@
+// src/utils/format.js
+
+// Compact number formatting for tooltips, popups and legends.
+// Concentrations range from ~1e-3 to ~1e6, so very small and very large
+// values switch to exponent notation.
+export function formatNumber(val, digits = 3) {
+  if (val === null || val === undefined || Number.isNaN(val)) return 'No data';
+  if (val === 0) return '0';
+  const abs = Math.abs(val);
+  if (abs >= 1e5 || abs < 1e-3) return val.toExponential(Math.max(digits - 1, 0));
+  return Number(val.toPrecision(digits)).toString();
+}
+
+// Date of an in-situ sample as YYYY-MM or YYYY-MM-DD (the day is not always recorded).
+export function formatSampleDate(sample) {
+  const mm = String(sample.month).padStart(2, '0');
+  const dd = sample.day !== null ? `-${String(sample.day).padStart(2, '0')}` : '';
+  return `${sample.year}-${mm}${dd}`;
+}
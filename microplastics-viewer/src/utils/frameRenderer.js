@@ -0,0 +1,154 @@
+// src/utils/frameRenderer.js
+import { cellBoxes } from './grid';
+import { graticule, worldGeometry } from './basemap';
+import { formatNumber } from './format';
+
+// Draws one map frame onto a 2:1 canvas in plate carrée (lon/lat) projection,
+// using only the bundled basemap so no tiles are needed. The title and the
+// legend from buildColorScale are burned into the image.
+
+const OCEAN_COLOR = '#dbeafe';
+const LAND_COLOR = '#f5f5f4';
+const COAST_COLOR = '#64748b';
+const GRATICULE_COLOR = '#93c5fd';
+
+function projector(width, height) {
+  return {
+    x: (lon) => ((lon + 180) / 360) * width,
+    y: (lat) => ((90 - lat) / 180) * height,
+  };
+}
+
+function tracePath(ctx, lines, { x, y }) {
+  lines.forEach((line) => {
+    line.forEach(([lon, lat], i) => {
+      if (i === 0) ctx.moveTo(x(lon), y(lat));
+      else ctx.lineTo(x(lon), y(lat));
+    });
+  });
+}
+
+function drawBasemap(ctx, project, width, height) {
+  const { land, coastlines } = worldGeometry();
+  ctx.fillStyle = OCEAN_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.beginPath();
+  land.coordinates.forEach((rings) => tracePath(ctx, rings, project));
+  ctx.fillStyle = LAND_COLOR;
+  ctx.fill('evenodd');
+
+  ctx.beginPath();
+  tracePath(ctx, graticule().coordinates, project);
+  ctx.strokeStyle = GRATICULE_COLOR;
+  ctx.lineWidth = 0.5;
+  ctx.setLineDash([2, 4]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  return () => {
+    ctx.beginPath();
+    tracePath(ctx, coastlines.coordinates, project);
+    ctx.strokeStyle = COAST_COLOR;
+    ctx.lineWidth = Math.max(0.6, width / 1600);
+    ctx.stroke();
+  };
+}
+
+function drawCells(ctx, points, value, colorScale, cellSize, { x, y }) {
+  points.forEach((point) => {
+    ctx.fillStyle = colorScale(value(point));
+    cellBoxes(point.lat, point.lon, cellSize).forEach((box) => {
+      const left = Math.floor(x(box.west));
+      const top = Math.floor(y(box.north));
+      ctx.fillRect(left, top, Math.ceil(x(box.east)) - left, Math.ceil(y(box.south)) - top);
+    });
+  });
+}
+
+function drawBox(ctx, left, top, width, height, unit) {
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(left, top, width, height);
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+  ctx.lineWidth = Math.max(1, unit / 10);
+  ctx.strokeRect(left, top, width, height);
+}
+
+function drawTitle(ctx, title, subtitle, unit) {
+  const pad = unit;
+  ctx.font = `bold ${unit * 1.6}px sans-serif`;
+  const titleWidth = ctx.measureText(title).width;
+  ctx.font = `${unit * 1.2}px sans-serif`;
+  const subtitleWidth = subtitle ? ctx.measureText(subtitle).width : 0;
+  const width = Math.max(titleWidth, subtitleWidth) + pad * 2;
+  const height = unit * (subtitle ? 4.6 : 3);
+
+  drawBox(ctx, pad, pad, width, height, unit);
+  ctx.fillStyle = '#1d4ed8';
+  ctx.textBaseline = 'top';
+  ctx.font = `bold ${unit * 1.6}px sans-serif`;
+  ctx.fillText(title, pad * 2, pad * 1.7);
+  if (subtitle) {
+    ctx.fillStyle = '#374151';
+    ctx.font = `${unit * 1.2}px sans-serif`;
+    ctx.fillText(subtitle, pad * 2, pad * 3.6);
+  }
+}
+
+function drawLegend(ctx, legend, label, canvasWidth, canvasHeight, unit) {
+  const pad = unit;
+  const width = canvasWidth * 0.3;
+  const barWidth = width - pad * 2;
+  const rows = legend.kind === 'classes' ? legend.bins.length : 0;
+  const height = legend.kind === 'classes' ? unit * (3.2 + rows * 1.5) : unit * 6;
+  const left = canvasWidth - width - pad;
+  const top = canvasHeight - height - pad;
+
+  drawBox(ctx, left, top, width, height, unit);
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#1f2937';
+  ctx.font = `bold ${unit * 1.1}px sans-serif`;
+  ctx.fillText(label, left + pad, top + pad * 0.8);
+  ctx.font = `${unit}px sans-serif`;
+
+  if (legend.kind === 'classes') {
+    legend.bins.forEach((bin, i) => {
+      const rowTop = top + unit * (2.6 + i * 1.5);
+      ctx.fillStyle = bin.color;
+      ctx.fillRect(left + pad, rowTop, unit * 1.6, unit * 1.1);
+      ctx.fillStyle = '#1f2937';
+      ctx.fillText(`${formatNumber(bin.from)} – ${formatNumber(bin.to)}`, left + pad + unit * 2.2, rowTop);
+    });
+    return;
+  }
+
+  const barTop = top + unit * 2.6;
+  const gradient = ctx.createLinearGradient(left + pad, 0, left + pad + barWidth, 0);
+  legend.stops.forEach((stop) => gradient.addColorStop(stop.offset, stop.color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(left + pad, barTop, barWidth, unit * 1.2);
+  ctx.fillStyle = '#1f2937';
+  legend.ticks.forEach((tick, i) => {
+    const text = formatNumber(tick.value, 2);
+    const textWidth = ctx.measureText(text).width;
+    let tx = left + pad + tick.offset * barWidth - textWidth / 2;
+    if (i === 0) tx = left + pad;
+    if (i === legend.ticks.length - 1) tx = left + pad + barWidth - textWidth;
+    ctx.fillText(text, tx, barTop + unit * 1.6);
+  });
+}
+
+// options: { points, value, colorScale, cellSize, legend, legendLabel, title, subtitle }
+export function renderMapFrame(canvas, options) {
+  const { points, value, colorScale, cellSize, legend, legendLabel, title, subtitle } = options;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const project = projector(width, height);
+  const unit = width / 80; // text and padding scale with the resolution
+
+  const drawCoastlines = drawBasemap(ctx, project, width, height);
+  drawCells(ctx, points, value, colorScale, cellSize, project);
+  drawCoastlines();
+  drawTitle(ctx, title, subtitle, unit);
+  drawLegend(ctx, legend, legendLabel, width, height, unit);
+}
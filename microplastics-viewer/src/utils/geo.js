@@ -0,0 +1,24 @@
+// src/utils/geo.js
+// With the extension so scripts/buildGeography.js can import this in Node
+import { normalizeLon } from './grid.js';
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two positions, in km.
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(normalizeLon(lon2 - lon1));
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// The `count` records closest to (lat, lon), nearest first, each as
+// { record, distanceKm }.
+export function nearest(records, lat, lon, count = 1) {
+  return records
+    .map((record) => ({ record, distanceKm: haversineKm(lat, lon, record.lat, record.lon) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, count);
+}
@@ -0,0 +1,74 @@
+// src/utils/grid.js
+
+// Helpers for the regular lon/lat grid shared by the Level 3 files.
+
+export function cellKey(lat, lon) {
+  return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+}
+
+// Joins records from several gridded datasets into one list of cells:
+// { key, lat, lon, level3: {...}, level3pm: {...}, ... }
+// A cell is present if any of the datasets has a record for it.
+export function joinCells(dataByName) {
+  const cells = new Map();
+  Object.entries(dataByName).forEach(([name, records]) => {
+    (records || []).forEach((record) => {
+      const key = cellKey(record.lat, record.lon);
+      if (!cells.has(key)) {
+        cells.set(key, { key, lat: record.lat, lon: record.lon });
+      }
+      cells.get(key)[name] = record;
+    });
+  });
+  return Array.from(cells.values());
+}
+
+// Wraps a longitude into [-180, 180).
+export function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+function smallestStep(values) {
+  const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+  let step = Infinity;
+  for (let i = 1; i < sorted.length; i++) {
+    const diff = sorted[i] - sorted[i - 1];
+    if (diff > 1e-6 && diff < step) step = diff;
+  }
+  return Number.isFinite(step) ? step : null;
+}
+
+// Infers the grid spacing (in degrees) from the cell centres, e.g. the
+// Level 3 files give { dLat: 2, dLon: 5 }. Falls back to 1° when a direction
+// has a single row/column.
+export function inferGridSpacing(cells) {
+  return {
+    dLat: smallestStep(cells.map((c) => c.lat)) || 1,
+    dLon: smallestStep(cells.map((c) => normalizeLon(c.lon))) || 1,
+  };
+}
+
+// Extent of the cell centred on (lat, lon) as one or two
+// { south, north, west, east } boxes. Cells crossing the antimeridian are
+// split so every box lies within [-180, 180].
+export function cellBoxes(lat, lon, { dLat, dLon }) {
+  const south = Math.max(lat - dLat / 2, -90);
+  const north = Math.min(lat + dLat / 2, 90);
+  const centre = normalizeLon(lon);
+  const west = centre - dLon / 2;
+  const east = centre + dLon / 2;
+
+  if (west < -180) {
+    return [
+      { south, north, west: west + 360, east: 180 },
+      { south, north, west: -180, east },
+    ];
+  }
+  if (east > 180) {
+    return [
+      { south, north, west, east: 180 },
+      { south, north, west: -180, east: east - 360 },
+    ];
+  }
+  return [{ south, north, west, east }];
+}
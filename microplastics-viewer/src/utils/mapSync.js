@@ -0,0 +1,19 @@
+// src/utils/mapSync.js
+
+// Moves every Leaflet map in `maps` whenever one of them is panned or
+// zoomed; returns a function that stops.
+export function syncMaps(maps) {
+  let syncing = false;
+  const handlers = maps.map((from) => () => {
+    if (syncing) return;
+    syncing = true;
+    maps.forEach((to) => {
+      if (to !== from) to.setView(from.getCenter(), from.getZoom(), { animate: false });
+    });
+    syncing = false;
+  });
+  maps.forEach((map, i) => map.on('move zoom', handlers[i]));
+  return () => {
+    maps.forEach((map, i) => map.off('move zoom', handlers[i]));
+  };
+}
@@ -0,0 +1,119 @@
+// src/utils/metrics.js
+
+// Map layers that can be drawn from the Level 3 grids.
+// Monthly metrics provide `monthValue(cell, monthIndex)`; annual ones `value(cell)`.
+// `datasets` lists the files a metric needs (see utils/datasets.js).
+
+function ratio(numerator, denominator) {
+  if (numerator === null || denominator === null || denominator <= 0) return null;
+  return numerator / denominator;
+}
+
+function monthsOf(cell, dataset) {
+  return cell[dataset] ? cell[dataset].months : [];
+}
+
+export const METRICS = [
+  {
+    id: 'level3pm',
+    label: 'Level 3pm',
+    unit: 'pieces/m³',
+    datasets: ['level3pm'],
+    monthly: true,
+    monthValue: (cell, m) => monthsOf(cell, 'level3pm')[m] ?? null,
+  },
+  {
+    id: 'level3wm',
+    label: 'Level 3wm',
+    unit: 'mg/m³',
+    datasets: ['level3wm'],
+    monthly: true,
+    monthValue: (cell, m) => monthsOf(cell, 'level3wm')[m] ?? null,
+  },
+  {
+    id: 'level3p',
+    label: 'Level 3p',
+    unit: 'pieces/km²',
+    datasets: ['level3'],
+    monthly: false,
+    value: (cell) => (cell.level3 ? cell.level3.level3p : null),
+  },
+  {
+    id: 'level3w1',
+    label: 'Level 3w1',
+    unit: 'g/km²',
+    datasets: ['level3'],
+    monthly: false,
+    value: (cell) => (cell.level3 ? cell.level3.level3w1 : null),
+  },
+  {
+    id: 'level3w2',
+    label: 'Level 3w2',
+    unit: 'g/km²',
+    datasets: ['level3'],
+    monthly: false,
+    value: (cell) => (cell.level3 ? cell.level3.level3w2 : null),
+  },
+  {
+    // Derived: monthly mass concentration divided by monthly piece concentration
+    id: 'meanParticleMass',
+    label: 'Mean particle mass',
+    unit: 'mg/piece',
+    datasets: ['level3pm', 'level3wm'],
+    monthly: true,
+    monthValue: (cell, m) => ratio(monthsOf(cell, 'level3wm')[m] ?? null, monthsOf(cell, 'level3pm')[m] ?? null),
+    // Yearly figure is total mass over total count, not the mean of the monthly ratios
+    annualValue: (cell) => {
+      const pieces = monthsOf(cell, 'level3pm');
+      const mass = monthsOf(cell, 'level3wm');
+      let pieceSum = 0;
+      let massSum = 0;
+      pieces.forEach((p, m) => {
+        if (p === null || mass[m] === null || mass[m] === undefined) return;
+        pieceSum += p;
+        massSum += mass[m];
+      });
+      return ratio(massSum, pieceSum);
+    },
+  },
+];
+
+export function getMetric(id) {
+  return METRICS.find((m) => m.id === id) || METRICS[0];
+}
+
+// Value of a metric for one cell. For monthly metrics pass a month index (0-11),
+// or null for the annual mean.
+export function metricValue(metric, cell, monthIndex = null) {
+  if (!metric.monthly) return metric.value(cell);
+  if (monthIndex !== null) return metric.monthValue(cell, monthIndex);
+  if (metric.annualValue) return metric.annualValue(cell);
+
+  let sum = 0;
+  let count = 0;
+  for (let m = 0; m < 12; m++) {
+    const val = metric.monthValue(cell, m);
+    if (val === null) continue;
+    sum += val;
+    count++;
+  }
+  return count ? sum / count : null;
+}
+
+// Value of a monthly metric at a fractional month position (e.g. 2.25 is a
+// quarter of the way from March to April; 11.5 is halfway from December back
+// to January), blended linearly between the two months. When one of them has
+// no data the nearer month is used as-is.
+export function interpolatedMonthValue(metric, cell, position) {
+  const month = Math.floor(position) % 12;
+  const fraction = position - Math.floor(position);
+  const from = metricValue(metric, cell, month);
+  if (fraction === 0) return from;
+  const to = metricValue(metric, cell, (month + 1) % 12);
+  if (from === null || to === null) return fraction < 0.5 ? from : to;
+  return from + (to - from) * fraction;
+}
+
+export function metricLabel(metric) {
+  return `${metric.label} (${metric.unit})`;
+}
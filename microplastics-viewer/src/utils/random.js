@@ -0,0 +1,23 @@
+// src/utils/random.js
+
+// Seeded random numbers, so a simulation run with the same inputs and seed
+// gives the same result.
+
+// mulberry32: returns a function giving uniform numbers in [0, 1).
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal number from a uniform source (Box-Muller).
+export function gaussian(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
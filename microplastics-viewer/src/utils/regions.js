@@ -0,0 +1,93 @@
+// src/utils/regions.js
+import { haversineKm } from './geo';
+import { normalizeLon } from './grid';
+
+// Regions drawn on the maps, stored as plain objects so they can outlive the
+// Leaflet layer that drew them:
+//   { type: 'rectangle', south, west, north, east }
+//   { type: 'polygon', latlngs: [[lat, lon], ...] }
+//   { type: 'circle', lat, lon, radiusKm }
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export const REGION_LABELS = {
+  rectangle: 'Rectangle',
+  polygon: 'Polygon',
+  circle: 'Circle',
+};
+
+// Even-odd ray casting in lon/lat space.
+function polygonContains(latlngs, lat, lon) {
+  let inside = false;
+  for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
+    const [latI, lonI] = latlngs[i];
+    const [latJ, lonJ] = latlngs[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function regionContains(region, lat, lon) {
+  const x = normalizeLon(lon);
+  switch (region.type) {
+    case 'rectangle':
+      return lat >= region.south && lat <= region.north && x >= region.west && x <= region.east;
+    case 'polygon':
+      return polygonContains(region.latlngs, lat, x);
+    case 'circle':
+      return haversineKm(region.lat, region.lon, lat, x) <= region.radiusKm;
+    default:
+      return false;
+  }
+}
+
+// Approximate area of a grid cell: the cell's angular size scaled by the
+// cosine of its latitude.
+export function cellAreaKm2(lat, { dLat, dLon }) {
+  return EARTH_RADIUS_KM ** 2 * toRad(dLat) * toRad(dLon) * Math.cos(toRad(lat));
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Aggregates the points whose centre lies in `region`:
+// { count, mean, median, max, areaKm2, total }, where `total` is the
+// area-weighted sum of value × cell area. Null values are skipped.
+export function regionStats(points, value, region, cellSize) {
+  const values = [];
+  let total = 0;
+  let areaKm2 = 0;
+  points.forEach((point) => {
+    if (!regionContains(region, point.lat, point.lon)) return;
+    const v = value(point);
+    if (v === null || Number.isNaN(v)) return;
+    const area = cellAreaKm2(point.lat, cellSize);
+    values.push(v);
+    total += v * area;
+    areaKm2 += area;
+  });
+
+  if (!values.length) {
+    return { count: 0, mean: null, median: null, max: null, areaKm2: 0, total: null };
+  }
+  const sorted = values.sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    median: median(sorted),
+    max: sorted[sorted.length - 1],
+    areaKm2,
+    total,
+  };
+}
+
+// Unit of an area-weighted total, e.g. 'pieces/km²' -> 'pieces'.
+export function totalUnit(unit) {
+  return unit.endsWith('/km²') ? unit.slice(0, -'/km²'.length) : `${unit} × km²`;
+}
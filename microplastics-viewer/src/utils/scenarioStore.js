@@ -0,0 +1,71 @@
+// src/utils/scenarioStore.js
+
+// Saved scenarios (see scenarios.js), kept in IndexedDB so they survive
+// reloads and are not limited by localStorage's size.
+
+const DB_NAME = 'microplastics-viewer';
+const DB_VERSION = 1;
+const STORE = 'scenarios';
+
+const listeners = new Set();
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `action(store)` in a transaction and resolves with the request result
+// once the transaction has completed.
+async function withStore(mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+// All saved scenarios, most recently updated first.
+export async function listScenarios() {
+  const all = await withStore('readonly', (store) => store.getAll());
+  return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function putScenario(scenario) {
+  await withStore('readwrite', (store) => store.put(scenario));
+  notify();
+  return scenario;
+}
+
+export async function deleteScenario(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+  notify();
+}
+
+export function subscribeScenarios(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,139 @@
+// src/utils/scenarios.js
+import { YEAR_MODEL_VERSION } from './aiModel';
+import { cellAreaKm2, regionContains } from './regions';
+import { getCustomTactics, saveCustomTactic } from '../mitigation/customTactics';
+import { applyPortfolio, STACKING_RULES } from '../mitigation/portfolio';
+import { BASE_YEAR } from '../mitigation/engine';
+import { emissionsFactor, validateEmissions } from '../mitigation/emissions';
+
+// Named scenarios for the Yearly Heatmap page. A scenario records every
+// input of a run:
+//   { id, name, createdAt, updatedAt, modelVersion, baseYear, horizon,
+//     portfolio: { ids, rule, cap }, emissions, region, customTactics }
+// `emissions` is the baseline emissions trajectory (see
+// mitigation/emissions.js; scenarios saved before it existed have none,
+// which is constant), `region` a drawn region (see regions.js) or null, and
+// `customTactics`
+// holds the definitions of any custom tactics the portfolio uses, so a file
+// shared with someone else still works in their browser.
+
+export const SCENARIO_FILE_FORMAT = 'microplastics-scenarios';
+export const SCENARIO_FILE_VERSION = 1;
+
+// Hotspots are cells above this quantile of the unmitigated prediction
+export const HOTSPOT_QUANTILE = 0.9;
+
+export function createScenario(name, { baseYear, horizon, portfolio, emissions, region }, existing = null) {
+  const now = new Date().toISOString();
+  return {
+    id: existing ? existing.id : `scenario-${Date.now().toString(36)}`,
+    name,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    modelVersion: YEAR_MODEL_VERSION,
+    baseYear,
+    horizon,
+    portfolio,
+    emissions,
+    region,
+    customTactics: getCustomTactics().filter((def) => portfolio.ids.includes(def.id)),
+  };
+}
+
+// Adds the scenario's custom tactics that this browser does not have yet.
+export function installScenarioTactics(scenario) {
+  const known = new Set(getCustomTactics().map((def) => def.id));
+  scenario.customTactics.filter((def) => !known.has(def.id)).forEach(saveCustomTactic);
+}
+
+// Throws an Error describing the first problem with a scenario.
+export function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') throw new Error('A scenario must be an object');
+  const name = scenario.name ? `Scenario "${scenario.name}"` : 'Scenario';
+  if (typeof scenario.id !== 'string' || !scenario.id) throw new Error(`${name}: id is missing`);
+  if (typeof scenario.name !== 'string' || !scenario.name) throw new Error(`${name}: name is missing`);
+  if (!Number.isFinite(scenario.baseYear)) throw new Error(`${name}: baseYear must be a number`);
+  if (!Number.isFinite(scenario.horizon) || scenario.horizon < 0) throw new Error(`${name}: horizon must be a number >= 0`);
+  const { portfolio } = scenario;
+  if (!portfolio || !Array.isArray(portfolio.ids) || !STACKING_RULES.some((r) => r.value === portfolio.rule)) {
+    throw new Error(`${name}: portfolio must have ids and a known stacking rule`);
+  }
+  if (scenario.emissions !== undefined) {
+    try {
+      validateEmissions(scenario.emissions);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(scenario.customTactics)) throw new Error(`${name}: customTactics must be an array`);
+}
+
+export function scenariosToJson(scenarios) {
+  return JSON.stringify({
+    format: SCENARIO_FILE_FORMAT,
+    version: SCENARIO_FILE_VERSION,
+    scenarios,
+  }, null, 2);
+}
+
+// Scenarios from an exported file; throws an Error if the file is not one.
+export function parseScenarioFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!parsed || parsed.format !== SCENARIO_FILE_FORMAT || !Array.isArray(parsed.scenarios)) {
+    throw new Error('The file is not a scenario export');
+  }
+  if (parsed.version > SCENARIO_FILE_VERSION) {
+    throw new Error('The file was written by a newer version of the app');
+  }
+  parsed.scenarios.forEach(validateScenario);
+  return parsed.scenarios;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+// Key outputs of a scenario from the model's unmitigated predictions
+// (`preds`: [{ lat, lon, basePred }] on a grid of `cellSize`) and the
+// resolved portfolio tactics. The predictions are grown by the scenario's
+// baseline emissions before the tactics act:
+//   { total, baselineTotal, reduction, hotspots, baselineHotspots, regionTotal }
+// Totals are area-weighted (pieces); `regionTotal` is null without a region.
+export function scenarioOutputs(preds, tactics, scenario, cellSize) {
+  // Tactic years count from BASE_YEAR, as in the engine
+  const years = Math.floor(scenario.baseYear + scenario.horizon - BASE_YEAR);
+  const growth = emissionsFactor(scenario.emissions, scenario.baseYear + scenario.horizon - BASE_YEAR);
+  const threshold = quantile(
+    preds.map((p) => p.basePred).filter((v) => v > 0).sort((a, b) => a - b),
+    HOTSPOT_QUANTILE
+  );
+  let total = 0;
+  let baselineTotal = 0;
+  let regionTotal = scenario.region ? 0 : null;
+  let hotspots = 0;
+  let baselineHotspots = 0;
+  preds.forEach((p) => {
+    const base = Math.max(p.basePred, 0) * growth;
+    const value = applyPortfolio(base, tactics, scenario.portfolio, p.lat, p.lon, years);
+    const area = cellAreaKm2(p.lat, cellSize);
+    total += value * area;
+    baselineTotal += base * area;
+    if (threshold !== null && base > threshold) baselineHotspots++;
+    if (threshold !== null && value > threshold) hotspots++;
+    if (scenario.region && regionContains(scenario.region, p.lat, p.lon)) regionTotal += value * area;
+  });
+  return {
+    total,
+    baselineTotal,
+    reduction: baselineTotal > 0 ? 1 - total / baselineTotal : 0,
+    hotspots,
+    baselineHotspots,
+    regionTotal,
+  };
+}
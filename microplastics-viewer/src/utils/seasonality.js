@@ -0,0 +1,87 @@
+// src/utils/seasonality.js
+import { interpolateSinebow } from 'd3-scale-chromatic';
+import { MONTHS } from './datasets';
+import { metricValue } from './metrics';
+
+// Seasonal statistics of the monthly Level 3 layers. Only cells with all 12
+// months present are analysed, so every statistic covers a full year.
+
+export const SEASONALITY_MEASURES = [
+  {
+    id: 'peakMonth',
+    label: 'Peak month',
+    unit: '',
+    description: 'Month with the highest concentration. Cells that are empty all year have no peak and are not drawn.',
+  },
+  {
+    id: 'amplitude',
+    label: 'Seasonal amplitude',
+    unit: 'max/min',
+    description: 'Ratio of the highest to the lowest month. Cells with a zero month have no finite ratio and are not drawn.',
+    defaultColors: { type: 'log', palette: 'Viridis' },
+  },
+  {
+    id: 'cv',
+    label: 'Coefficient of variation',
+    unit: 'std/mean',
+    description: 'Standard deviation of the 12 months divided by their mean.',
+    defaultColors: { type: 'linear', palette: 'Inferno' },
+  },
+];
+
+// { peakMonth, amplitude, cv } for 12 monthly values, or null when a month is missing.
+export function seasonalStats(values) {
+  if (values.length !== 12 || values.some((v) => v === null)) return null;
+  let peakMonth = 0;
+  let min = Infinity;
+  values.forEach((v, m) => {
+    if (v > values[peakMonth]) peakMonth = m;
+    if (v < min) min = v;
+  });
+  const max = values[peakMonth];
+  const mean = values.reduce((sum, v) => sum + v, 0) / 12;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / 12;
+  return {
+    peakMonth: max > 0 ? peakMonth : null,
+    amplitude: min > 0 ? max / min : null,
+    cv: mean > 0 ? Math.sqrt(variance) / mean : null,
+  };
+}
+
+// [{ lat, lon, months, peakMonth, amplitude, cv }] for the cells with a full year
+export function seasonalityCells(cells, metric) {
+  return cells.flatMap((cell) => {
+    const months = MONTHS.map((_, m) => metricValue(metric, cell, m));
+    const stats = seasonalStats(months);
+    return stats ? [{ lat: cell.lat, lon: cell.lon, months, ...stats }] : [];
+  });
+}
+
+// Monthly mean over the cells of one hemisphere, weighted by cos(latitude)
+// so that the small polar cells do not dominate.
+export function zonalMeanByMonth(cells, hemisphere) {
+  const inHemisphere = cells.filter((c) => (hemisphere === 'north' ? c.lat >= 0 : c.lat < 0));
+  return MONTHS.map((_, m) => {
+    let sum = 0;
+    let weights = 0;
+    inHemisphere.forEach((cell) => {
+      const w = Math.cos((cell.lat * Math.PI) / 180);
+      sum += cell.months[m] * w;
+      weights += w;
+    });
+    return weights > 0 ? sum / weights : null;
+  });
+}
+
+// Cyclic colors for the peak month: December sits next to January.
+export function peakMonthScale() {
+  const colors = MONTHS.map((_, m) => interpolateSinebow(m / 12));
+  return {
+    scale: (m) => colors[m],
+    legend: {
+      kind: 'classes',
+      bins: MONTHS.map((label, m) => ({ color: colors[m], label })),
+    },
+    domain: [0, 11],
+  };
+}
@@ -0,0 +1,179 @@
+// src/workers/modelTraining.worker.js
+import * as tf from '@tensorflow/tfjs';
+import { createModel, compileModel } from '../utils/aiModel';
+
+// Trains and runs one AI model off the main thread; see
+// hooks/useModelWorker.js for the page side. `spec` is MODEL_SPEC or
+// YEAR_MODEL_SPEC from utils/aiModel.js.
+//
+// Messages in:
+//   { type: 'load', spec }        look for the saved model and a checkpoint
+//   { type: 'train', spec, inputs, labels, resume }
+//                                 train from scratch, or on from the
+//                                 checkpoint; `inputs` holds spec.features
+//                                 numbers per row, `labels` one
+//   { type: 'pause' }             stop after this epoch, keeping a checkpoint
+//   { type: 'cancel' }            stop after this batch and drop the checkpoint
+//   { type: 'predict', id, inputs }
+// Messages out:
+//   { type: 'loaded', ready, checkpoint }   checkpoint: { epoch, history } or null
+//   { type: 'epoch', epoch, logs }          after every epoch (1-based)
+//   { type: 'paused', checkpoint }
+//   { type: 'cancelled' }
+//   { type: 'trained', history }            the model is saved and ready
+//   { type: 'prediction', id, values }
+//   { type: 'error', id, message }          id only for a failed prediction
+// A checkpoint (weights, optimizer state and the epoch history) is also
+// saved every CHECKPOINT_EVERY epochs, so training cut off by leaving the
+// page can be resumed.
+
+const CHECKPOINT_EVERY = 5;
+// Share of the rows held back to report validation metrics
+const VALIDATION_SPLIT = 0.1;
+
+let spec = null;
+// Trained model used for predictions; kept while a new one trains
+let model = null;
+// 'pause' or 'cancel' while a stop has been asked for
+let stopRequest = null;
+let training = false;
+
+const checkpointUrl = (s) => `${s.url}-checkpoint`;
+
+async function readCheckpoint(s) {
+  if (!(await tf.io.listModels())[checkpointUrl(s)]) return null;
+  const saved = await tf.loadLayersModel(checkpointUrl(s));
+  const { epoch, history } = saved.getUserDefinedMetadata();
+  saved.dispose();
+  return { epoch, history };
+}
+
+async function removeCheckpoint(s) {
+  if ((await tf.io.listModels())[checkpointUrl(s)]) await tf.io.removeModel(checkpointUrl(s));
+}
+
+async function saveCheckpoint(s, trainee, epoch, history) {
+  trainee.setUserDefinedMetadata({ epoch, history });
+  await trainee.save(checkpointUrl(s), { includeOptimizer: true });
+}
+
+async function load(message) {
+  ({ spec } = message);
+  if ((await tf.io.listModels())[spec.url]) {
+    model = await tf.loadLayersModel(spec.url);
+  }
+  self.postMessage({ type: 'loaded', ready: Boolean(model), checkpoint: await readCheckpoint(spec) });
+}
+
+async function train(message) {
+  ({ spec } = message);
+  // Set before the first await so a pause or cancel sent while the
+  // checkpoint loads is kept for the run
+  training = true;
+  let trainee;
+  let initialEpoch = 0;
+  let history = [];
+  try {
+    if (message.resume) {
+      trainee = await tf.loadLayersModel(checkpointUrl(spec));
+      if (!trainee.optimizer) compileModel(trainee);
+      ({ epoch: initialEpoch, history } = trainee.getUserDefinedMetadata());
+    } else {
+      trainee = createModel(spec.features);
+    }
+
+    const rows = message.labels.length;
+    const xs = tf.tensor2d(message.inputs, [rows, spec.features]);
+    const ys = tf.tensor2d(message.labels, [rows, 1]);
+    try {
+      await trainee.fit(xs, ys, {
+        epochs: spec.epochs,
+        initialEpoch,
+        batchSize: spec.batchSize,
+        shuffle: true,
+        validationSplit: VALIDATION_SPLIT,
+        callbacks: {
+          onBatchEnd: () => {
+            if (stopRequest === 'cancel') trainee.stopTraining = true;
+          },
+          onEpochEnd: async (epoch, logs) => {
+            if (stopRequest === 'cancel') return;
+            history = [...history, { epoch: epoch + 1, ...logs }];
+            self.postMessage({ type: 'epoch', epoch: epoch + 1, logs });
+            if (stopRequest === 'pause' || (epoch + 1) % CHECKPOINT_EVERY === 0) {
+              await saveCheckpoint(spec, trainee, epoch + 1, history);
+            }
+            if (stopRequest === 'pause') trainee.stopTraining = true;
+          },
+        },
+      });
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+  } catch (err) {
+    training = false;
+    stopRequest = null;
+    if (trainee) trainee.dispose();
+    throw err;
+  }
+  training = false;
+
+  const finished = history.length > 0 && history[history.length - 1].epoch >= spec.epochs;
+  if (stopRequest === 'cancel') {
+    trainee.dispose();
+    await removeCheckpoint(spec);
+    self.postMessage({ type: 'cancelled' });
+  } else if (stopRequest === 'pause' && !finished) {
+    trainee.dispose();
+    self.postMessage({ type: 'paused', checkpoint: { epoch: history[history.length - 1].epoch, history } });
+  } else {
+    await trainee.save(spec.url);
+    await removeCheckpoint(spec);
+    if (model) model.dispose();
+    model = trainee;
+    self.postMessage({ type: 'trained', history });
+  }
+  stopRequest = null;
+}
+
+async function stop(request) {
+  if (training) {
+    stopRequest = request;
+  } else if (request === 'cancel' && spec) {
+    // Nothing running: cancelling drops a paused run's checkpoint
+    await removeCheckpoint(spec);
+    self.postMessage({ type: 'cancelled' });
+  }
+}
+
+function predict({ id, inputs }) {
+  if (!model) {
+    self.postMessage({ type: 'error', id, message: 'No trained model yet' });
+    return;
+  }
+  const inputTensor = tf.tensor2d(inputs, [inputs.length / spec.features, spec.features]);
+  const outputTensor = model.predict(inputTensor);
+  const values = Float32Array.from(outputTensor.dataSync());
+  inputTensor.dispose();
+  outputTensor.dispose();
+  self.postMessage({ type: 'prediction', id, values }, [values.buffer]);
+}
+
+const handlers = {
+  load,
+  train,
+  pause: () => stop('pause'),
+  cancel: () => stop('cancel'),
+  predict,
+};
+
+self.onmessage = (e) => {
+  const message = e.data;
+  Promise.resolve()
+    .then(() => handlers[message.type](message))
+    .catch((err) => {
+      console.error('Model worker error:', err);
+      self.postMessage({ type: 'error', id: message.id, message: err.message });
+    });
+};
@@ -0,0 +1,14 @@
+// src/workers/monteCarlo.worker.js
+import { runMonteCarlo } from '../mitigation/uncertainty';
+
+// Runs one Monte Carlo job (see mitigation/uncertainty.js) off the main
+// thread. Posts { type: 'progress', done } after each draw, then
+// { type: 'result', result } or { type: 'error', message }.
+self.onmessage = (e) => {
+  try {
+    const result = runMonteCarlo(e.data, (done) => self.postMessage({ type: 'progress', done }));
+    self.postMessage({ type: 'result', result }, [result.low.buffer, result.mid.buffer, result.high.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};